@@ -8,10 +8,27 @@
  */
 
 import { createServer } from 'http';
-import { readFile, writeFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { syncDoubanCollection } from './src/utils/douban-sync.mjs';
+import { applyBatch, createItem, replaceItem } from './src/utils/batch-operations.mjs';
+import { createChangeJournal, createBatchId, revertChanges } from './src/utils/change-journal.mjs';
+import { EXPORT_FORMATS, exportCollection, importRecords, parseImport, suggestColumnMapping } from './src/utils/collection-io.mjs';
+import { queryCollection } from './src/utils/collection-query.mjs';
+import { MAX_COVER_UPLOAD_BYTES, decodeBase64Image, maintainCovers, parseMultipart, saveCoverImage } from './src/utils/covers.mjs';
+import { createDataStore } from './src/utils/data-store.mjs';
+import { createPageCache } from './src/utils/douban-http.mjs';
+import { createSubjectCache } from './src/utils/douban-subject.mjs';
+import { REMOVED_POLICIES, applyDoubanSync, syncDoubanCollection } from './src/utils/douban-sync.mjs';
+import { createDuplicateDecisions, findDuplicateCandidates, mergeDuplicatePair } from './src/utils/duplicate-review.mjs';
+import { IMPORT_SOURCES, importExternal } from './src/utils/external-import.mjs';
+import { getJsonSchemas, toJsonSchema, validateItem } from './src/utils/item-schema.mjs';
+import { createIdRegistry, createIdSession, resolveAlias } from './src/utils/item-ids.mjs';
+import { convertItem } from './src/utils/item-move.mjs';
+import { applyPatch, assertIfMatch, itemEtag } from './src/utils/item-versions.mjs';
+import { createJobManager } from './src/utils/jobs.mjs';
+import { CREATOR_FIELDS, DATA_TYPES } from './src/utils/media-types.mjs';
+import { createImportedValues, parseMergePolicies } from './src/utils/merge-policy.mjs';
+import { createSyncCheckpoints } from './src/utils/sync-checkpoints.mjs';
 
 // Configuration from environment variables
 const PORT = process.env.ADMIN_API_PORT || 4322;
@@ -27,243 +44,97 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // 数据文件路径
 const DATA_DIR = join(__dirname, 'src', 'data');
-const DATA_FILES = {
-    books: join(DATA_DIR, 'books.json'),
-    movies: join(DATA_DIR, 'movies.json'),
-    series: join(DATA_DIR, 'series.json'),
-    music: join(DATA_DIR, 'music.json'),
-};
+// 每个注册的媒体类型对应 src/data/{type}.json，新类型自动获得 /api/{type} 路由
+const DATA_FILES = Object.fromEntries(DATA_TYPES.map(type => [type, join(DATA_DIR, `${type}.json`)]));
 const COVERS_DIR = join(__dirname, 'src', 'assets', 'covers');
+// 每个分类的 id 计数器（删除后 id 也不会被重新使用），以及移动、合并、删除后旧 id 的去向
+const idRegistry = createIdRegistry({ file: join(DATA_DIR, 'ids.json') });
+// 本地运行状态（备份、变更日志等），不提交到 git
+const STATE_DIR = join(__dirname, '.admin-state');
+
+const changeJournal = createChangeJournal({ file: join(STATE_DIR, 'journal.ndjson') });
+
+// All reads and writes of DATA_FILES go through the store so CRUD routes and
+// Douban sync share the same per-type write queue and land in the change journal
+const dataStore = createDataStore({
+    dataFiles: DATA_FILES,
+    backupDir: join(STATE_DIR, 'backups'),
+    journal: changeJournal,
+    ids: idRegistry,
+});
 
-// ==================== Data Validation Schemas ====================
-
-const ValidationRules = {
-    required: (value, fieldName) => {
-        if (value === undefined || value === null || value === '') {
-            return `${fieldName} is required`;
-        }
-        return null;
-    },
-    string: (value, fieldName) => {
-        if (value !== undefined && value !== null && typeof value !== 'string') {
-            return `${fieldName} must be a string`;
-        }
-        return null;
-    },
-    number: (value, fieldName, min, max) => {
-        if (value === undefined || value === null) return null;
-        const num = Number(value);
-        if (isNaN(num)) return `${fieldName} must be a number`;
-        if (min !== undefined && num < min) return `${fieldName} must be at least ${min}`;
-        if (max !== undefined && num > max) return `${fieldName} must be at most ${max}`;
-        return null;
-    },
-    url: (value, fieldName) => {
-        if (!value) return null;
-        // Allow relative paths like "/covers/image.jpg"
-        if (value.startsWith('/')) return null;
-        try {
-            new URL(value);
-            return null;
-        } catch {
-            return `${fieldName} must be a valid URL or path`;
-        }
-    },
-    date: (value, fieldName) => {
-        if (!value) return null;
-        const date = new Date(value);
-        if (isNaN(date.getTime())) {
-            return `${fieldName} must be a valid date (YYYY-MM-DD)`;
-        }
-        return null;
-    },
-    enum: (value, fieldName, allowedValues) => {
-        if (!value) return null;
-        if (!allowedValues.includes(value)) {
-            return `${fieldName} must be one of: ${allowedValues.join(', ')}`;
-        }
-        return null;
-    }
-};
-
-// Field schemas for each data type
-const FIELD_SCHEMAS = {
-    books: {
-        title: { required: true, type: 'string' },
-        originalTitle: { type: 'string' },
-        author: { required: true, type: 'string' },
-        publisher: { type: 'string' },
-        country: { type: 'string' },
-        year: { type: 'number', min: 1000, max: 2100 },
-        status: { type: 'enum', values: ['reading', 'completed', 'want-to-read'] },
-        platform: { type: 'string' },
-        cover: { type: 'url' },
-        addedDate: { type: 'date' },
-        rating: { type: 'number', min: 1, max: 10 },
-        doubanId: { type: 'string' },
-        doubanUrl: { type: 'url' },
-        source: { type: 'enum', values: ['manual', 'douban'] },
-        notes: { type: 'string' }
-    },
-    movies: {
-        title: { required: true, type: 'string' },
-        originalTitle: { type: 'string' },
-        director: { type: 'string' },
-        country: { type: 'string' },
-        year: { type: 'number', min: 1000, max: 2100 },
-        status: { type: 'enum', values: ['watching', 'completed', 'want-to-watch'] },
-        cover: { required: true, type: 'url' },
-        addedDate: { type: 'date' },
-        rating: { type: 'number', min: 1, max: 10 },
-        genre: { type: 'string' },
-        type: { type: 'enum', values: ['movie'] },
-        doubanId: { type: 'string' },
-        doubanUrl: { type: 'url' },
-        source: { type: 'enum', values: ['manual', 'douban'] },
-        notes: { type: 'string' }
-    },
-    series: {
-        title: { required: true, type: 'string' },
-        originalTitle: { type: 'string' },
-        director: { type: 'string' },
-        country: { type: 'string' },
-        year: { type: 'number', min: 1000, max: 2100 },
-        status: { type: 'enum', values: ['watching', 'completed', 'want-to-watch'] },
-        cover: { required: true, type: 'url' },
-        addedDate: { type: 'date' },
-        rating: { type: 'number', min: 1, max: 10 },
-        genre: { type: 'string' },
-        type: { type: 'enum', values: ['series'] },
-        doubanId: { type: 'string' },
-        doubanUrl: { type: 'url' },
-        source: { type: 'enum', values: ['manual', 'douban'] },
-        notes: { type: 'string' }
-    },
-    music: {
-        title: { required: true, type: 'string' },
-        originalTitle: { type: 'string' },
-        artist: { required: true, type: 'string' },
-        cover: { required: true, type: 'url' },
-        year: { type: 'number', min: 1000, max: 2100 },
-        country: { type: 'string' },
-        addedDate: { type: 'date' },
-        rating: { type: 'number', min: 1, max: 10 },
-        status: { type: 'enum', values: ['completed', 'listening', 'want-to-listen'] },
-        genre: { type: 'string' },
-        doubanId: { type: 'string' },
-        doubanUrl: { type: 'url' },
-        source: { type: 'enum', values: ['manual', 'douban'] },
-        notes: { type: 'string' }
-    }
-};
-
-/**
- * Validate item data against schema
- * @param {string} type - Data type (books, movies, series, music)
- * @param {Object} data - Item data to validate
- * @returns {Object} - { isValid: boolean, errors: string[] }
- */
-function validateItem(type, data) {
-    const schema = FIELD_SCHEMAS[type];
-    if (!schema) {
-        return { isValid: false, errors: [`Unknown data type: ${type}`] };
-    }
-
-    const errors = [];
-
-    // Check for unknown fields
-    const knownFields = Object.keys(schema);
-    const unknownFields = Object.keys(data).filter(key => 
-        !knownFields.includes(key) && key !== 'id'
-    );
-    if (unknownFields.length > 0) {
-        console.warn(`Unknown fields in ${type}:`, unknownFields);
-    }
-
-    // Validate each field
-    for (const [fieldName, rules] of Object.entries(schema)) {
-        const value = data[fieldName];
-
-        // Check required
-        if (rules.required) {
-            const error = ValidationRules.required(value, fieldName);
-            if (error) {
-                errors.push(error);
-                continue;
-            }
-        }
-
-        // Skip further validation if value is empty and not required
-        if (!value && !rules.required) continue;
-
-        // Type validation
-        switch (rules.type) {
-            case 'string':
-                const stringError = ValidationRules.string(value, fieldName);
-                if (stringError) errors.push(stringError);
-                break;
-            case 'number':
-                const numberError = ValidationRules.number(value, fieldName, rules.min, rules.max);
-                if (numberError) errors.push(numberError);
-                break;
-            case 'url':
-                const urlError = ValidationRules.url(value, fieldName);
-                if (urlError) errors.push(urlError);
-                break;
-            case 'date':
-                const dateError = ValidationRules.date(value, fieldName);
-                if (dateError) errors.push(dateError);
-                break;
-            case 'enum':
-                const enumError = ValidationRules.enum(value, fieldName, rules.values);
-                if (enumError) errors.push(enumError);
-                break;
-        }
-    }
-
-    return {
-        isValid: errors.length === 0,
-        errors
-    };
-}
+// 豆瓣同步等耗时操作在后台运行，进度通过 /api/douban/sync/jobs 查询或订阅
+const jobs = createJobManager();
+// 每个豆瓣列表上次同步到的位置，增量同步只翻到这里
+const syncCheckpoints = createSyncCheckpoints({ file: join(STATE_DIR, 'douban-checkpoints.json') });
+// 上次从豆瓣导入的字段值，用来判断哪些字段在本地改过（见 merge-policy.mjs）
+const importedValues = createImportedValues({ file: join(STATE_DIR, 'douban-imported.json') });
+const subjectCache = createSubjectCache({ file: join(STATE_DIR, 'douban-subjects.json') });
+// 重复条目审核的决定：“不是重复”的条目对不再合并，手动合并掉的豆瓣条目不再被同步回来
+const duplicateDecisions = createDuplicateDecisions({ file: join(STATE_DIR, 'duplicate-decisions.json') });
+// 可选：缓存抓取到的豆瓣页面，失败后重跑不必重新下载
+const PAGE_CACHE_MINUTES = Number(process.env.DOUBAN_PAGE_CACHE_MINUTES || 0);
+const pageCache = PAGE_CACHE_MINUTES > 0
+    ? createPageCache({ dir: join(STATE_DIR, 'douban-pages'), maxAgeMs: PAGE_CACHE_MINUTES * 60 * 1000 })
+    : undefined;
+// 预览（dryRun）任务获取到的条目，应用时直接使用，不再请求豆瓣；只保留最近几次
+const syncPlans = new Map();
+const MAX_SYNC_PLANS = 3;
+
+// 严格校验：拒绝未知字段、日期必须为 YYYY-MM-DD，字符串去首尾空格、数字字符串转为数字
+const STRICT_VALIDATION = /^(1|true|yes)$/i.test(process.env.ADMIN_STRICT_VALIDATION || '');
 
 // CORS 头 - Restrict to localhost for security
 const corsHeaders = {
     'Access-Control-Allow-Origin': 'http://localhost:4321',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Key, X-Admin-Actor, If-Match',
+    'Access-Control-Expose-Headers': 'ETag, X-Total-Count',
     'Content-Type': 'application/json',
 };
 
-// 读取 JSON 文件
-async function readJsonFile(type) {
-    const filePath = DATA_FILES[type];
-    if (!filePath) {
-        throw new Error(`Unknown data type: ${type}`);
-    }
-    const content = await readFile(filePath, 'utf-8');
-    return JSON.parse(content);
+function sendJson(res, status, body) {
+    res.writeHead(status);
+    res.end(JSON.stringify(body));
 }
 
-// 写入 JSON 文件
-async function writeJsonFile(type, data) {
-    const filePath = DATA_FILES[type];
-    if (!filePath) {
-        throw new Error(`Unknown data type: ${type}`);
-    }
-    await writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+// Name recorded in the change journal for writes made through this request
+function requestMeta(req, source = 'admin') {
+    const actor = String(req.headers['x-admin-actor'] || 'admin').trim().slice(0, 64) || 'admin';
+    return { actor, source };
+}
+
+function badRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
 }
 
-// 生成新 ID
-function generateId(type, items) {
-    const prefix = type === 'books' ? 'book' :
-        type === 'movies' ? 'movie' :
-            type === 'series' ? 'series' : 'music';
-    const maxId = items.reduce((max, item) => {
-        const match = item.id?.match(new RegExp(`${prefix}-(\\d+)`));
-        return match ? Math.max(max, parseInt(match[1], 10)) : max;
-    }, 0);
-    return `${prefix}-${maxId + 1}`;
+function notFoundError(message = 'Item not found') {
+    const error = new Error(message);
+    error.statusCode = 404;
+    return error;
+}
+
+function conflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+}
+
+// 旧 id：GET 返回 301 指向条目现在的位置，其他请求和已删除的条目返回 410
+async function sendAliased(req, res, type, itemId) {
+    const target = resolveAlias((await idRegistry.read()).aliases, type, itemId);
+    if (!target) return false;
+    if (target.gone) {
+        sendJson(res, 410, { error: 'Item was deleted', deletedAt: target.at });
+    } else if (req.method === 'GET') {
+        res.setHeader('Location', `/api/${target.type}/${target.id}`);
+        sendJson(res, 301, { error: 'Item has a new id', type: target.type, id: target.id });
+    } else {
+        sendJson(res, 410, { error: 'Item has a new id', type: target.type, id: target.id });
+    }
+    return true;
 }
 
 // Authentication middleware - Check admin key for write operations
@@ -308,37 +179,118 @@ async function handleRequest(req, res) {
         return;
     }
 
-    // POST /api/douban/sync - sync public Douban collection pages into local JSON data
+    // /api/douban/sync - Douban sync runs as a background job (see handleDoubanSync)
     if (pathParts[1] === 'douban' && pathParts[2] === 'sync') {
-        if (req.method !== 'POST') {
-            res.writeHead(405);
-            res.end(JSON.stringify({ error: 'Method not allowed' }));
-            return;
+        try {
+            await handleDoubanSync(req, res, url, pathParts.slice(3));
+        } catch (error) {
+            if (!error.statusCode) console.error('Douban sync error:', error);
+            sendJson(res, error.statusCode || 500, { error: error.message, details: error.details || undefined });
         }
+        return;
+    }
 
+    // GET /api/schema[/{type}] - item schemas as JSON Schema, for validating data before import
+    if (pathParts[1] === 'schema') {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        const schemaType = pathParts[2];
+        if (schemaType && !DATA_FILES[schemaType]) return sendJson(res, 404, { error: `Unknown data type: ${schemaType}` });
+        res.setHeader('Content-Type', 'application/schema+json');
+        const options = { strict: STRICT_VALIDATION };
+        return sendJson(res, 200, schemaType ? toJsonSchema(schemaType, options) : getJsonSchemas(options));
+    }
+
+    // POST /api/covers - 上传封面（multipart 或 base64），处理后按内容哈希保存到 COVERS_DIR
+    if (pathParts[1] === 'covers' && !pathParts[2]) {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
         try {
-            const body = await getRequestBody(req);
-            const doubanUserId = String(body.userId || process.env.DOUBAN_USER_ID || '').trim();
-            const dataTypes = body.types || body.dataTypes;
-            const doubanCookie = String(body.cookie || body.doubanCookie || process.env.DOUBAN_COOKIE || '').trim();
-            const result = await syncDoubanCollection({
-                userId: doubanUserId,
-                dataTypes,
-                dataFiles: DATA_FILES,
+            const result = await saveCoverImage(await getCoverUpload(req), { coversDir: COVERS_DIR });
+            console.log(`🖼️  Cover ${result.existed ? 'reused' : 'saved'}: ${result.path}`);
+            sendJson(res, result.existed ? 200 : 201, result);
+        } catch (error) {
+            if (!error.statusCode) console.error('Cover upload error:', error);
+            sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+        return;
+    }
+
+    // GET  /api/covers/maintenance - 封面检查（只报告：孤立文件、远程封面、损坏文件）
+    // POST /api/covers/maintenance - 执行：下载远程封面、重新获取损坏文件；?delete=1 才删除孤立文件（24 小时内修改的保留）
+    if (pathParts[1] === 'covers' && pathParts[2] === 'maintenance' && !pathParts[3]) {
+        if (req.method !== 'GET' && req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        try {
+            const body = req.method === 'POST' ? await getRequestBody(req) : {};
+            const report = await maintainCovers({
+                dataStore,
+                dataTypes: DATA_TYPES,
                 coversDir: COVERS_DIR,
-                delayMs: Number(process.env.DOUBAN_SYNC_DELAY_MS || 2500),
-                cookie: doubanCookie,
+                dryRun: req.method === 'GET' || Boolean(body.dryRun),
+                deleteOrphans: req.method === 'POST' && url.searchParams.get('delete') === '1',
+                fetchRemote: body.fetchRemote !== false,
+                cookie: String(body.cookie || process.env.DOUBAN_COOKIE || '').trim(),
+                meta: requestMeta(req, 'covers'),
             });
-            console.log(`✅ Synced Douban collection: +${result.added}, updated ${result.updated}, skipped ${result.skipped}, failed ${result.failed}`);
-            res.writeHead(200);
-            res.end(JSON.stringify(result));
+            if (!report.dryRun) {
+                const { summary } = report;
+                console.log(`🖼️  Covers: deleted ${summary.deleted} orphan(s), localized ${summary.localized}, refetched ${summary.refetched}, unresolved ${summary.failed}`);
+            }
+            sendJson(res, 200, report);
         } catch (error) {
-            console.error('Douban sync error:', error);
-            res.writeHead(error.statusCode || 500);
-            res.end(JSON.stringify({
+            console.error('Cover maintenance error:', error);
+            sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+        return;
+    }
+
+    // POST /api/import/{source} - 导入其他服务的导出文件（如 Goodreads），按豆瓣同步的规则合并去重
+    if (pathParts[1] === 'import' && pathParts[2] && !pathParts[3]) {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        try {
+            const body = await getImportBody(req);
+            const result = await importExternal({
+                source: pathParts[2],
+                // zip 导出文件以 base64 发送
+                content: body.encoding === 'base64' ? Buffer.from(body.content, 'base64') : body.content,
+                options: body.options && typeof body.options === 'object' ? body.options : {},
+                dataStore,
+                coversDir: COVERS_DIR,
+                dryRun: Boolean(body.dryRun),
+                meta: requestMeta(req, `import:${pathParts[2]}`),
+                duplicateDecisions,
+            });
+            if (!result.dryRun) {
+                const counts = Object.entries(result.byType).map(([type, stats]) => `${type} +${stats.added}, updated ${stats.updated}`);
+                console.log(`✅ Imported ${IMPORT_SOURCES[result.source].label}: ${counts.join('; ')}, skipped ${result.skipped.length} row(s)`);
+            }
+            sendJson(res, 200, result);
+        } catch (error) {
+            if (!error.statusCode) console.error('Import error:', error);
+            sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+        return;
+    }
+
+    // /api/duplicates - possible duplicates to review, merge or keep apart
+    if (pathParts[1] === 'duplicates') {
+        try {
+            await handleDuplicates(req, res, url, pathParts.slice(2));
+        } catch (error) {
+            if (!error.statusCode) console.error('Duplicate review error:', error);
+            sendJson(res, error.statusCode || 500, { error: error.message, details: error.details || undefined });
+        }
+        return;
+    }
+
+    // /api/history - change journal, and reverting single changes or whole batches
+    if (pathParts[1] === 'history') {
+        try {
+            await handleHistory(req, res, url, pathParts.slice(2));
+        } catch (error) {
+            if (!error.statusCode) console.error('History error:', error);
+            sendJson(res, error.statusCode || 500, {
                 error: error.message,
                 details: error.details || undefined,
-            }));
+            });
         }
         return;
     }
@@ -347,104 +299,152 @@ async function handleRequest(req, res) {
     const itemId = pathParts[2]; // 可选的 ID
 
     try {
+        // POST /api/{type}/batch - 批量新增/更新/删除，全部成功才写入
+        if (itemId === 'batch' && !pathParts[3]) {
+            if (req.method !== 'POST') {
+                res.writeHead(405);
+                res.end(JSON.stringify({ error: 'Method not allowed' }));
+                return;
+            }
+            const body = await getRequestBody(req);
+            const result = await applyBatch(dataStore, type, body.operations, { meta: requestMeta(req), strict: STRICT_VALIDATION });
+            console.log(`✅ Batch ${type}: ${result.results.length} operation(s)`);
+            res.writeHead(200);
+            res.end(JSON.stringify(result));
+            return;
+        }
+
+        // GET /api/{type}/export?format=csv|json|ndjson - 导出整个分类
+        if (itemId === 'export' && !pathParts[3]) {
+            if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+            if (!DATA_FILES[type]) throw badRequestError(`Unknown data type: ${type}`);
+            const format = url.searchParams.get('format') || 'json';
+            const file = exportCollection(type, await dataStore.read(type), format);
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+            res.writeHead(200);
+            res.end(file.body);
+            return;
+        }
+
+        // POST /api/{type}/import - 导入 CSV/JSON/NDJSON；dryRun 只返回列映射和预览
+        if (itemId === 'import' && !pathParts[3]) {
+            if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+            const body = await getImportBody(req);
+            const result = await importCollection(type, body, requestMeta(req, 'import'));
+            if (!result.dryRun) {
+                const { summary } = result;
+                console.log(`✅ Imported ${type}: +${summary.created}, updated ${summary.updated}, rejected ${summary.rejected}`);
+            }
+            return sendJson(res, 200, result);
+        }
+
+        // POST /api/{type}/{id}/move - 移动到其他分类 { to, fields? }：转换字段、分配新 id，旧 id 记为别名
+        if (itemId && pathParts[3] === 'move' && !pathParts[4]) {
+            if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+            const result = await moveItem(req, type, itemId, await getRequestBody(req));
+            console.log(`📦 Moved ${type}/${itemId} to ${result.item.id}: ${result.item.title}`);
+            res.setHeader('ETag', itemEtag(result.item));
+            return sendJson(res, 200, result);
+        }
+
         // GET - 获取列表或单个项目
         if (req.method === 'GET') {
-            const data = await readJsonFile(type);
+            const data = await dataStore.read(type);
             if (itemId) {
                 const item = data.find(i => i.id === itemId);
                 if (!item) {
+                    if (await sendAliased(req, res, type, itemId)) return;
                     res.writeHead(404);
                     res.end(JSON.stringify({ error: 'Item not found' }));
                     return;
                 }
+                res.setHeader('ETag', itemEtag(item));
                 res.writeHead(200);
                 res.end(JSON.stringify(item));
             } else {
+                // ?status=&country=&minYear=&maxYear=&minRating=&maxRating=&source=&creator=&q=&sort=&limit=&offset=&fields=
+                const query = queryCollection(data, url.searchParams, { creatorField: CREATOR_FIELDS[type] });
+                if (query.errors.length) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Invalid query', details: query.errors }));
+                    return;
+                }
+                res.setHeader('X-Total-Count', String(query.total));
                 res.writeHead(200);
-                res.end(JSON.stringify(data));
+                res.end(JSON.stringify(query.items));
             }
             return;
         }
 
-        // POST - 创建新项目
+        // POST - 创建新项目（id 由服务器分配，请求里的 id 会被忽略）
         if (req.method === 'POST') {
-            const body = await getRequestBody(req);
-            
-            // Validate input data
-            const validation = validateItem(type, body);
-            if (!validation.isValid) {
-                res.writeHead(400);
-                res.end(JSON.stringify({ 
-                    error: 'Validation failed', 
-                    details: validation.errors 
-                }));
-                return;
-            }
-
-            const data = await readJsonFile(type);
-
-            const newItem = {
-                id: generateId(type, data),
-                ...body,
-                addedDate: body.addedDate || new Date().toISOString().split('T')[0],
-            };
-
-            // 添加到列表开头
-            data.unshift(newItem);
-            await writeJsonFile(type, data);
+            const newItem = await createItem(dataStore, type, await getRequestBody(req), {
+                meta: requestMeta(req),
+                strict: STRICT_VALIDATION,
+            });
 
             console.log(`✅ Created ${type}: ${newItem.title}`);
+            res.setHeader('ETag', itemEtag(newItem));
             res.writeHead(201);
             res.end(JSON.stringify(newItem));
             return;
         }
 
-        // PUT - 更新项目
+        // PUT - 整体替换项目（请求里没有的字段会被删除，只保留 id）
         if (req.method === 'PUT' && itemId) {
-            const body = await getRequestBody(req);
-            
-            // Validate input data (skip id validation)
-            const validation = validateItem(type, body);
+            const updated = await replaceItem(dataStore, type, itemId, await getRequestBody(req), {
+                ifMatch: req.headers['if-match'],
+                meta: requestMeta(req),
+                strict: STRICT_VALIDATION,
+            });
+
+            console.log(`✅ Updated ${type}: ${updated.title}`);
+            res.setHeader('ETag', itemEtag(updated));
+            res.writeHead(200);
+            res.end(JSON.stringify(updated));
+            return;
+        }
+
+        // PATCH - 部分更新（JSON Merge Patch：字段为 null 表示删除该字段）
+        if (req.method === 'PATCH' && itemId) {
+            const { id, ...patch } = await getRequestBody(req);
+
+            const validation = validateItem(type, patch, { partial: true, strict: STRICT_VALIDATION });
             if (!validation.isValid) {
                 res.writeHead(400);
-                res.end(JSON.stringify({ 
-                    error: 'Validation failed', 
-                    details: validation.errors 
+                res.end(JSON.stringify({
+                    error: 'Validation failed',
+                    details: validation.errors,
+                    issues: validation.issues,
                 }));
                 return;
             }
 
-            const data = await readJsonFile(type);
-
-            const index = data.findIndex(i => i.id === itemId);
-            if (index === -1) {
-                res.writeHead(404);
-                res.end(JSON.stringify({ error: 'Item not found' }));
-                return;
-            }
+            const updated = await dataStore.update(type, (data) => {
+                const index = data.findIndex(i => i.id === itemId);
+                if (index === -1) throw notFoundError();
+                assertIfMatch(req.headers['if-match'], data[index]);
 
-            data[index] = { ...data[index], ...body, id: itemId };
-            await writeJsonFile(type, data);
+                data[index] = applyPatch(data[index], validation.data);
+                return data[index];
+            }, requestMeta(req));
 
-            console.log(`✅ Updated ${type}: ${data[index].title}`);
+            console.log(`✅ Patched ${type}: ${updated.title}`);
+            res.setHeader('ETag', itemEtag(updated));
             res.writeHead(200);
-            res.end(JSON.stringify(data[index]));
+            res.end(JSON.stringify(updated));
             return;
         }
 
         // DELETE - 删除项目
         if (req.method === 'DELETE' && itemId) {
-            const data = await readJsonFile(type);
-
-            const index = data.findIndex(i => i.id === itemId);
-            if (index === -1) {
-                res.writeHead(404);
-                res.end(JSON.stringify({ error: 'Item not found' }));
-                return;
-            }
-
-            const deleted = data.splice(index, 1)[0];
-            await writeJsonFile(type, data);
+            const deleted = await dataStore.update(type, (data) => {
+                const index = data.findIndex(i => i.id === itemId);
+                if (index === -1) throw notFoundError();
+                assertIfMatch(req.headers['if-match'], data[index]);
+                return data.splice(index, 1)[0];
+            }, requestMeta(req));
 
             console.log(`🗑️ Deleted ${type}: ${deleted.title}`);
             res.writeHead(200);
@@ -455,10 +455,351 @@ async function handleRequest(req, res) {
         res.writeHead(405);
         res.end(JSON.stringify({ error: 'Method not allowed' }));
     } catch (error) {
-        console.error('Error:', error);
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: error.message }));
+        if (error.statusCode === 404 && error.message === 'Item not found' && await sendAliased(req, res, type, itemId)) return;
+        if (!error.statusCode) console.error('Error:', error);
+        res.writeHead(error.statusCode || 500);
+        res.end(JSON.stringify({
+            error: error.message,
+            details: error.details || undefined,
+            issues: error.issues || undefined,
+        }));
+    }
+}
+
+
+// Fields the target type does not have are dropped and listed in warnings; `fields`
+// fills or overrides values before the item is validated against the target schema
+async function moveItem(req, type, itemId, body) {
+    const to = body.to;
+    if (!DATA_FILES[type]) throw badRequestError(`Unknown data type: ${type}`);
+    if (!DATA_FILES[to]) throw badRequestError(`to must be one of: ${DATA_TYPES.join(', ')}`);
+    if (body.fields !== undefined && (!body.fields || typeof body.fields !== 'object' || Array.isArray(body.fields))) {
+        throw badRequestError('fields must be an object');
+    }
+
+    const { item, warnings } = await dataStore.updateMany([type, to], (data, ids) => {
+        const index = data[type].findIndex(i => i.id === itemId);
+        if (index === -1) throw notFoundError();
+        assertIfMatch(req.headers['if-match'], data[type][index]);
+
+        const converted = convertItem(data[type][index], type, to);
+        const validation = validateItem(to, { ...converted.item, ...body.fields }, { strict: STRICT_VALIDATION });
+        if (!validation.isValid) {
+            const error = badRequestError(`The item is not a valid ${to} item`);
+            error.details = validation.issues;
+            throw error;
+        }
+
+        const moved = { id: ids.nextId(to, data[to]), ...validation.data };
+        data[type].splice(index, 1);
+        data[to].unshift(moved);
+        ids.alias({ type, id: itemId }, { type: to, id: moved.id }, 'moved');
+        return { item: moved, warnings: converted.warnings };
+    }, requestMeta(req));
+
+    // Syncs bring the Douban subject back as the old type; the moved item stands for it now
+    if (item.doubanId) await duplicateDecisions.recordMerge({ kept: item.id, removed: itemId, doubanIds: [item.doubanId] });
+    return { success: true, item, from: { type, id: itemId }, warnings };
+}
+
+const IMPORT_PREVIEW_ROWS = 5;
+
+/**
+ * Import `content` (CSV, JSON array or NDJSON) into one collection.
+ * Body: { content, format?, mapping?: { column: field | null }, dryRun? }.
+ * Without a mapping, columns are matched to fields by name or label. Rows are
+ * independent: rejected rows are reported, the rest is written in one update.
+ */
+async function importCollection(type, body, meta) {
+    if (!DATA_FILES[type]) throw badRequestError(`Unknown data type: ${type}`);
+    if (body.format && !EXPORT_FORMATS.includes(body.format)) {
+        throw badRequestError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { format, columns, records } = parseImport(body.content, body.format || undefined);
+    const mapping = { ...suggestColumnMapping(type, columns), ...body.mapping };
+    const options = {
+        type,
+        records,
+        mapping,
+        strict: STRICT_VALIDATION,
+        today: new Date().toISOString().split('T')[0],
+    };
+
+    const run = (data, ids = createIdSession()) => ({
+        ...importRecords(data, { ...options, generateId: ids.nextId }),
+        format,
+        columns,
+        mapping,
+        dryRun: Boolean(body.dryRun),
+    });
+    const result = body.dryRun
+        ? run(structuredClone(await dataStore.read(type)))
+        : await dataStore.update(type, run, meta);
+    result.preview = records.slice(0, IMPORT_PREVIEW_ROWS);
+    return result;
+}
+
+// POST /api/douban/sync                         开始同步，立即返回 202 和 job；full: true 忽略检查点完整同步，
+//                                               dryRun: true 只预览（result.changes），之后用 apply 写入；
+//                                               policies: { field: policy } 覆盖 DOUBAN_MERGE_POLICIES；
+//                                               removed: ignore | flag | delete 处理豆瓣上已移除的条目（完整同步后）；
+//                                               enrich: true 逐个获取条目详情页（导演、主演、片长、ISBN、页数、曲目等）
+// GET  /api/douban/sync/checkpoints?userId=     各列表上次同步到的位置
+// GET  /api/douban/sync/jobs                    最近的同步任务
+// GET  /api/douban/sync/jobs/:id                任务状态、进度和结果
+// GET  /api/douban/sync/jobs/:id/events         Server-Sent Events：progress / done
+// POST /api/douban/sync/jobs/:id/cancel         取消；写入前取消不会改动任何数据
+// POST /api/douban/sync/jobs/:id/apply          应用预览任务中选中的变更 { approve: [changeId] }，返回新的 job
+async function handleDoubanSync(req, res, url, parts) {
+    if (parts.length === 0) {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        const body = await getRequestBody(req);
+        const userId = String(body.userId || process.env.DOUBAN_USER_ID || '').trim();
+        const dataTypes = body.types || body.dataTypes;
+        const cookie = String(body.cookie || body.doubanCookie || process.env.DOUBAN_COOKIE || '').trim();
+        const full = body.full === true;
+        const dryRun = body.dryRun === true;
+        const enrich = typeof body.enrich === 'boolean' ? body.enrich : process.env.DOUBAN_ENRICH === 'true';
+        if (!userId) throw badRequestError('Douban user ID is required');
+        const policies = parseMergePolicies(process.env.DOUBAN_MERGE_POLICIES, body.policies);
+        const removedPolicy = String(body.removed || process.env.DOUBAN_REMOVED_POLICY || 'ignore').trim();
+        if (!REMOVED_POLICIES.includes(removedPolicy)) {
+            throw badRequestError(`removed must be one of: ${REMOVED_POLICIES.join(', ')}`);
+        }
+
+        // The cookie stays out of the job params, which anyone can read through GET
+        const job = jobs.start('douban-sync', async ({ id, signal, report }) => {
+            const { fetched, ...result } = await syncDoubanCollection({
+                userId,
+                dataTypes,
+                dataStore,
+                coversDir: COVERS_DIR,
+                delayMs: Number(process.env.DOUBAN_SYNC_DELAY_MS || 2500),
+                retries: Number(process.env.DOUBAN_SYNC_RETRIES || 3),
+                pageCache,
+                cookie,
+                checkpoints: syncCheckpoints,
+                full,
+                dryRun,
+                policies,
+                importedValues,
+                journal: changeJournal,
+                removedPolicy,
+                duplicateDecisions,
+                enrich,
+                subjectCache,
+                enrichLimit: Number(process.env.DOUBAN_ENRICH_LIMIT || 100),
+                signal,
+                onProgress: report,
+            });
+            if (dryRun) {
+                syncPlans.set(id, { fetched, cookie, policies, removedPolicy });
+                for (const planId of [...syncPlans.keys()].slice(0, -MAX_SYNC_PLANS)) syncPlans.delete(planId);
+                console.log(`🔍 Planned Douban sync: ${result.changes.length} change(s)`);
+                return result;
+            }
+            console.log(`✅ Synced Douban collection: +${result.added}, updated ${result.updated} (${result.overwritten.length} field(s) overwritten), skipped ${result.skipped}, failed ${result.failed}, ${result.missing.length} no longer on Douban`);
+            return result;
+        }, { params: { userId, types: dataTypes || 'all', full, dryRun, enrich, policies, removed: removedPolicy } });
+        console.log(`🔄 Douban sync job ${job.id} started for ${userId}`);
+        return sendJson(res, 202, job);
+    }
+
+    if (parts[0] === 'checkpoints' && !parts[1]) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        const userId = String(url.searchParams.get('userId') || process.env.DOUBAN_USER_ID || '').trim();
+        if (!userId) throw badRequestError('Douban user ID is required');
+        return sendJson(res, 200, { userId, checkpoints: await syncCheckpoints.read(userId) });
+    }
+
+    if (parts[0] !== 'jobs') throw notFoundError('Not found');
+    if (!parts[1]) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        return sendJson(res, 200, { jobs: jobs.list({ kind: 'douban-sync' }) });
+    }
+
+    const job = jobs.get(parts[1]);
+    if (!job || job.kind !== 'douban-sync') throw notFoundError('Job not found');
+
+    if (!parts[2]) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        return sendJson(res, 200, job);
+    }
+
+    if (parts[2] === 'cancel' && !parts[3]) {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        console.log(`⏹️  Cancelling Douban sync job ${job.id}`);
+        return sendJson(res, 202, jobs.cancel(job.id));
+    }
+
+    if (parts[2] === 'apply' && !parts[3]) {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        const plan = syncPlans.get(job.id);
+        if (!job.params?.dryRun || job.state !== 'succeeded' || !plan) {
+            throw conflictError('Only a finished sync preview can be applied, once');
+        }
+        const body = await getRequestBody(req);
+        if (!Array.isArray(body.approve)) throw badRequestError('approve must be a list of change ids');
+
+        const applyJob = jobs.start('douban-sync', async ({ signal, report }) => {
+            const result = await applyDoubanSync({
+                fetched: plan.fetched,
+                approve: body.approve,
+                dataStore,
+                coversDir: COVERS_DIR,
+                cookie: plan.cookie,
+                checkpoints: syncCheckpoints,
+                policies: plan.policies,
+                importedValues,
+                journal: changeJournal,
+                removedPolicy: plan.removedPolicy,
+                duplicateDecisions,
+                signal,
+                onProgress: report,
+            });
+            syncPlans.delete(job.id);
+            console.log(`✅ Applied Douban sync preview: +${result.added}, updated ${result.updated}, skipped ${result.skipped}`);
+            return result;
+        }, { params: { userId: job.params.userId, types: job.params.types, appliedFrom: job.id, approved: body.approve.length } });
+        return sendJson(res, 202, applyJob);
+    }
+
+    if (parts[2] === 'events' && !parts[3]) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        return streamJobEvents(req, res, job);
+    }
+
+    throw notFoundError('Not found');
+}
+
+// Server-Sent Events: the current state first, then every progress update and a final done
+function streamJobEvents(req, res, job) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    if (job.state !== 'running') {
+        send('done', job);
+        res.end();
+        return;
     }
+
+    send('progress', job);
+    // 注释行保持连接，防止代理超时断开
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const unsubscribe = jobs.subscribe(job.id, (event, current) => {
+        send(event, current);
+        if (event === 'done') res.end();
+    });
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    res.on('close', close);
+}
+
+// GET  /api/duplicates?types=                 可能重复的条目对，按可能性排序：confidence（0–1）、命中的规则（rules），
+//                                             automatic 表示同步后的去重会自动合并
+// POST /api/duplicates/merge                  { keep: { type, id }, remove: { type, id }, fields?: { field: 'keep' | 'remove' } }
+//                                             按字段选择保留哪边的值，删除另一条，并记住这次合并
+// POST /api/duplicates/distinct               { items: [{ type, id }, { type, id }] } 标记为“不是重复”，同步和去重都不再合并
+async function handleDuplicates(req, res, url, parts) {
+    if (parts.length === 0) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        const requested = (url.searchParams.get('types') || '').split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = requested.filter(type => !DATA_FILES[type]);
+        if (unknown.length) throw badRequestError(`Unknown data type: ${unknown.join(', ')}`);
+        const dataTypes = requested.length ? requested : DATA_TYPES;
+        const candidates = findDuplicateCandidates(await dataStore.readAll(dataTypes), {
+            dataTypes,
+            decisions: await duplicateDecisions.read(),
+        });
+        return sendJson(res, 200, { candidates });
+    }
+
+    if (parts.length !== 1) throw notFoundError('Not found');
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+    const body = await getRequestBody(req);
+
+    if (parts[0] === 'merge') {
+        const { keep, remove } = body;
+        if ([keep, remove].some(target => !DATA_FILES[target?.type] || !target.id)) {
+            throw badRequestError('keep and remove must be { type, id } of known data types');
+        }
+        const merged = await dataStore.updateMany([...new Set([keep.type, remove.type])], (data, ids) => {
+            const result = mergeDuplicatePair(data, { keep, remove, fields: body.fields || {} });
+            ids.alias(remove, keep, 'merged');
+            const validation = validateItem(keep.type, result.kept, { strict: STRICT_VALIDATION });
+            if (!validation.isValid) {
+                const error = badRequestError('The merged item is not valid');
+                error.details = validation.issues;
+                throw error;
+            }
+            return result;
+        }, requestMeta(req, 'duplicates'));
+        await duplicateDecisions.recordMerge({ kept: merged.kept.id, removed: merged.removed.id, doubanIds: merged.doubanIds });
+        console.log(`🔗 Merged ${remove.type}/${remove.id} into ${keep.type}/${keep.id}`);
+        return sendJson(res, 200, { success: true, item: merged.kept, removed: merged.removed });
+    }
+
+    if (parts[0] === 'distinct') {
+        const items = Array.isArray(body.items) ? body.items : [];
+        if (items.length !== 2 || items.some(item => !DATA_FILES[item?.type] || !item.id) || items[0].id === items[1].id) {
+            throw badRequestError('items must be two different { type, id }');
+        }
+        const data = await dataStore.readAll([...new Set(items.map(item => item.type))]);
+        for (const item of items) {
+            if (!data[item.type].some(existing => existing.id === item.id)) throw notFoundError(`Item not found: ${item.type}/${item.id}`);
+        }
+        await duplicateDecisions.markDistinct(items[0].id, items[1].id);
+        console.log(`↔️  Kept apart ${items[0].id} and ${items[1].id}`);
+        return sendJson(res, 200, { success: true });
+    }
+
+    throw notFoundError('Not found');
+}
+
+// GET  /api/history                           最近的变更
+// POST /api/history/:changeId/revert           撤销单条变更
+// POST /api/history/batches/:batchId/revert    撤销整批变更（如一次豆瓣同步）
+async function handleHistory(req, res, url, parts) {
+    if (parts.length === 0) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        const limit = Math.min(Number(url.searchParams.get('limit')) || 50, 500);
+        const changes = await changeJournal.list({
+            limit,
+            type: url.searchParams.get('type') || undefined,
+            itemId: url.searchParams.get('itemId') || undefined,
+            batchId: url.searchParams.get('batchId') || undefined,
+        });
+        return sendJson(res, 200, { changes });
+    }
+
+    const isBatch = parts[0] === 'batches';
+    const targetId = isBatch ? parts[1] : parts[0];
+    if (!targetId || parts[isBatch ? 2 : 1] !== 'revert') throw notFoundError('Not found');
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+
+    const body = await getRequestBody(req);
+    const changes = isBatch
+        ? await changeJournal.batch(targetId)
+        : [await changeJournal.get(targetId)].filter(Boolean);
+    if (!changes.length) throw notFoundError(isBatch ? 'Batch not found' : 'Change not found');
+
+    const types = [...new Set(changes.map(change => change.type))];
+    const batchId = createBatchId();
+    await dataStore.updateMany(
+        types,
+        (data) => revertChanges(data, changes, { force: Boolean(body.force) }),
+        { ...requestMeta(req, 'revert'), batchId, revertOf: targetId },
+    );
+
+    console.log(`↩️  Reverted ${changes.length} change(s) from ${targetId}`);
+    sendJson(res, 200, { success: true, reverted: changes.length, batchId });
 }
 
 // 解析请求体
@@ -485,6 +826,69 @@ function getRequestBody(req) {
     });
 }
 
+function getRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                const error = new Error('Request body too large');
+                error.statusCode = 413;
+                reject(error);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// 导入的文件内容放在 JSON 的 content 字段里，允许比普通请求大
+const MAX_IMPORT_BODY_SIZE = 20_000_000; // 20 MB
+
+async function getImportBody(req) {
+    const body = await getRawBody(req, MAX_IMPORT_BODY_SIZE);
+    try {
+        const parsed = JSON.parse(body.toString('utf-8') || '{}');
+        if (typeof parsed.content !== 'string') throw badRequestError('content must be the text of the import file');
+        return parsed;
+    } catch (error) {
+        if (error.statusCode) throw error;
+        throw badRequestError('Invalid JSON');
+    }
+}
+
+// 封面上传：multipart/form-data 的 file 字段，或 JSON { image: "<base64 或 data URL>" }
+async function getCoverUpload(req) {
+    const contentType = req.headers['content-type'] || '';
+    // base64 比原图大约 1/3，另留表单头部的余量
+    const body = await getRawBody(req, Math.ceil(MAX_COVER_UPLOAD_BYTES * 4 / 3) + 64 * 1024);
+
+    if (/^multipart\/form-data/i.test(contentType)) {
+        const parts = parseMultipart(body, contentType);
+        const file = parts.find(part => part.name === 'file') || parts.find(part => part.filename !== undefined);
+        if (!file) throw badRequestError('multipart upload must contain a file field');
+        return file.data;
+    }
+
+    if (/^application\/json/i.test(contentType)) {
+        let payload;
+        try {
+            payload = JSON.parse(body.toString('utf-8') || '{}');
+        } catch {
+            throw badRequestError('Invalid JSON');
+        }
+        return decodeBase64Image(payload.image ?? payload.data);
+    }
+
+    const error = new Error('Send the image as multipart/form-data or JSON { image: base64 }');
+    error.statusCode = 415;
+    throw error;
+}
+
 // 启动服务器
 const server = createServer(handleRequest);
 server.listen(PORT, () => {
@@ -496,13 +900,25 @@ server.listen(PORT, () => {
 ║   端口: http://${HOST}:${PORT}                              ║
 ║                                                            ║
 ║   API 端点:                                                 ║
-║   - GET    /api/books          获取所有书籍                ║
+║   - GET    /api/books          获取书籍（支持筛选/排序/分页）║
 ║   - POST   /api/books          添加新书籍                  ║
 ║   - PUT    /api/books/:id      更新书籍                    ║
+║   - PATCH  /api/books/:id      部分更新（null 删除字段）   ║
 ║   - DELETE /api/books/:id      删除书籍                    ║
-║   - POST   /api/douban/sync    同步豆瓣收藏                ║
+║   - POST   /api/books/batch    批量新增/更新/删除          ║
+║   - GET    /api/books/export   导出 (?format=csv|json|ndjson)║
+║   - POST   /api/books/import   导入 CSV/JSON/NDJSON        ║
+║   - POST   /api/douban/sync    同步豆瓣收藏（后台任务）    ║
+║   - GET    /api/douban/sync/jobs/:id/events  同步进度 (SSE)║
+║   - POST   /api/douban/sync/jobs/:id/cancel  取消同步      ║
+║   - POST   /api/import/:source 导入 Goodreads 等导出文件   ║
+║   - GET    /api/history        变更记录                    ║
+║   - POST   /api/history/:id/revert  撤销变更               ║
+║   - GET    /api/schema         条目 JSON Schema            ║
+║   - POST   /api/covers         上传封面图片                ║
+║   - POST   /api/covers/maintenance  封面清理与修复 (GET 预览)║
 ║                                                            ║
-║   同样支持: /api/movies, /api/series, /api/music           ║
+║   同样支持: ${DATA_TYPES.filter(type => type !== 'books').map(type => `/api/${type}`).join(', ')}
 ║                                                            ║
 ║   环境变量:                                                 ║
 ║   - ADMIN_API_PORT             设置端口 (默认: 4322)       ║
@@ -1,22 +1,56 @@
-import { readFile, writeFile } from "node:fs/promises";
 import { join } from "node:path";
+import { createBatchId, createChangeJournal } from "../src/utils/change-journal.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
 import { dedupeCollectionData } from "../src/utils/douban-sync.mjs";
+import { createDuplicateDecisions, findDuplicateCandidates } from "../src/utils/duplicate-review.mjs";
+import { createIdRegistry } from "../src/utils/item-ids.mjs";
+import { DATA_TYPES } from "../src/utils/media-types.mjs";
 
-const DATA_TYPES = ["books", "movies", "series", "music"];
+// Merge duplicates like the dedupe after a sync, respecting the decisions made in the
+// admin's duplicate review. The merges are one batch in the change journal, so the
+// admin can revert them. --dry-run lists every possible duplicate pair instead, with
+// its confidence and the rules that fired; "auto" marks the ones this would merge.
 const DATA_DIR = join(process.cwd(), "src", "data");
+const STATE_DIR = join(process.cwd(), ".admin-state");
 const dryRun = process.argv.includes("--dry-run");
 
-const existingData = {};
-for (const type of DATA_TYPES) {
-    existingData[type] = JSON.parse(await readFile(join(DATA_DIR, `${type}.json`), "utf-8"));
-}
+const dataStore = createDataStore({
+    dataFiles: Object.fromEntries(DATA_TYPES.map((type) => [type, join(DATA_DIR, `${type}.json`)])),
+    backupDir: join(STATE_DIR, "backups"),
+    journal: createChangeJournal({ file: join(STATE_DIR, "journal.ndjson") }),
+    ids: createIdRegistry({ file: join(DATA_DIR, "ids.json") }),
+});
+const duplicateDecisions = createDuplicateDecisions({ file: join(STATE_DIR, "duplicate-decisions.json") });
+const { keepApart } = await duplicateDecisions.hooks();
 
-const result = dedupeCollectionData(existingData);
+const batchId = createBatchId();
+let existingData;
+let result;
+if (dryRun) {
+    existingData = await dataStore.readAll(DATA_TYPES);
+    result = dedupeCollectionData(existingData, DATA_TYPES, { keepApart });
+} else {
+    ({ existingData, result } = await dataStore.updateMany(
+        DATA_TYPES,
+        (data, ids) => {
+            const existingData = { ...data };
+            const result = dedupeCollectionData(existingData, DATA_TYPES, { keepApart });
+            Object.assign(data, result.data);
+            for (const merge of result.merges) ids.alias(merge.removed, merge.kept, "merged");
+            return { existingData, result };
+        },
+        { actor: "cli", source: "dedupe", batchId },
+    ));
+}
 
-if (!dryRun) {
-    for (const type of DATA_TYPES) {
-        await writeFile(join(DATA_DIR, `${type}.json`), `${JSON.stringify(result.data[type], null, 2)}\n`, "utf-8");
+if (dryRun) {
+    const candidates = findDuplicateCandidates(existingData, { dataTypes: DATA_TYPES, decisions: await duplicateDecisions.read() });
+    for (const candidate of candidates) {
+        const [left, right] = candidate.items.map(({ type, item }) => `${type}/${item.id} ${item.title}`);
+        const flags = `${candidate.rules.join(", ")}${candidate.automatic ? ", auto" : ""}`;
+        console.log(`${candidate.confidence.toFixed(2)}  ${left}  <->  ${right}  (${flags})`);
     }
+    console.log(`${candidates.length} possible duplicate pair(s)`);
 }
 
 for (const type of DATA_TYPES) {
@@ -27,4 +61,6 @@ for (const type of DATA_TYPES) {
 
 if (dryRun) {
     console.log("dry run only; no files changed");
+} else if (DATA_TYPES.some((type) => existingData[type].length !== result.data[type].length)) {
+    console.log(`change batch ${batchId}; revert it in the admin's change history`);
 }
@@ -0,0 +1,22 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { renderTypeScript } from "../src/utils/item-schema.mjs";
+
+const TARGET = join(process.cwd(), "src", "types", "schema.ts");
+const check = process.argv.includes("--check");
+
+const source = renderTypeScript();
+const current = await readFile(TARGET, "utf-8").catch(() => "");
+
+if (check) {
+    if (current !== source) {
+        console.error("src/types/schema.ts is out of date; run `npm run generate:types`");
+        process.exit(1);
+    }
+    console.log("src/types/schema.ts is up to date");
+} else if (current === source) {
+    console.log("src/types/schema.ts unchanged");
+} else {
+    await writeFile(TARGET, source, "utf-8");
+    console.log("wrote src/types/schema.ts");
+}
@@ -0,0 +1,55 @@
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { createChangeJournal } from "../src/utils/change-journal.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createDuplicateDecisions } from "../src/utils/duplicate-review.mjs";
+import { IMPORT_SOURCES, importExternal } from "../src/utils/external-import.mjs";
+import { createIdRegistry } from "../src/utils/item-ids.mjs";
+import { DATA_TYPES } from "../src/utils/media-types.mjs";
+
+// Import another service's export file, merged like a Douban sync.
+// Usage: npm run import -- goodreads goodreads_library_export.csv [--dry-run]
+// Listening history: --min-plays=N (plays an album needs), --recent-days=N (played since -> listening)
+const DATA_DIR = join(process.cwd(), "src", "data");
+const STATE_DIR = join(process.cwd(), ".admin-state");
+const dryRun = process.argv.includes("--dry-run");
+const [source, file] = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+const flag = (name) => process.argv.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1];
+const options = {};
+if (flag("min-plays")) options.minPlays = Number(flag("min-plays"));
+if (flag("recent-days")) options.recentDays = Number(flag("recent-days"));
+
+if (!IMPORT_SOURCES[source] || !file) {
+    console.error(`Usage: npm run import -- <${Object.keys(IMPORT_SOURCES).join("|")}> <file> [--dry-run]`);
+    process.exit(1);
+}
+
+const dataStore = createDataStore({
+    dataFiles: Object.fromEntries(DATA_TYPES.map((type) => [type, join(DATA_DIR, `${type}.json`)])),
+    backupDir: join(STATE_DIR, "backups"),
+    journal: createChangeJournal({ file: join(STATE_DIR, "journal.ndjson") }),
+    ids: createIdRegistry({ file: join(DATA_DIR, "ids.json") }),
+});
+
+const result = await importExternal({
+    source,
+    content: await readFile(file),
+    options,
+    dataStore,
+    coversDir: join(process.cwd(), "src", "assets", "covers"),
+    dryRun,
+    meta: { actor: "cli" },
+    duplicateDecisions: createDuplicateDecisions({ file: join(STATE_DIR, "duplicate-decisions.json") }),
+});
+
+for (const [type, stats] of Object.entries(result.byType)) {
+    const deduped = result.deduped[type]?.removed || 0;
+    console.log(
+        `${type}: ${result.entries[type]} entries, added ${stats.added}, updated ${stats.updated}, ` +
+            `unchanged ${stats.skipped}, duplicates removed ${deduped}`,
+    );
+}
+for (const entry of result.skipped) {
+    console.log(`skipped ${entry.title || `row ${entry.row + 1}`}: ${entry.reason}`);
+}
+if (dryRun) console.log("dry run only; no files changed");
@@ -0,0 +1,52 @@
+import { join } from "node:path";
+import { createChangeJournal } from "../src/utils/change-journal.mjs";
+import { maintainCovers } from "../src/utils/covers.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { DATA_TYPES } from "../src/utils/media-types.mjs";
+
+// Clean up src/assets/covers: download remote covers, fetch broken files again, list
+// covers sharp cannot decode and files no item uses.
+// --dry-run: only report; --delete-orphans: delete unused files older than a day; --offline: no downloads
+const DATA_DIR = join(process.cwd(), "src", "data");
+const STATE_DIR = join(process.cwd(), ".admin-state");
+const dryRun = process.argv.includes("--dry-run");
+
+const dataStore = createDataStore({
+    dataFiles: Object.fromEntries(DATA_TYPES.map((type) => [type, join(DATA_DIR, `${type}.json`)])),
+    backupDir: join(STATE_DIR, "backups"),
+    journal: createChangeJournal({ file: join(STATE_DIR, "journal.ndjson") }),
+});
+
+const report = await maintainCovers({
+    dataStore,
+    dataTypes: DATA_TYPES,
+    coversDir: join(process.cwd(), "src", "assets", "covers"),
+    dryRun,
+    deleteOrphans: process.argv.includes("--delete-orphans"),
+    fetchRemote: !process.argv.includes("--offline"),
+    cookie: process.env.DOUBAN_COOKIE,
+    meta: { actor: "cli", source: "covers" },
+});
+
+console.log(`${report.files} file(s), ${report.referenced} referenced by items`);
+for (const orphan of report.orphans) {
+    const state = orphan.deleted ? " deleted" : orphan.recent ? " kept, modified in the last day" : "";
+    console.log(`orphan  ${orphan.file} (${orphan.bytes} bytes)${state}`);
+}
+for (const entry of report.remote) {
+    const detail = entry.path || entry.error || entry.url;
+    console.log(`remote  ${entry.type}/${entry.id} ${entry.title}: ${entry.status} ${detail}`);
+}
+for (const entry of report.broken) {
+    const users = entry.items.map((item) => `${item.type}/${item.id}`).join(", ");
+    const detail = entry.error || entry.message || "";
+    console.log(`broken  ${entry.file} [${entry.reason}] ${entry.status}${detail ? `: ${detail}` : ""} (used by ${users})`);
+}
+
+const { summary } = report;
+console.log(
+    `\norphans ${summary.orphans} (deleted ${summary.deleted}), remote ${summary.remote} (localized ${summary.localized}), ` +
+        `broken ${summary.broken} (refetched ${summary.refetched}), unresolved ${summary.failed}`,
+);
+if (dryRun) console.log("dry run only; no files changed");
+if (summary.failed) process.exitCode = 1;
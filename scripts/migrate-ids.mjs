@@ -0,0 +1,37 @@
+import { join } from "node:path";
+import { createChangeJournal } from "../src/utils/change-journal.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createIdRegistry, planIdMigration } from "../src/utils/item-ids.mjs";
+import { DATA_TYPES } from "../src/utils/media-types.mjs";
+
+// Start the id counters in src/data/ids.json past every id used so far: in the data,
+// in the change journal and in the aliases already recorded. Ids the journal saw deleted
+// are recorded as deleted. Existing ids do not change, and running it again changes
+// nothing. Usage: npm run migrate:ids [-- --dry-run]
+const DATA_DIR = join(process.cwd(), "src", "data");
+const STATE_DIR = join(process.cwd(), ".admin-state");
+const dryRun = process.argv.includes("--dry-run");
+
+const dataStore = createDataStore({
+    dataFiles: Object.fromEntries(DATA_TYPES.map((type) => [type, join(DATA_DIR, `${type}.json`)])),
+});
+const registry = createIdRegistry({ file: join(DATA_DIR, "ids.json") });
+
+const journal = await createChangeJournal({ file: join(STATE_DIR, "journal.ndjson") }).list({ limit: Infinity });
+const saved = await registry.read();
+const plan = planIdMigration({
+    data: await dataStore.readAll(),
+    journal: journal.reverse(),
+    aliases: saved.aliases,
+});
+
+for (const type of DATA_TYPES) {
+    const counter = Math.max(saved.counters[type] || 0, plan.counters[type] || 0);
+    console.log(`${type}: next id number ${counter + 1}`);
+}
+console.log(`${Object.keys(plan.aliases).length} deleted id(s) from the change journal`);
+
+if (!dryRun) {
+    await registry.seed(plan);
+    console.log("Saved src/data/ids.json");
+}
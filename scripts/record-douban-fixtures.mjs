@@ -0,0 +1,44 @@
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createRecordingFetch } from "../src/utils/douban-fixtures.mjs";
+import { syncDoubanCollection } from "../src/utils/douban-sync.mjs";
+
+// Record a real Douban sync as fixture files, for tests that replay it offline.
+// Usage: npm run record:douban -- <userId> <dir> [--types=movies,books] [--enrich] [--enrich-limit=N]
+// The sync runs into empty temporary data files and covers, so src/ is left alone.
+// Fixtures hold the public pages fetched; set DOUBAN_COOKIE only if they are blocked.
+const [userId, dir] = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+const flag = (name) => process.argv.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1];
+
+if (!userId || !dir) {
+    console.error("Usage: npm run record:douban -- <userId> <dir> [--types=movies,books] [--enrich] [--enrich-limit=N]");
+    process.exit(1);
+}
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-douban-record-"));
+try {
+    const dataFiles = Object.fromEntries(["books", "movies", "series", "music"].map((type) => [type, join(root, `${type}.json`)]));
+    for (const file of Object.values(dataFiles)) await writeFile(file, "[]\n", "utf-8");
+
+    const result = await syncDoubanCollection({
+        userId,
+        dataTypes: flag("types")?.split(","),
+        dataStore: createDataStore({ dataFiles }),
+        coversDir: join(root, "covers"),
+        delayMs: Number(process.env.DOUBAN_SYNC_DELAY_MS || 2500),
+        cookie: process.env.DOUBAN_COOKIE,
+        fetchImpl: createRecordingFetch({ dir }),
+        enrich: process.argv.includes("--enrich"),
+        enrichLimit: flag("enrich-limit") ? Number(flag("enrich-limit")) : undefined,
+        onProgress: (event) => {
+            if (event.phase === "fetch" && event.page) console.log(`${event.type} ${event.status}: page ${event.page}`);
+        },
+    });
+
+    console.log(`recorded ${result.http.requests} request(s) into ${dir}: +${result.added}, failed ${result.failed}`);
+    for (const failure of result.failures) console.log(`failed ${failure.title || `${failure.type} ${failure.status}`}: ${failure.message}`);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
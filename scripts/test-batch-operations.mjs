@@ -0,0 +1,165 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { MAX_BATCH_OPERATIONS, applyBatch, createItem, replaceItem } from "../src/utils/batch-operations.mjs";
+import { createChangeJournal } from "../src/utils/change-journal.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { itemEtag } from "../src/utils/item-versions.mjs";
+
+const books = [
+    { id: "book-2", title: "兄弟", author: "余华", status: "reading", rating: 7, notes: "上部" },
+    { id: "book-1", title: "活着", author: "余华", status: "completed", rating: 9 },
+];
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-batch-"));
+try {
+    const file = join(root, "books.json");
+    await writeFile(file, `${JSON.stringify(books, null, 2)}\n`, "utf-8");
+    const journal = createChangeJournal({ file: join(root, "journal.ndjson") });
+    const store = createDataStore({ dataFiles: { books: file }, journal });
+    let writes = 0;
+    const counted = {
+        types: store.types,
+        update(...args) {
+            writes += 1;
+            return store.update(...args);
+        },
+    };
+
+    // Invalid requests are refused before anything is read
+    for (const [operations, pattern] of [
+        [[], /non-empty array/],
+        [undefined, /non-empty array/],
+        [Array.from({ length: MAX_BATCH_OPERATIONS + 1 }, () => ({ op: "delete", id: "book-1" })), /At most/],
+    ]) {
+        await assert.rejects(applyBatch(counted, "books", operations), (error) => error.statusCode === 400 && pattern.test(error.message));
+    }
+    await assert.rejects(applyBatch(counted, "games", [{ op: "delete", id: "x" }]), /Unknown data type: games/);
+
+    // A payload that does not validate fails the batch before the write; the others are 424
+    await assert.rejects(
+        applyBatch(counted, "books", [
+            { op: "create", data: { title: "第七天", author: "余华" } },
+            { op: "update", id: "book-1", data: { rating: 42 } },
+            { op: "rename", id: "book-1" },
+            { op: "delete" },
+        ]),
+        (error) => {
+            assert.equal(error.statusCode, 400);
+            assert.deepEqual(error.details.map((result) => result.status), [424, 400, 400, 400]);
+            assert.match(error.details[1].issues[0].path, /^operations\[1\]\.data\.rating/);
+            return true;
+        },
+    );
+    assert.equal(writes, 0);
+
+    // A stale ifMatch or a missing item rolls back the whole batch, including the operations before it
+    const before = await readFile(file, "utf-8");
+    const stale = itemEtag({ ...books[1], rating: 8 });
+    await assert.rejects(
+        applyBatch(counted, "books", [
+            { op: "create", data: { title: "第七天", author: "余华" } },
+            { op: "delete", id: "book-2" },
+            { op: "update", id: "book-1", data: { rating: 10 }, ifMatch: stale },
+            { op: "delete", id: "book-404" },
+        ]),
+        (error) => {
+            assert.equal(error.statusCode, 412);
+            assert.deepEqual(error.details.map((result) => result.status), [424, 424, 412, 404]);
+            assert.equal(error.details.some((result) => "item" in result), false);
+            return true;
+        },
+    );
+    assert.equal(await readFile(file, "utf-8"), before);
+    assert.deepEqual(await journal.list(), []);
+
+    // A batch that passes is written once and journaled as one batch
+    writes = 0;
+    const result = await applyBatch(counted, "books", [
+        { op: "create", data: { title: "第七天", author: "余华", status: "want-to-read" } },
+        { op: "update", id: "book-2", data: { status: "completed", notes: null }, ifMatch: itemEtag(books[0]) },
+        { op: "delete", id: "book-1" },
+    ], { meta: { actor: "tester" } });
+    assert.equal(writes, 1);
+    assert.deepEqual(result.results.map((entry) => [entry.op, entry.status, entry.id]), [
+        ["create", 201, "book-3"],
+        ["update", 200, "book-2"],
+        ["delete", 200, "book-1"],
+    ]);
+    const saved = JSON.parse(await readFile(file, "utf-8"));
+    assert.deepEqual(saved.map((item) => item.id), ["book-3", "book-2"]);
+    assert.equal(saved[1].status, "completed");
+    assert.equal("notes" in saved[1], false);
+    const entries = await journal.list();
+    assert.equal(entries.length, 3);
+    assert.equal(new Set(entries.map((entry) => entry.batchId)).size, 1);
+    assert.equal(entries[0].actor, "tester");
+
+    // ifMatch follows If-Match: the weak form of the current tag and `*` match, a list
+    // matches when one of its tags does
+    const [book3, book2] = JSON.parse(await readFile(file, "utf-8"));
+    const tagged = await applyBatch(counted, "books", [
+        { op: "update", id: "book-3", data: { rating: 6 }, ifMatch: `W/${itemEtag(book3)}` },
+        { op: "update", id: "book-2", data: { rating: 8 }, ifMatch: "*" },
+    ]);
+    assert.deepEqual(tagged.results.map((entry) => entry.status), [200, 200]);
+    const [retagged] = JSON.parse(await readFile(file, "utf-8"));
+    const listed = await applyBatch(counted, "books", [
+        { op: "update", id: "book-3", data: { rating: 7 }, ifMatch: `${stale}, W/${itemEtag(retagged)}` },
+    ]);
+    assert.equal(listed.results[0].status, 200);
+    await assert.rejects(
+        applyBatch(counted, "books", [{ op: "update", id: "book-2", data: { rating: 9 }, ifMatch: `W/${itemEtag(book2)}` }]),
+        (error) => error.statusCode === 412 && error.details[0].status === 412,
+    );
+    assert.deepEqual(JSON.parse(await readFile(file, "utf-8")).map((item) => item.rating), [7, 8]);
+
+    // A single create gets the next id; an id in the body cannot pick or replace one
+    writes = 0;
+    const created = await createItem(counted, "books", { id: "book-2", title: "第七天", author: "余华", status: "completed" });
+    assert.equal(created.id, "book-4");
+    assert.match(created.addedDate, /^\d{4}-\d{2}-\d{2}$/);
+    const afterCreate = JSON.parse(await readFile(file, "utf-8"));
+    assert.deepEqual(afterCreate.map((item) => item.id), ["book-4", "book-3", "book-2"]);
+    assert.equal(afterCreate[2].title, "兄弟");
+    await assert.rejects(
+        createItem(counted, "books", { title: "" }),
+        (error) => error.statusCode === 400 && error.details.length > 0 && error.issues.some((issue) => issue.path === "title"),
+    );
+    assert.equal(writes, 1);
+
+    // A replacement keeps only the id: a field sent blank is cleared rather than kept
+    const stored = JSON.parse(await readFile(file, "utf-8")).find((item) => item.id === "book-2");
+    assert.equal(stored.rating, 8);
+    const replaced = await replaceItem(
+        counted,
+        "books",
+        "book-2",
+        { id: "book-9", title: "兄弟", author: "余华", status: "completed", rating: "  " },
+        { strict: true, ifMatch: itemEtag(stored) },
+    );
+    assert.deepEqual(replaced, { id: "book-2", title: "兄弟", author: "余华", status: "completed" });
+    const afterReplace = JSON.parse(await readFile(file, "utf-8"));
+    assert.deepEqual(afterReplace.map((item) => item.id), ["book-4", "book-3", "book-2"]);
+    assert.deepEqual(afterReplace[2], replaced);
+    await assert.rejects(
+        replaceItem(counted, "books", "book-2", { title: "兄弟", author: "余华" }, { ifMatch: itemEtag(stored) }),
+        (error) => error.statusCode === 412,
+    );
+    await assert.rejects(
+        replaceItem(counted, "books", "book-7", { title: "兄弟", author: "余华" }),
+        (error) => error.statusCode === 404 && error.message === "Item not found",
+    );
+    writes = 0;
+    await assert.rejects(
+        replaceItem(counted, "books", "book-2", { title: "兄弟" }, { strict: true }),
+        (error) => error.statusCode === 400 && error.issues.some((issue) => issue.path === "author"),
+    );
+    assert.equal(writes, 0);
+    assert.deepEqual(JSON.parse(await readFile(file, "utf-8"))[2], replaced);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("batch operation tests passed");
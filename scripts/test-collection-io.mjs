@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import {
+    exportCollection,
+    importRecords,
+    parseCsv,
+    parseImport,
+    suggestColumnMapping,
+} from "../src/utils/collection-io.mjs";
+
+function generateId(type, items) {
+    const max = items.reduce((value, item) => Math.max(value, Number(item.id.split("-").pop()) || 0), 0);
+    return `${type === "books" ? "book" : "movie"}-${max + 1}`;
+}
+
+// CSV parsing: quotes, escaped quotes, embedded commas and line breaks, CRLF, blank lines
+assert.deepEqual(parseCsv('a,b,c\r\n1,"x, ""y""","line\nbreak"\r\n\r\n2,,\n'), [
+    ["a", "b", "c"],
+    ["1", 'x, "y"', "line\nbreak"],
+    ["2", "", ""],
+]);
+assert.throws(() => parseCsv('a\n"open'), /unterminated/);
+
+// Export → import round trip keeps every field
+const books = [
+    { id: "book-2", title: "活着", author: "余华", rating: 9, year: 1993, notes: '他说："活着"，\n就好', addedDate: "2024-01-02" },
+    { id: "book-1", title: "Dune", author: "Frank Herbert", country: "美国", addedDate: "2023-05-06" },
+];
+const csv = exportCollection("books", books, "csv");
+assert.equal(csv.contentType, "text/csv; charset=utf-8");
+assert.equal(csv.filename, "books.csv");
+assert.ok(csv.body.startsWith("\uFEFFid,title,originalTitle,author,"));
+const parsedCsv = parseImport(csv.body);
+assert.equal(parsedCsv.format, "csv");
+assert.equal(parsedCsv.records[0].notes, books[0].notes);
+assert.equal(parsedCsv.records[0].rating, "9");
+
+const ndjson = exportCollection("books", books, "ndjson").body;
+assert.equal(ndjson.split("\n").filter(Boolean).length, 2);
+assert.deepEqual(parseImport(ndjson).records, books);
+assert.deepEqual(parseImport(exportCollection("books", books, "json").body).records, books);
+assert.throws(() => exportCollection("books", books, "xml"), /format must be one of/);
+assert.throws(() => parseImport("[1, 2]"), /must be an object/);
+
+// Columns are matched by field name or form label
+assert.deepEqual(suggestColumnMapping("books", ["Title", "作者", "评分", "Added Date", "ISBN13", "title"]), {
+    Title: "title",
+    作者: "author",
+    评分: "rating",
+    "Added Date": "addedDate",
+    ISBN13: null,
+    title: null,
+});
+
+// Import: re-importing an export changes nothing
+const collection = structuredClone(books);
+const reimport = importRecords(collection, {
+    type: "books",
+    records: parsedCsv.records,
+    mapping: suggestColumnMapping("books", parsedCsv.columns),
+    generateId,
+});
+assert.deepEqual(reimport.summary, { created: 0, updated: 0, unchanged: 2, rejected: 0 });
+assert.deepEqual(collection, books);
+
+// New rows are created, known titles update the existing item, invalid rows are rejected
+const spreadsheet = parseImport(
+    [
+        "书名,作者,评分,Year,Shelf",
+        "活着,余华,10,,read",
+        "三体,刘慈欣,9.5,2008,read",
+        "无名,,11,,read",
+        "三体,刘慈欣,9.5,2008,read",
+    ].join("\n"),
+);
+const mapping = { ...suggestColumnMapping("books", spreadsheet.columns), 书名: "title", Shelf: null };
+const result = importRecords(collection, { type: "books", records: spreadsheet.records, mapping, generateId, today: "2025-01-01" });
+assert.deepEqual(result.summary, { created: 1, updated: 1, unchanged: 1, rejected: 1 });
+assert.deepEqual(
+    result.results.map(({ index, action, id }) => [index, action, id]),
+    [
+        [0, "updated", "book-2"],
+        [1, "created", "book-3"],
+        [2, "rejected", undefined],
+        [3, "unchanged", "book-3"],
+    ],
+);
+assert.deepEqual(result.results[0].fields, ["rating"]);
+assert.equal(collection.find((item) => item.id === "book-2").year, 1993);
+assert.deepEqual(collection[0], { id: "book-3", title: "三体", author: "刘慈欣", rating: 9.5, year: 2008, addedDate: "2025-01-01" });
+assert.deepEqual(result.results[2].issues.map((issue) => issue.path), ["rows[2].author", "rows[2].rating"]);
+
+// Movies get their fixed type; an id column updates that item directly
+const movies = [{ id: "movie-1", title: "花样年华", type: "movie" }];
+const movieImport = importRecords(movies, {
+    type: "movies",
+    records: [{ id: "movie-1", title: "In the Mood for Love" }, { title: "重庆森林", year: "1994" }],
+    mapping: { id: "id", title: "title", year: "year" },
+    generateId,
+});
+assert.deepEqual(movieImport.summary, { created: 1, updated: 1, unchanged: 0, rejected: 0 });
+assert.equal(movies[1].title, "In the Mood for Love");
+assert.deepEqual(movies[0], { id: "movie-2", type: "movie", title: "重庆森林", year: 1994 });
+assert.throws(
+    () => importRecords([], { type: "books", records: [], mapping: { a: "title", b: "title" }, generateId }),
+    /More than one column/,
+);
+assert.throws(() => importRecords([], { type: "books", records: [], mapping: { a: "shelf" }, generateId }), /unknown field/);
+
+console.log("collection import/export tests passed");
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { isSortValue, queryCollection } from "../src/utils/collection-query.mjs";
+
+const movies = [
+    { id: "movie-1", title: "霸王别姬", director: "陈凯歌", country: "中国大陆 / 中国香港", year: 1993, rating: 9.6, status: "watched", addedDate: "2025-01-03", source: "douban" },
+    { id: "movie-2", title: "Amélie", originalTitle: "Le Fabuleux Destin d'Amélie Poulain", director: "Jean-Pierre Jeunet", country: "法国 / 德国", year: 2001, rating: 8.7, status: "watched", addedDate: "2025-02-10" },
+    { id: "movie-3", title: "花样年华", director: "王家卫", country: "中国香港", year: 2000, rating: 8.8, status: "want-to-watch", addedDate: "2025-03-01", source: "douban" },
+    { id: "movie-4", title: "Paterson", director: "Jim Jarmusch", country: "美国", year: 2016, status: "watched", addedDate: "2024-12-24", notes: "诗与公交车" },
+];
+const ids = (result) => result.items.map((item) => item.id);
+const query = (params) => queryCollection(movies, params, { creatorField: "director" });
+
+// Without parameters everything comes back in stored order
+assert.deepEqual(ids(query({})), ["movie-1", "movie-2", "movie-3", "movie-4"]);
+
+// Filters combine: every one given has to match
+assert.deepEqual(ids(query({ status: "watched", country: "中国香港" })), ["movie-1"]);
+assert.deepEqual(ids(query(new URLSearchParams("status=watched,want-to-watch&minYear=2000&minRating=8.8"))), ["movie-3"]);
+assert.deepEqual(ids(query({ source: "manual", minYear: "2001", maxYear: "2016" })), ["movie-2", "movie-4"]);
+// Items without a rating never pass a rating bound
+assert.deepEqual(ids(query({ minRating: "0" })), ["movie-1", "movie-2", "movie-3"]);
+// Creator and text search ignore case; q also looks at the original title and notes
+assert.deepEqual(ids(query({ creator: "JIM" })), ["movie-4"]);
+assert.deepEqual(ids(query({ q: "fabuleux" })), ["movie-2"]);
+assert.deepEqual(ids(query({ q: "公交", status: "watched" })), ["movie-4"]);
+
+// Sort direction
+assert.deepEqual(ids(query({ sort: "year-asc" })), ["movie-1", "movie-3", "movie-2", "movie-4"]);
+assert.deepEqual(ids(query({ sort: "year-desc" })), ["movie-4", "movie-2", "movie-3", "movie-1"]);
+assert.deepEqual(ids(query({ sort: "rating-desc" })), ["movie-1", "movie-3", "movie-2", "movie-4"]);
+assert.deepEqual(ids(query({ sort: "added-asc", status: "watched" })), ["movie-4", "movie-1", "movie-2"]);
+assert.equal(isSortValue("title-asc"), true);
+assert.equal(isSortValue("title-up"), false);
+assert.equal(isSortValue("title-asc-x"), false);
+
+// Paging keeps the total of all matches; fields keeps the id
+const page = query({ sort: "added-desc", limit: "2", offset: "1", fields: "title,year" });
+assert.equal(page.total, 4);
+assert.deepEqual(page.items, [
+    { id: "movie-2", title: "Amélie", year: 2001 },
+    { id: "movie-1", title: "霸王别姬", year: 1993 },
+]);
+assert.deepEqual(query({ limit: "0" }), { items: [], total: 4, errors: [] });
+assert.deepEqual(query({ offset: "10" }), { items: [], total: 4, errors: [] });
+
+// Invalid values are reported together and nothing is returned
+for (const [params, expected] of [
+    [{ limit: "-1" }, ["limit must be a non-negative integer"]],
+    [{ limit: "2.5" }, ["limit must be a non-negative integer"]],
+    [{ limit: "ten" }, ["limit must be a number"]],
+    [{ offset: "-2" }, ["offset must be a non-negative integer"]],
+    [{ offset: "1.5", minYear: "later" }, ["minYear must be a number", "offset must be a non-negative integer"]],
+]) {
+    assert.deepEqual(query(params), { items: [], total: 0, errors: expected });
+}
+const badSort = query({ sort: "popularity-desc" });
+assert.equal(badSort.errors.length, 1);
+assert.match(badSort.errors[0], /^sort must be one of: added-asc, added-desc/);
+
+// No match is an empty page, not an error
+assert.deepEqual(query({ status: "watching" }), { items: [], total: 0, errors: [] });
+assert.deepEqual(queryCollection([], { sort: "title-asc" }), { items: [], total: 0, errors: [] });
+
+console.log("collection query tests passed");
@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readdir, readFile, rm, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import sharp from "sharp";
+import {
+    COVER_MAX_HEIGHT,
+    COVER_MAX_WIDTH,
+    decodeBase64Image,
+    detectImageType,
+    maintainCovers,
+    parseMultipart,
+    recordCoverSource,
+    saveCoverImage,
+} from "../src/utils/covers.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+
+const coversDir = await mkdtemp(join(tmpdir(), "c0llecti0n-covers-"));
+
+// A landscape photo with EXIF orientation 6 (rotate 90°) and other EXIF tags
+const photo = await sharp({ create: { width: 2400, height: 1600, channels: 3, background: "#c0392b" } })
+    .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: "someone", Artist: "camera owner" } } })
+    .jpeg()
+    .toBuffer();
+assert.equal(detectImageType(photo), "jpeg");
+assert.equal((await sharp(photo).metadata()).orientation, 6);
+
+const saved = await saveCoverImage(photo, { coversDir });
+assert.match(saved.path, /^\/covers\/[0-9a-f]{16}\.jpg$/);
+assert.equal(saved.existed, false);
+// Rotated upright, then fitted into the cover box
+assert.ok(saved.width <= COVER_MAX_WIDTH && saved.height <= COVER_MAX_HEIGHT);
+assert.ok(saved.height > saved.width);
+
+const stored = await readFile(join(coversDir, saved.filename));
+const storedMeta = await sharp(stored).metadata();
+assert.equal(storedMeta.format, "jpeg");
+assert.equal(storedMeta.exif, undefined);
+assert.equal(storedMeta.orientation, undefined);
+
+// Same image again: same content hash, nothing new written
+const again = await saveCoverImage(photo, { coversDir });
+assert.equal(again.path, saved.path);
+assert.equal(again.existed, true);
+assert.deepEqual(await readdir(coversDir), [saved.filename]);
+
+// Small PNG with transparency is kept at its size and flattened
+const png = await sharp({ create: { width: 90, height: 120, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .png()
+    .toBuffer();
+const savedPng = await saveCoverImage(png, { coversDir });
+assert.deepEqual([savedPng.width, savedPng.height], [90, 120]);
+
+// Declared types are not trusted: the bytes must be an image
+await assert.rejects(saveCoverImage(Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'></svg>"), { coversDir }), {
+    statusCode: 415,
+});
+await assert.rejects(saveCoverImage(Buffer.concat([photo.subarray(0, 64), Buffer.alloc(64)]), { coversDir }), {
+    statusCode: 422,
+});
+await assert.rejects(saveCoverImage(Buffer.alloc(0), { coversDir }), { statusCode: 400 });
+
+// base64 with and without a data URL prefix
+assert.deepEqual(decodeBase64Image(`data:image/png;base64,${png.toString("base64")}`), png);
+assert.deepEqual(decodeBase64Image(png.toString("base64")), png);
+assert.throws(() => decodeBase64Image("not base64!"), { statusCode: 400 });
+
+// multipart/form-data with a text field and a binary file
+const boundary = "----c0llecti0n";
+const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="note"\r\n\r\nhello\r\n`),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="cover.png"\r\nContent-Type: image/png\r\n\r\n`),
+    png,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+]);
+const parts = parseMultipart(body, `multipart/form-data; boundary=${boundary}`);
+assert.deepEqual(parts.map((part) => [part.name, part.filename]), [["note", undefined], ["file", "cover.png"]]);
+assert.equal(parts[0].data.toString(), "hello");
+assert.deepEqual(parts[1].data, png);
+assert.equal(parts[1].contentType, "image/png");
+
+await rm(coversDir, { recursive: true, force: true });
+
+// Maintenance: orphans, remote covers and broken files
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-cover-maintenance-"));
+const assetsDir = join(root, "covers");
+const dataDir = join(root, "data");
+await mkdir(assetsDir, { recursive: true });
+await mkdir(dataDir, { recursive: true });
+
+const good = await sharp({ create: { width: 60, height: 90, channels: 3, background: "#2e5a35" } }).jpeg().toBuffer();
+await writeFile(join(assetsDir, "good.jpg"), good);
+await writeFile(join(assetsDir, "unused.jpg"), good);
+const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+await utimes(join(assetsDir, "unused.jpg"), twoDaysAgo, twoDaysAgo);
+// Just uploaded, its item not saved yet
+await writeFile(join(assetsDir, "uploaded.jpg"), good);
+await writeFile(join(assetsDir, "empty.jpg"), Buffer.alloc(0));
+await writeFile(join(assetsDir, "truncated.jpg"), good.subarray(0, good.length / 2));
+await writeFile(join(assetsDir, "s123.jpg"), Buffer.from("<html>blocked</html>"));
+await recordCoverSource(assetsDir, "empty.jpg", "https://example.com/empty.jpg");
+
+const dataFiles = { books: join(dataDir, "books.json"), music: join(dataDir, "music.json") };
+await writeFile(dataFiles.books, JSON.stringify([
+    { id: "book-1", title: "好封面", cover: "/covers/good.jpg" },
+    { id: "book-2", title: "空文件", cover: "/covers/empty.jpg" },
+    { id: "book-3", title: "截断", cover: "/covers/truncated.jpg" },
+    { id: "book-4", title: "远程", cover: "https://example.com/remote.png" },
+]));
+await writeFile(dataFiles.music, JSON.stringify([
+    { id: "music-1", title: "豆瓣旧封面", cover: "/covers/s123.jpg" },
+    { id: "music-2", title: "不存在", cover: "/covers/missing.jpg" },
+    { id: "music-3", title: "远程失效", cover: "http://example.com/gone.jpg" },
+]));
+const maintenanceStore = createDataStore({ dataFiles });
+
+const fetched = [];
+async function fakeFetch(url) {
+    fetched.push(url);
+    const images = {
+        "https://example.com/empty.jpg": good,
+        "https://example.com/remote.png": png,
+        "https://img1.doubanio.com/view/subject/l/public/s123.jpg": good,
+    };
+    const body = images[url];
+    return body
+        ? new Response(body, { status: 200, headers: { "Content-Type": "image/jpeg" } })
+        : new Response("not found", { status: 404 });
+}
+
+const options = { dataStore: maintenanceStore, dataTypes: ["books", "music"], coversDir: assetsDir, fetchImpl: fakeFetch };
+
+// Dry run: reports everything, touches nothing
+const plan = await maintainCovers({ ...options, dryRun: true });
+assert.deepEqual(fetched, []);
+assert.deepEqual(plan.orphans.map((orphan) => [orphan.file, orphan.recent, orphan.deleted]), [
+    ["unused.jpg", false, false],
+    ["uploaded.jpg", true, false],
+]);
+assert.deepEqual(
+    plan.broken.map((entry) => [entry.file, entry.reason, entry.status]),
+    [
+        ["empty.jpg", "empty", "planned"],
+        ["truncated.jpg", "decode", "no-source"],
+        ["s123.jpg", "decode", "planned"],
+        ["missing.jpg", "missing", "no-source"],
+    ],
+);
+assert.deepEqual(plan.remote.map((entry) => [entry.id, entry.status]), [["book-4", "planned"], ["music-3", "planned"]]);
+assert.equal((await readdir(assetsDir)).includes("unused.jpg"), true);
+
+// Orphans are only deleted when asked, and never while they are recent
+const report = await maintainCovers(options);
+assert.deepEqual(report.orphans.map((orphan) => orphan.deleted), [false, false]);
+assert.equal((await readdir(assetsDir)).includes("unused.jpg"), true);
+const cleanup = await maintainCovers({ ...options, deleteOrphans: true, fetchRemote: false });
+assert.deepEqual(cleanup.orphans.map((orphan) => [orphan.file, orphan.deleted]), [["unused.jpg", true], ["uploaded.jpg", false]]);
+assert.equal((await readdir(assetsDir)).includes("unused.jpg"), false);
+assert.equal((await readdir(assetsDir)).includes("uploaded.jpg"), true);
+assert.deepEqual(
+    report.broken.map((entry) => [entry.file, entry.status]),
+    [["empty.jpg", "refetched"], ["truncated.jpg", "no-source"], ["s123.jpg", "refetched"], ["missing.jpg", "no-source"]],
+);
+assert.deepEqual(await readFile(join(assetsDir, "empty.jpg")), good);
+assert.deepEqual(await readFile(join(assetsDir, "s123.jpg")), good);
+
+// Remote covers are stored like uploads and the items point at the local file
+const [localized, gone] = report.remote;
+assert.equal(localized.status, "localized");
+assert.match(localized.path, /^\/covers\/[0-9a-f]{16}\.jpg$/);
+assert.equal(gone.status, "failed");
+assert.match(gone.error, /HTTP 404/);
+const books = await maintenanceStore.read("books");
+assert.equal(books.find((item) => item.id === "book-4").cover, localized.path);
+assert.equal((await maintenanceStore.read("music")).find((item) => item.id === "music-3").cover, "http://example.com/gone.jpg");
+const sources = JSON.parse(await readFile(join(assetsDir, ".sources.json"), "utf-8"));
+assert.equal(sources[localized.path.slice("/covers/".length)], "https://example.com/remote.png");
+assert.deepEqual(report.summary, { orphans: 2, deleted: 0, remote: 2, localized: 1, broken: 4, refetched: 2, failed: 3 });
+
+// The freshly downloaded cover is referenced now, so it is not an orphan
+const rerun = await maintainCovers({ ...options, fetchRemote: false });
+assert.deepEqual(rerun.orphans.map((orphan) => orphan.file), ["uploaded.jpg"]);
+assert.deepEqual(rerun.remote.map((entry) => entry.status), ["skipped"]);
+
+await rm(root, { recursive: true, force: true });
+
+console.log("cover tests passed");
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, readdir, rm, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createChangeJournal, revertChanges } from "../src/utils/change-journal.mjs";
+import { createDataStore, createJsonFileStore } from "../src/utils/data-store.mjs";
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-data-store-"));
+const dataDir = join(root, "data");
+const backupDir = join(root, "backups");
+await mkdir(dataDir, { recursive: true });
+
+const dataFiles = {
+    books: join(dataDir, "books.json"),
+    music: join(dataDir, "music.json"),
+};
+await writeFile(dataFiles.books, JSON.stringify([{ id: "book-1", title: "凤凰籽" }]), "utf-8");
+await writeFile(dataFiles.music, "[]\n", "utf-8");
+
+const store = createDataStore({ dataFiles, backupDir });
+
+// Interleaved writers on the same type must both land.
+const slowWrite = store.update("books", async (data) => {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    data.push({ id: "book-2", title: "慢写入" });
+});
+const fastWrite = store.update("books", (data) => {
+    data.push({ id: "book-3", title: "快写入" });
+});
+await Promise.all([slowWrite, fastWrite]);
+
+const books = await store.read("books");
+assert.deepEqual(books.map((item) => item.id), ["book-1", "book-2", "book-3"]);
+
+// Multi-type writers queue behind single-type writers.
+await Promise.all([
+    store.updateMany(["music", "books"], (data) => {
+        data.music = [{ id: "music-1", title: "新长征路上的摇滚" }];
+        data.books[0].rating = 10;
+    }),
+    store.update("books", (data) => {
+        data[0].status = "completed";
+    }),
+]);
+const afterMany = await store.readAll();
+assert.equal(afterMany.books[0].rating, 10);
+assert.equal(afterMany.books[0].status, "completed");
+assert.equal(afterMany.music.length, 1);
+
+// A failing mutation leaves the file untouched.
+await assert.rejects(
+    store.update("books", (data) => {
+        data.length = 0;
+        throw new Error("abort");
+    }),
+    /abort/,
+);
+assert.equal((await store.read("books")).length, 3);
+
+// No temp files are left behind.
+assert.deepEqual((await readdir(dataDir)).sort(), ["books.json", "music.json"]);
+
+// A truncated file is restored from the last known-good copy.
+await writeFile(dataFiles.books, '[{"id": "book-1", "tit', "utf-8");
+const recovered = await store.read("books");
+assert.equal(recovered.length, 3);
+assert.equal(recovered[0].status, "completed");
+assert.deepEqual(JSON.parse(await readFile(dataFiles.books, "utf-8")), recovered);
+
+await assert.rejects(store.read("movies"), /Unknown data type: movies/);
+
+// A registered type whose file was never written reads as empty and is created on first write.
+const gamesFile = join(dataDir, "games.json");
+const withGames = createDataStore({ dataFiles: { ...dataFiles, games: gamesFile }, backupDir });
+assert.deepEqual(await withGames.read("games"), []);
+await withGames.update("games", (data) => {
+    data.push({ id: "game-1", title: "Outer Wilds" });
+});
+assert.deepEqual(JSON.parse(await readFile(gamesFile, "utf-8")), [{ id: "game-1", title: "Outer Wilds" }]);
+
+// Journaled writes can be listed and reverted per change or per batch.
+const journal = createChangeJournal({ file: join(root, "journal.ndjson") });
+const journaledStore = createDataStore({ dataFiles, journal });
+
+await journaledStore.update("books", (data) => {
+    data[0].rating = 6;
+    data.splice(1, 1);
+}, { actor: "tester", batchId: "batch-edit" });
+await journaledStore.updateMany(["books", "music"], (data) => {
+    data.books.unshift({ id: "book-4", title: "克拉拉与太阳" });
+    data.music[0].rating = 8;
+}, { source: "douban-sync", batchId: "batch-sync" });
+
+const history = await journal.list();
+assert.deepEqual(
+    history.map((change) => `${change.batchId}:${change.action}:${change.itemId}`),
+    ["batch-sync:update:music-1", "batch-sync:create:book-4", "batch-edit:delete:book-2", "batch-edit:update:book-1"],
+);
+assert.equal(history[3].actor, "tester");
+assert.deepEqual(history[3].diff, { rating: { before: 10, after: 6 } });
+
+await journaledStore.updateMany(["books", "music"], async (data) => {
+    revertChanges(data, await journal.batch("batch-sync"));
+}, { source: "revert" });
+const afterBatchRevert = await journaledStore.readAll();
+assert.deepEqual(afterBatchRevert.books.map((item) => item.id), ["book-1", "book-3"]);
+assert.equal(afterBatchRevert.music[0].rating, undefined);
+
+await journaledStore.update("books", (data) => {
+    data[0].rating = 7;
+});
+await assert.rejects(
+    journaledStore.update("books", (data) => revertChanges({ books: data }, [history[3]])),
+    (error) => error.statusCode === 409 && error.details[0].itemId === "book-1",
+);
+await journaledStore.update("books", (data) => revertChanges({ books: data }, [history[2]]));
+assert.deepEqual((await journaledStore.read("books")).map((item) => item.id), ["book-1", "book-2", "book-3"]);
+
+// Writes wait for work done under whileLocked
+const order = [];
+let release;
+let started;
+const running = new Promise((resolve) => {
+    started = resolve;
+});
+const locked = store.whileLocked(["books", "music"], async (data) => {
+    order.push(`locked:${data.books.length}`);
+    started();
+    await new Promise((resolve) => {
+        release = resolve;
+    });
+    order.push("unlocked");
+});
+await running;
+const waiting = store.update("music", (data) => {
+    order.push("write");
+    data.push({ id: "music-9", title: "等待" });
+});
+await new Promise((resolve) => setTimeout(resolve, 20));
+assert.equal(order.includes("write"), false);
+release();
+await Promise.all([locked, waiting]);
+assert.deepEqual(order.slice(1), ["unlocked", "write"]);
+
+// JSON state files: queued saves keep each other's changes, unchanged files are not rewritten
+const stateFile = join(root, "state", "decisions.json");
+const state = createJsonFileStore({ file: stateFile, empty: () => ({ merged: [] }) });
+assert.deepEqual(await state.read(), { merged: [] });
+await Promise.all(["book-1", "book-2", "book-3"].map((id) => state.update((data) => {
+    data.merged.push(id);
+})));
+assert.deepEqual((await state.read()).merged, ["book-1", "book-2", "book-3"]);
+const { mtimeMs } = await stat(stateFile);
+await new Promise((resolve) => setTimeout(resolve, 20));
+await state.update(() => {});
+assert.equal((await stat(stateFile)).mtimeMs, mtimeMs);
+await state.update(() => ({ merged: [] }));
+assert.deepEqual(JSON.parse(await readFile(stateFile, "utf-8")), { merged: [] });
+// A failed save does not block the next one
+await assert.rejects(state.update(() => {
+    throw new Error("boom");
+}), /boom/);
+await state.update((data) => {
+    data.merged.push("book-4");
+});
+assert.deepEqual((await state.read()).merged, ["book-4"]);
+assert.deepEqual((await readdir(join(root, "state"))), ["decisions.json"]);
+
+await rm(root, { recursive: true, force: true });
+
+console.log("data store tests passed");
@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDoubanClient, createPageCache, parseRetryAfter } from "../src/utils/douban-http.mjs";
+import { mergeSyncedEntries } from "../src/utils/douban-sync.mjs";
+
+// Responses are served in order, the last one repeating
+let responses = [];
+let requests = 0;
+globalThis.fetch = async () => {
+    const next = responses[Math.min(requests, responses.length - 1)];
+    requests += 1;
+    if (next instanceof Error) throw next;
+    return typeof next === "function" ? next() : next;
+};
+
+function serve(...list) {
+    responses = list;
+    requests = 0;
+}
+
+const page = () => new Response("<div class='grid-view'></div>");
+const status = (code, headers) => () => new Response("", { status: code, headers });
+
+assert.equal(parseRetryAfter("120"), 120000);
+assert.equal(parseRetryAfter(new Date(Date.UTC(2026, 0, 1, 0, 1)).toUTCString(), Date.UTC(2026, 0, 1)), 60000);
+assert.equal(parseRetryAfter("soon"), undefined);
+assert.equal(parseRetryAfter(null), undefined);
+
+// 5xx and network errors are retried, then the page is returned
+{
+    const client = createDoubanClient({ delayMs: 0 });
+    serve(status(503), new TypeError("fetch failed"), page);
+    assert.match(await client.fetchHtml("https://movie.douban.com/people/u1/collect"), /grid-view/);
+    assert.equal(requests, 3);
+    assert.deepEqual(client.stats, { requests: 3, retries: 2, blocks: 0, cached: 0 });
+}
+
+// Backoff doubles from delayMs, half of it jitter
+{
+    const client = createDoubanClient({ delayMs: 40, random: () => 0 });
+    serve(status(500), status(500), page);
+    const started = Date.now();
+    await client.fetchHtml("https://movie.douban.com/");
+    // 20ms, then 40ms without jitter
+    assert.ok(Date.now() - started >= 60);
+}
+
+// Out of retries: the last error is thrown
+{
+    const client = createDoubanClient({ delayMs: 0, retries: 2 });
+    serve(status(502));
+    await assert.rejects(client.fetchHtml("https://movie.douban.com/"), /HTTP 502/);
+    assert.equal(requests, 3);
+}
+
+// Other client errors are not retried
+{
+    const client = createDoubanClient({ delayMs: 0 });
+    serve(status(404));
+    await assert.rejects(client.fetchHtml("https://movie.douban.com/"), /HTTP 404/);
+    assert.equal(requests, 1);
+}
+
+// 429: Retry-After is waited out and the pace slows down
+{
+    const client = createDoubanClient({ delayMs: 10 });
+    serve(status(429, { "Retry-After": "1" }), page);
+    const started = Date.now();
+    await client.fetchHtml("https://movie.douban.com/");
+    assert.ok(Date.now() - started >= 1000);
+    assert.equal(client.paceMs, 20);
+    assert.equal(client.stats.blocks, 1);
+
+    // A Retry-After too long to wait fails the request straight away
+    serve(status(429, { "Retry-After": "3600" }));
+    await assert.rejects(client.fetchHtml("https://movie.douban.com/"), /HTTP 429/);
+    assert.equal(requests, 1);
+}
+
+// Blocks are not retried, but every one doubles the pace
+{
+    const client = createDoubanClient({ delayMs: 5 });
+    serve(status(403));
+    await assert.rejects(client.fetchHtml("https://movie.douban.com/"), (error) => error.blocked === true);
+    serve(() => new Response("<p>检测到有异常请求从你的 IP 发出</p>"));
+    await assert.rejects(client.fetchHtml("https://movie.douban.com/"), (error) => error.blocked === true);
+    assert.equal(requests, 1);
+    assert.equal(client.paceMs, 20);
+}
+
+// Cancelling during a backoff stops at once
+{
+    const client = createDoubanClient({ delayMs: 60000 });
+    const controller = new AbortController();
+    serve(status(503));
+    const pending = client.fetchHtml("https://movie.douban.com/", { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error("Cancelled")), 20);
+    await assert.rejects(pending, /Cancelled/);
+}
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-douban-http-"));
+try {
+    // Cached pages are not requested again until they expire; blocks are never cached
+    const cache = createPageCache({ dir: join(root, "pages"), maxAgeMs: 60000 });
+    serve(page);
+    await createDoubanClient({ cache }).fetchHtml("https://movie.douban.com/people/u1/collect?start=0");
+    const rerun = createDoubanClient({ cache });
+    assert.match(await rerun.fetchHtml("https://movie.douban.com/people/u1/collect?start=0"), /grid-view/);
+    assert.equal(requests, 1);
+    assert.equal(rerun.stats.cached, 1);
+
+    serve(status(403));
+    await assert.rejects(createDoubanClient({ cache }).fetchHtml("https://movie.douban.com/people/u1/wish"));
+    assert.equal(await cache.get("https://movie.douban.com/people/u1/wish"), undefined);
+
+    const expired = createPageCache({ dir: join(root, "pages"), maxAgeMs: -1 });
+    assert.equal(await expired.get("https://movie.douban.com/people/u1/collect?start=0"), undefined);
+
+    // Covers already in the covers directory are not downloaded again
+    const coversDir = join(root, "covers");
+    const cover = "https://img1.doubanio.com/view/photo/s_ratio_poster/public/p2527119568.jpg";
+    const entries = { movies: [{ title: "我不是药神", doubanId: "26752088", cover, source: "douban" }] };
+    serve(() => new Response(Buffer.from([0xff, 0xd8, 0xff]), { headers: { "content-type": "image/jpeg" } }));
+    const first = await mergeSyncedEntries({}, entries, { coversDir, client: createDoubanClient() });
+    const saved = first.data.movies[0].cover;
+    assert.match(saved, /^\/covers\/douban-26752088-[0-9a-f]{8}\.jpg$/);
+    assert.equal(requests, 1);
+    const second = await mergeSyncedEntries({}, entries, { coversDir, client: createDoubanClient() });
+    assert.equal(second.data.movies[0].cover, saved);
+    assert.equal(requests, 1);
+
+    // Retried like pages
+    serve(status(503), () => new Response(Buffer.from([0x89, 0x50]), { headers: { "content-type": "image/png" } }));
+    const retried = await mergeSyncedEntries({}, entries, { coversDir: join(root, "other-covers"), client: createDoubanClient() });
+    assert.equal(retried.failures.length, 0);
+    assert.equal(requests, 2);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("douban http tests passed");
@@ -0,0 +1,223 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createRecordingFetch, fixtureFileName, startReplayServer } from "../src/utils/douban-fixtures.mjs";
+import { createSubjectCache } from "../src/utils/douban-subject.mjs";
+import { applyDoubanSync, syncDoubanCollection } from "../src/utils/douban-sync.mjs";
+import { createImportedValues } from "../src/utils/merge-policy.mjs";
+import { createSyncCheckpoints } from "../src/utils/sync-checkpoints.mjs";
+
+// End-to-end syncs against the recorded responses in scripts/fixtures/douban, served
+// by the local stand-in; anything else trying to reach the network fails the test.
+// The fixtures are in the format npm run record:douban writes, cut down to three pages
+// of watched movies, a wish list answering 503 once, a book wish list behind a block
+// page, covers (one of them 404) and one subject page.
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "douban");
+const USER = "c0llecti0n-fixture";
+
+const localFetch = globalThis.fetch;
+globalThis.fetch = (input, init) => {
+    const url = new URL(input instanceof Request ? input.url : input);
+    if (url.hostname !== "127.0.0.1") throw new Error(`Network request in an offline test: ${url}`);
+    return localFetch(input, init);
+};
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-douban-replay-"));
+
+async function createStore(name, data = {}) {
+    const dataFiles = Object.fromEntries(["books", "movies", "series", "music"].map((type) => [type, join(root, name, `${type}.json`)]));
+    await mkdir(join(root, name));
+    for (const [type, file] of Object.entries(dataFiles)) {
+        await writeFile(file, `${JSON.stringify(data[type] || [], null, 2)}\n`, "utf-8");
+    }
+    return { dataFiles, dataStore: createDataStore({ dataFiles }) };
+}
+
+const readJson = async (file) => JSON.parse(await readFile(file, "utf-8"));
+const listPage = (url) => {
+    const { hostname, pathname, searchParams } = new URL(url);
+    return `${hostname.split(".")[0]} ${pathname.split("/")[3]} ${searchParams.get("start")}`;
+};
+
+let server = await startReplayServer({ dir: FIXTURES_DIR });
+try {
+    // Dry run: every list paged through, nothing downloaded
+    const { dataStore } = await createStore("plan");
+    const plan = await syncDoubanCollection({
+        userId: USER,
+        dataTypes: ["movies", "books"],
+        dataStore,
+        delayMs: 0,
+        dryRun: true,
+        fetchImpl: server.fetchImpl,
+    });
+    assert.deepEqual(server.missing, []);
+    assert.deepEqual(server.requests.map(listPage), [
+        // Page 2 is linked by its 后页 anchor, page 3 by <link rel="next">
+        "movie collect 0",
+        "movie collect 15",
+        "movie collect 30",
+        "movie do 0",
+        // 503, then retried
+        "movie wish 0",
+        "movie wish 0",
+        "book collect 0",
+        "book do 0",
+        "book wish 0",
+    ]);
+    assert.deepEqual(
+        plan.fetched.entries.movies.map((entry) => `${entry.title} ${entry.status}`),
+        ["我不是药神 completed", "霸王别姬 completed", "肖申克的救赎 completed", "千与千寻 completed", "奥本海默 want-to-watch"],
+    );
+    assert.equal(plan.fetched.entries.books[0].author, "余华");
+    assert.deepEqual(plan.fetched.complete, ["movies"]);
+    assert.equal(plan.failures.length, 1);
+    assert.equal(plan.failures[0].status, "want-to-read");
+    assert.match(plan.failures[0].message, /blocked/);
+    assert.deepEqual(plan.http, { requests: 9, retries: 1, blocks: 1, cached: 0, paceMs: 0 });
+    assert.equal(plan.changes.filter((change) => change.id.startsWith("add:")).length, 6);
+    assert.equal(plan.changes.filter((change) => change.id.startsWith("cover:")).length, 6);
+
+    // Applying the plan downloads the covers from the stand-in, all of them before the
+    // data files are locked
+    server.requests.length = 0;
+    const coversDir = join(root, "covers");
+    let requestsBeforeLock;
+    const lockingStore = {
+        ...dataStore,
+        updateMany(types, mutate, meta) {
+            requestsBeforeLock = server.requests.length;
+            return dataStore.updateMany(types, mutate, meta);
+        },
+    };
+    const applied = await applyDoubanSync({ fetched: plan.fetched, dataStore: lockingStore, coversDir, fetchImpl: server.fetchImpl });
+    assert.equal(server.requests.length, 6);
+    assert.equal(requestsBeforeLock, 6);
+    assert.ok(server.requests.every((url) => /doubanio\.com/.test(url)));
+    assert.equal(applied.added, 6);
+    const movies = await dataStore.readAll(["movies"]).then((data) => data.movies);
+    const cover = movies.find((movie) => movie.doubanId === "26752088").cover;
+    assert.match(cover, /^\/covers\/douban-26752088-[0-9a-f]{8}\.jpg$/);
+    const fixture = await readJson(join(FIXTURES_DIR, fixtureFileName("https://img1.doubanio.com/view/photo/s_ratio_poster/public/p2561305376.jpg")));
+    assert.deepEqual(await readFile(join(coversDir, cover.split("/").pop())), Buffer.from(fixture.responses[0].body, "base64"));
+    // The 404 cover is reported and keeps its remote URL
+    const failedCover = applied.failures.find((failure) => failure.type === "cover");
+    assert.equal(failedCover.title, "千与千寻");
+    assert.match(failedCover.message, /HTTP 404/);
+    assert.match(movies.find((movie) => movie.doubanId === "1291561").cover, /^https:\/\/img1\.doubanio\.com\//);
+
+    // A full sync in one go: enriched and checkpointed
+    await server.close();
+    server = await startReplayServer({ dir: FIXTURES_DIR });
+    const seeded = await createStore("full", {
+        movies: [{ id: "movie-1", title: "已删除的电影", doubanId: "1000001", status: "completed", source: "douban" }],
+        books: [{ id: "book-1", title: "想读的书", doubanId: "1000002", status: "want-to-read", source: "douban" }],
+    });
+    const checkpoints = createSyncCheckpoints({ file: join(root, "state", "douban-checkpoints.json") });
+    const options = {
+        userId: USER,
+        dataTypes: ["movies", "books"],
+        dataStore: seeded.dataStore,
+        coversDir: join(root, "full-covers"),
+        delayMs: 0,
+        checkpoints,
+        removedPolicy: "delete",
+        enrich: true,
+        enrichLimit: 1,
+        subjectCache: createSubjectCache({ file: join(root, "state", "douban-subjects.json") }),
+        fetchImpl: server.fetchImpl,
+    };
+    const synced = await syncDoubanCollection(options);
+    assert.deepEqual(server.missing, []);
+    assert.equal(synced.added, 6);
+    assert.deepEqual(synced.enrichment, { enriched: 1, requested: 1, remaining: 5 });
+    // Movies were read in full, so the one no longer listed is removed; the blocked
+    // book list leaves the books as they are
+    assert.deepEqual(
+        synced.missing.map((item) => `${item.itemId} ${item.action}`),
+        ["movie-1 deleted"],
+    );
+    const written = await readJson(seeded.dataFiles.movies);
+    assert.equal(written.length, 5);
+    assert.equal(written.find((movie) => movie.doubanId === "26752088").director, "文牧野");
+    assert.equal((await readJson(seeded.dataFiles.books)).length, 2);
+
+    // The next, incremental, sync stops at the checkpoints on the first pages; with
+    // nothing new and the book wish list still blocked, it fails as a whole
+    server.requests.length = 0;
+    await assert.rejects(syncDoubanCollection({ ...options, enrich: false }), /before any data could be imported/);
+    assert.deepEqual(server.requests.map(listPage), [
+        "movie collect 0",
+        "movie do 0",
+        "movie wish 0",
+        "book collect 0",
+        "book do 0",
+        "book wish 0",
+    ]);
+
+    // Applying only part of a plan: a list with a change left out keeps its previous
+    // checkpoint, so the next sync brings that change back
+    await server.close();
+    server = await startReplayServer({ dir: FIXTURES_DIR });
+    const partial = await createStore("partial");
+    const partialOptions = {
+        userId: USER,
+        dataTypes: ["movies", "books"],
+        dataStore: partial.dataStore,
+        delayMs: 0,
+        checkpoints: createSyncCheckpoints({ file: join(root, "partial-state", "douban-checkpoints.json") }),
+        importedValues: createImportedValues({ file: join(root, "partial-state", "douban-imported.json") }),
+        fetchImpl: server.fetchImpl,
+    };
+    const partialPlan = await syncDoubanCollection({ ...partialOptions, dryRun: true });
+    const wished = partialPlan.fetched.entries.movies.find((entry) => entry.status === "want-to-watch");
+    const leftOut = [`add:movies:${wished.doubanId}`, `cover:movies:${wished.doubanId}`];
+    await applyDoubanSync({
+        ...partialOptions,
+        fetched: partialPlan.fetched,
+        approve: partialPlan.changes.map((change) => change.id).filter((id) => !leftOut.includes(id)),
+        coversDir: join(root, "partial-covers"),
+    });
+    const savedCheckpoints = await partialOptions.checkpoints.read(USER);
+    assert.deepEqual(Object.keys(savedCheckpoints.movies), ["completed"]);
+    assert.ok(savedCheckpoints.books.completed);
+    assert.equal((await partialOptions.importedValues.read())[wished.doubanId], undefined);
+    const nextPlan = await syncDoubanCollection({ ...partialOptions, dryRun: true });
+    assert.deepEqual(nextPlan.changes.map((change) => change.id), leftOut);
+
+    // Recording a sync through the stand-in gives back the same fixtures
+    await server.close();
+    server = await startReplayServer({ dir: FIXTURES_DIR });
+    const recordedDir = join(root, "recorded");
+    const recorded = await createStore("record");
+    await syncDoubanCollection({
+        userId: USER,
+        dataTypes: ["movies", "books"],
+        dataStore: recorded.dataStore,
+        coversDir: join(root, "record-covers"),
+        delayMs: 0,
+        enrich: true,
+        enrichLimit: 1,
+        fetchImpl: createRecordingFetch({ dir: recordedDir, fetchImpl: server.fetchImpl }),
+    });
+    const fixtureFiles = (await readdir(FIXTURES_DIR)).sort();
+    assert.deepEqual((await readdir(recordedDir)).sort(), fixtureFiles);
+    for (const name of fixtureFiles) {
+        assert.deepEqual(await readJson(join(recordedDir, name)), await readJson(join(FIXTURES_DIR, name)), name);
+    }
+
+    // A URL without a fixture gets a 404 and is listed
+    await assert.rejects(
+        syncDoubanCollection({ userId: "someone-else", dataTypes: ["music"], dataStore, delayMs: 0, dryRun: true, fetchImpl: server.fetchImpl }),
+        /before any data could be imported/,
+    );
+    assert.equal(server.missing.length, 3);
+} finally {
+    await server.close();
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("douban replay tests passed");
@@ -0,0 +1,184 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createSubjectCache, parseSubjectPage } from "../src/utils/douban-subject.mjs";
+import { syncDoubanCollection } from "../src/utils/douban-sync.mjs";
+
+const movieSubjectHtml = `
+<div id="info">
+    <span ><span class='pl'>导演</span>: <span class='attrs'><a href="/celebrity/1274297/" rel="v:directedBy">文牧野</a></span></span><br/>
+    <span ><span class='pl'>编剧</span>: <span class='attrs'><a href="/celebrity/1410049/">韩家女</a> / <a href="/celebrity/1402431/">钟伟</a></span></span><br/>
+    <span class="actor"><span class='pl'>主演</span>: <span class='attrs'><span><a href="/celebrity/1274242/" rel="v:starring">徐峥</a> / </span><span><a href="/celebrity/1313841/" rel="v:starring">王传君</a> / </span><span><a href="/celebrity/1275708/" rel="v:starring">周一围</a></span><a href="javascript:;" class="more-actor" title="更多主演">更多...</a></span></span><br/>
+    <span class="pl">类型:</span> <span property="v:genre">剧情</span> / <span property="v:genre">喜剧</span><br/>
+    <span class="pl">制片国家/地区:</span> 中国大陆<br/>
+    <span class="pl">语言:</span> 汉语普通话 / 上海话 / 英语<br/>
+    <span class="pl">上映日期:</span> <span property="v:initialReleaseDate" content="2018-07-05(中国大陆)">2018-07-05(中国大陆)</span><br/>
+    <span class="pl">片长:</span> <span property="v:runtime" content="117">117分钟</span><br/>
+    <span class="pl">又名:</span> 中国药神 / Dying to Survive<br/>
+    <span class="pl">IMDb:</span> tt7362036<br>
+</div>`;
+
+const seriesSubjectHtml = `
+<div id="info">
+    <span ><span class='pl'>导演</span>: <span class='attrs'><a href="/celebrity/1317049/">辛爽</a></span></span><br/>
+    <span class="actor"><span class='pl'>主演</span>: <span class='attrs'><a href="/celebrity/1274553/">秦昊</a> / <a href="/celebrity/1316339/">王景春</a></span></span><br/>
+    <span class="pl">类型:</span> <span property="v:genre">剧情</span> / <span property="v:genre">悬疑</span> / <span property="v:genre">犯罪</span><br/>
+    <span class="pl">制片国家/地区:</span> 中国大陆<br/>
+    <span class="pl">首播:</span> <span property="v:initialReleaseDate" content="2020-06-16(中国大陆)">2020-06-16(中国大陆)</span><br/>
+    <span class="pl">集数:</span> 12<br/>
+    <span class="pl">单集片长:</span> 45分钟<br/>
+</div>`;
+
+const bookSubjectHtml = `
+<div id="info" class="">
+    <span>
+      <span class="pl"> 作者</span>:
+        <a class="" href="/search/%E4%BD%99%E5%8D%8E">余华</a>
+    </span><br/>
+    <span class="pl">出版社:</span>
+      <a href="https://book.douban.com/press/2130">作家出版社</a>
+    <br>
+    <span class="pl">出版年:</span> 2012-8-1<br/>
+    <span class="pl">页数:</span> 191<br/>
+    <span class="pl">定价:</span> 20.00元<br/>
+    <span class="pl">装帧:</span> 平装<br/>
+    <span class="pl">ISBN:</span> 9787506365437<br/>
+</div>`;
+
+const musicSubjectHtml = `
+<div id="info" class="ckd-collect">
+    <span>
+        <span class="pl">表演者:</span>
+        <a href="https://music.douban.com/search?q=%E5%B4%94%E5%81%A5">崔健</a>
+    </span><br />
+    <span class="pl">流派:</span> 摇滚<br />
+    <span class="pl">专辑类型:</span> 专辑<br />
+    <span class="pl">介质:</span> CD<br />
+    <span class="pl">发行时间:</span> 1989-02-01<br />
+    <span class="pl">出版者:</span> 中国旅游声像出版社<br />
+</div>
+<div class="track-list">
+    <div class="indent">
+        <div>1. 一块红布<br />2. 花房姑娘<br />3. 假行僧<br /></div>
+    </div>
+</div>`;
+
+assert.deepEqual(parseSubjectPage(movieSubjectHtml, { dataType: "movies" }), {
+    director: "文牧野",
+    cast: "徐峥 / 王传君 / 周一围",
+    country: "中国大陆",
+    genre: "剧情 / 喜剧",
+    year: 2018,
+    runtime: 117,
+});
+
+assert.deepEqual(parseSubjectPage(seriesSubjectHtml, { dataType: "series" }), {
+    director: "辛爽",
+    cast: "秦昊 / 王景春",
+    country: "中国大陆",
+    genre: "剧情 / 悬疑 / 犯罪",
+    year: 2020,
+    runtime: 45,
+    episodes: 12,
+});
+
+assert.deepEqual(parseSubjectPage(bookSubjectHtml, { dataType: "books" }), {
+    author: "余华",
+    publisher: "作家出版社",
+    year: 2012,
+    pages: 191,
+    isbn: "9787506365437",
+});
+
+assert.deepEqual(parseSubjectPage(musicSubjectHtml, { dataType: "music" }), {
+    artist: "崔健",
+    genre: "摇滚",
+    label: "中国旅游声像出版社",
+    year: 1989,
+    tracks: "一块红布\n花房姑娘\n假行僧",
+});
+
+// Newer album pages list the tracks as <li>
+const trackItemsHtml = `<ul class="track-items indent"><li data-track-order="1.">一无所有</li><li data-track-order="2.">不是我不明白</li></ul>`;
+assert.equal(parseSubjectPage(trackItemsHtml, { dataType: "music" }).tracks, "一无所有\n不是我不明白");
+
+// Missing fields are left out, not emptied
+assert.deepEqual(parseSubjectPage(`<div id="info"><span class="pl">页数:</span> <br/></div>`, { dataType: "books" }), {});
+assert.throws(() => parseSubjectPage("", { dataType: "games" }), /Unknown Douban data type/);
+
+// Enrichment during a sync: cached, limited and stopped when blocked
+const listItem = (id, title) => `
+  <div class="item comment-item">
+    <div class="info">
+      <ul>
+        <li class="title"><a href="https://movie.douban.com/subject/${id}/"><em>${title}</em></a></li>
+        <li class="intro">2018-07-05(中国大陆) / 中国大陆 / 剧情</li>
+        <li><span class="rating4-t"></span><span class="date">2024-01-01</span></li>
+      </ul>
+    </div>
+  </div>`;
+const collectHtml = `<div class="grid-view">${listItem(26752088, "我不是药神")}${listItem(1291546, "霸王别姬")}${listItem(1292052, "肖申克的救赎")}</div>`;
+
+const subjectRequests = [];
+let blocked = false;
+globalThis.fetch = async (input) => {
+    const url = new URL(input);
+    if (url.pathname.startsWith("/subject/")) {
+        subjectRequests.push(url.pathname.split("/")[2]);
+        if (blocked) return new Response("Forbidden", { status: 403 });
+        return new Response(movieSubjectHtml);
+    }
+    return new Response(url.pathname.endsWith("/collect") ? collectHtml : `<div class="grid-view"></div>`);
+};
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-douban-subject-"));
+const dataFiles = Object.fromEntries(["books", "movies", "series", "music"].map((type) => [type, join(root, `${type}.json`)]));
+for (const file of Object.values(dataFiles)) await writeFile(file, "[]\n", "utf-8");
+const dataStore = createDataStore({ dataFiles });
+const subjectCache = createSubjectCache({ file: join(root, "state", "douban-subjects.json") });
+
+async function sync(options) {
+    subjectRequests.length = 0;
+    return syncDoubanCollection({ userId: "u1", dataTypes: ["movies"], dataStore, delayMs: 0, enrich: true, subjectCache, dryRun: true, ...options });
+}
+
+try {
+    // Two pages per run: the third subject is left for the next one
+    let result = await sync({ enrichLimit: 2 });
+    assert.deepEqual(subjectRequests, ["26752088", "1291546"]);
+    assert.deepEqual(result.enrichment, { enriched: 2, requested: 2, remaining: 1 });
+    const planned = result.changes.find((change) => change.id === "add:movies:26752088").item;
+    assert.equal(planned.director, "文牧野");
+    assert.equal(planned.runtime, 117);
+    assert.deepEqual(Object.keys(await subjectCache.read()).length, 2);
+
+    // Cached pages are not fetched again
+    result = await sync({ enrichLimit: 2 });
+    assert.deepEqual(subjectRequests, ["1292052"]);
+    assert.deepEqual(result.enrichment, { enriched: 3, requested: 1, remaining: 0 });
+
+    // Stored on the item when applied
+    result = await sync({ dryRun: false });
+    assert.deepEqual(subjectRequests, []);
+    const movies = JSON.parse(await readFile(dataFiles.movies, "utf-8"));
+    assert.equal(movies.length, 3);
+    assert.ok(movies.every((movie) => movie.director === "文牧野" && movie.cast === "徐峥 / 王传君 / 周一围"));
+
+    // A blocked subject page ends the pass, reported as a failure
+    await writeFile(join(root, "state", "douban-subjects.json"), "{}\n", "utf-8");
+    blocked = true;
+    result = await sync();
+    assert.deepEqual(subjectRequests, ["26752088"]);
+    assert.deepEqual(result.enrichment, { enriched: 0, requested: 1, remaining: 3 });
+    assert.match(result.failures[0].message, /blocked/);
+
+    // Without enrich no subject page is requested
+    await sync({ enrich: false });
+    assert.deepEqual(subjectRequests, []);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("douban subject tests passed");
@@ -466,4 +466,126 @@ assert.equal(crossTypeDedupeResult.data.series.length, 0);
 assert.equal(crossTypeDedupeResult.data.movies[0].title, "东京大饭店·特别篇");
 assert.equal(crossTypeDedupeResult.data.movies[0].doubanId, "37077071");
 
+// A dry run lists every change without downloading covers; approve applies a subset
+const planData = {
+    books: [],
+    movies: [
+        { id: "movie-1", title: "霸王别姬", year: 1993, status: "completed", addedDate: "2020-01-01" },
+        { id: "movie-2", title: "花样年华", status: "completed", source: "douban", doubanId: "1291557" },
+        { id: "movie-3", title: "花样年华", year: 2000, status: "completed", addedDate: "2021-03-04" },
+    ],
+    series: [],
+    music: [],
+};
+const planEntries = {
+    movies: [
+        {
+            title: "我不是药神",
+            status: "completed",
+            cover: "https://img1.doubanio.com/view/photo/s_ratio_poster/public/p2527119568.jpg",
+            doubanId: "26752088",
+            doubanUrl: "https://movie.douban.com/subject/26752088/",
+            source: "douban",
+        },
+        {
+            title: "霸王别姬",
+            year: 1993,
+            status: "completed",
+            rating: 10,
+            doubanId: "1291546",
+            doubanUrl: "https://movie.douban.com/subject/1291546/",
+            source: "douban",
+        },
+    ],
+};
+const plan = await mergeSyncedEntries(planData, planEntries, { dedupeDataTypes: ["movies"], dryRun: true });
+assert.deepEqual(
+    plan.changes.map((change) => change.id),
+    ["add:movies:26752088", "cover:movies:26752088", "update:movies:1291546", "merge:movie-2|movie-3"],
+);
+assert.equal(plan.changes[1].dependsOn, "add:movies:26752088");
+assert.equal(plan.changes[1].url, planEntries.movies[0].cover);
+assert.equal(plan.data.movies.find((movie) => movie.doubanId === "26752088").cover, planEntries.movies[0].cover);
+assert.equal(plan.changes[2].itemId, "movie-1");
+assert.deepEqual(plan.changes[2].fields.rating, { before: undefined, after: 10 });
+assert.deepEqual(Object.keys(plan.changes[2].fields).sort(), ["doubanId", "doubanUrl", "rating"]);
+assert.equal(plan.changes[3].kept.id, "movie-3");
+assert.equal(plan.changes[3].removed.id, "movie-2");
+assert.deepEqual(plan.changes[3].fields.doubanId, { before: undefined, after: "1291557" });
+
+// Same entries, only the update approved: nothing added, duplicates left apart
+const approved = await mergeSyncedEntries(planData, planEntries, {
+    dedupeDataTypes: ["movies"],
+    approve: new Set(["update:movies:1291546"]),
+});
+assert.deepEqual(
+    approved.data.movies.map((movie) => movie.id),
+    ["movie-1", "movie-2", "movie-3"],
+);
+assert.equal(approved.data.movies[0].rating, 10);
+assert.deepEqual(approved.changes.map((change) => change.id), ["update:movies:1291546"]);
+assert.equal(approved.byType.movies.skipped, 1);
+
+// Synced items no longer on Douban, after a full fetch of their type
+const removedData = {
+    books: [
+        { id: "book-1", title: "活着", status: "completed", doubanId: "4913064", source: "douban" },
+        { id: "book-2", title: "许三观卖血记", status: "completed", doubanId: "4760425", source: "douban" },
+        { id: "book-3", title: "兄弟", status: "completed", doubanId: "1765423", source: "douban" },
+        { id: "book-4", title: "第七天", status: "want-to-read", doubanId: "25728033", source: "douban", orphanedAt: "2024-01-01" },
+        { id: "book-5", title: "在细雨中呼喊", status: "completed" },
+        { id: "book-6", title: "文城", status: "completed", source: "goodreads" },
+    ],
+    movies: [{ id: "movie-1", title: "霸王别姬", status: "completed", doubanId: "1291546", source: "douban" }],
+};
+const removedEntries = {
+    books: [{ title: "活着", status: "completed", doubanId: "4913064", source: "douban" }],
+};
+const removedOptions = { completeTypes: ["books"], editedAt: { "book-3": { rating: "2024-02-02T00:00:00.000Z" } } };
+
+// ignore: reported only, and only for complete types
+const ignored = await mergeSyncedEntries(removedData, removedEntries, removedOptions);
+assert.deepEqual(
+    ignored.missing.map((item) => [item.itemId, item.action, item.edited]),
+    [
+        ["book-2", "ignored", false],
+        ["book-3", "ignored", true],
+        ["book-4", "ignored", false],
+    ],
+);
+assert.equal(ignored.data.books.length, 6);
+assert.equal(ignored.changes.length, 0);
+
+// flag: orphanedAt is set, already flagged items are left as they are
+const flagged = await mergeSyncedEntries(removedData, removedEntries, { ...removedOptions, removedPolicy: "flag" });
+assert.deepEqual(flagged.changes.map((change) => change.id), ["orphan:book-2", "orphan:book-3"]);
+assert.match(flagged.data.books.find((book) => book.id === "book-2").orphanedAt, /^\d{4}-\d{2}-\d{2}$/);
+assert.equal(flagged.data.books.find((book) => book.id === "book-4").orphanedAt, "2024-01-01");
+
+// delete: unedited items are removed, edited ones only flagged, manual and other sources kept
+const deleted = await mergeSyncedEntries(removedData, removedEntries, { ...removedOptions, removedPolicy: "delete" });
+assert.deepEqual(deleted.changes.map((change) => change.id), ["remove:book-2", "orphan:book-3", "remove:book-4"]);
+assert.deepEqual(deleted.data.books.map((book) => book.id), ["book-1", "book-3", "book-5", "book-6"]);
+assert.deepEqual(
+    deleted.missing.map((item) => item.action),
+    ["deleted", "flagged", "deleted"],
+);
+assert.equal(deleted.data.movies.length, 1);
+
+// Incremental fetches never remove anything
+const incremental = await mergeSyncedEntries(removedData, removedEntries, { removedPolicy: "delete" });
+assert.equal(incremental.missing.length, 0);
+assert.equal(incremental.data.books.length, 6);
+
+// Unapproved removals are left out; a flagged item back on Douban is unflagged
+const revived = await mergeSyncedEntries(
+    removedData,
+    { books: [...removedEntries.books, { title: "第七天", status: "want-to-read", doubanId: "25728033", source: "douban" }] },
+    { ...removedOptions, removedPolicy: "delete", approve: new Set(["update:books:25728033"]) },
+);
+assert.deepEqual(revived.changes.map((change) => change.id), ["update:books:25728033"]);
+assert.equal(revived.data.books.find((book) => book.id === "book-4").orphanedAt, undefined);
+assert.equal(revived.data.books.length, 6);
+assert.deepEqual(revived.missing.map((item) => item.action), ["ignored", "ignored"]);
+
 console.log("douban sync parser and merge tests passed");
@@ -0,0 +1,198 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { dedupeCollectionData, duplicateRules, mergeSyncedEntries } from "../src/utils/douban-sync.mjs";
+import {
+    createDuplicateDecisions,
+    findDuplicateCandidates,
+    mergeDuplicatePair,
+    pairKey,
+} from "../src/utils/duplicate-review.mjs";
+
+const data = {
+    books: [
+        { id: "book-1", title: "活着", author: "余华", isbn: "9787506365437", status: "completed", source: "manual" },
+        {
+            id: "book-2",
+            title: "活着",
+            author: "余华",
+            isbn: "978-7-5063-6543-7",
+            publisher: "作家出版社",
+            status: "completed",
+            doubanId: "4913064",
+            source: "douban",
+        },
+        { id: "book-3", title: "许三观卖血记", author: "余华", status: "completed" },
+    ],
+    movies: [
+        // Same day, same details, one title translated
+        { id: "movie-1", title: "Dying to Survive", type: "movie", year: 2018, rating: 10, status: "completed", addedDate: "2024-03-02" },
+        {
+            id: "movie-2",
+            title: "我不是药神",
+            type: "movie",
+            year: 2018,
+            rating: 10,
+            status: "completed",
+            addedDate: "2024-03-02",
+            doubanId: "26752088",
+            source: "douban",
+        },
+        // Only the poster in common
+        { id: "movie-3", title: "花样年华", type: "movie", year: 2000, status: "completed", cover: "/covers/p2176510.jpg", addedDate: "2023-01-01" },
+        {
+            id: "movie-4",
+            title: "In the Mood for Love",
+            type: "movie",
+            year: 2000,
+            status: "completed",
+            cover: "https://img1.doubanio.com/view/photo/s_ratio_poster/public/p2176510.jpg",
+            addedDate: "2023-05-05",
+        },
+    ],
+    series: [{ id: "series-1", title: "我不是药神", type: "series", status: "completed", doubanId: "26752088", source: "douban" }],
+    music: [],
+};
+
+// Every rule that fires is reported, not only the first
+assert.deepEqual(duplicateRules(data.books[0], data.books[1]), ["isbn", "title"]);
+assert.deepEqual(duplicateRules(data.movies[0], data.movies[1]), ["translated"]);
+assert.deepEqual(duplicateRules(data.movies[2], data.movies[3]), ["cover"]);
+assert.deepEqual(duplicateRules(data.movies[1], data.series[0], { crossType: true }), ["douban-id"]);
+assert.deepEqual(duplicateRules(data.books[0], data.books[2]), []);
+// Different Douban subjects are never the same work
+assert.deepEqual(duplicateRules(data.movies[1], { ...data.movies[1], id: "movie-9", doubanId: "1" }), []);
+
+const candidates = findDuplicateCandidates(data);
+assert.deepEqual(
+    candidates.map((candidate) => [candidate.id, candidate.confidence, candidate.rules, candidate.automatic]),
+    [
+        ["movie-2|series-1", 1, ["douban-id"], true],
+        ["book-1|book-2", 0.99, ["isbn", "title"], true],
+        ["movie-3|movie-4", 0.6, ["cover"], true],
+        ["movie-1|movie-2", 0.4, ["translated"], true],
+    ],
+);
+assert.deepEqual(candidates[0].items.map(({ type, item }) => `${type}/${item.id}`), ["movies/movie-2", "series/series-1"]);
+assert.deepEqual(
+    findDuplicateCandidates(data, { dataTypes: ["books"] }).map((candidate) => candidate.id),
+    ["book-1|book-2"],
+);
+
+// Only items sharing a duplicateKeys key are compared: the same pairs as comparing every
+// item with every other, long titles inside longer ones included
+{
+    const words = ["活着", "The Long Goodbye", "许三观卖血记", "Stories of Your Life and Others", "花样年华"];
+    const generated = {
+        books: Array.from({ length: 120 }, (_, index) => ({
+            id: `book-${index}`,
+            title: `${words[index % 5]}${index % 7 === 0 ? " (Expanded Edition)" : ""}`,
+            author: index % 2 ? "余华" : "Raymond Chandler",
+            isbn: index % 11 === 0 ? "9787506365437" : undefined,
+            status: index % 3 ? "completed" : "want-to-read",
+            addedDate: `2024-01-0${(index % 4) + 1}`,
+        })),
+        movies: data.movies,
+        series: [...data.series, { id: "series-2", title: "In the Mood for Love", type: "series", status: "completed", addedDate: "2023-05-05" }],
+        music: [],
+    };
+    const everyPair = [];
+    for (const type of ["books", "movies", "series"]) {
+        const items = generated[type];
+        items.forEach((left, i) => items.slice(i + 1).forEach((right) => duplicateRules(left, right).length && everyPair.push(pairKey(left.id, right.id))));
+    }
+    for (const movie of generated.movies) {
+        for (const series of generated.series) if (duplicateRules(movie, series, { crossType: true }).length) everyPair.push(pairKey(movie.id, series.id));
+    }
+    const found = findDuplicateCandidates(generated).map((candidate) => candidate.id);
+    assert.ok(found.length > 100);
+    assert.deepEqual(found.sort(), everyPair.sort());
+}
+
+// Merging field by field
+{
+    const copy = structuredClone(data);
+    const result = mergeDuplicatePair(copy, {
+        keep: { type: "books", id: "book-1" },
+        remove: { type: "books", id: "book-2" },
+        fields: { isbn: "remove" },
+    });
+    assert.deepEqual(copy.books.map((book) => book.id), ["book-1", "book-3"]);
+    assert.equal(result.kept.isbn, "978-7-5063-6543-7");
+    // Empty fields are filled from the removed item; its source is not taken over
+    assert.equal(result.kept.publisher, "作家出版社");
+    assert.equal(result.kept.doubanId, "4913064");
+    assert.equal(result.kept.source, "manual");
+    assert.deepEqual(result.doubanIds, []);
+
+    // Keeping an empty value keeps the Douban subject pointing here
+    const again = structuredClone(data);
+    const kept = mergeDuplicatePair(again, {
+        keep: { type: "movies", id: "movie-1" },
+        remove: { type: "movies", id: "movie-2" },
+        fields: { title: "keep", doubanId: "keep" },
+    });
+    assert.equal(kept.kept.title, "Dying to Survive");
+    assert.equal(kept.kept.doubanId, undefined);
+    assert.deepEqual(kept.doubanIds, ["26752088"]);
+
+    // Across types: only the kept type's fields
+    const cross = structuredClone(data);
+    const movie = mergeDuplicatePair(cross, { keep: { type: "movies", id: "movie-2" }, remove: { type: "series", id: "series-1" } });
+    assert.equal(movie.kept.type, "movie");
+    assert.deepEqual(cross.series, []);
+
+    const fails = (options, pattern, statusCode = 400) =>
+        assert.throws(() => mergeDuplicatePair(structuredClone(data), options), (error) => error.statusCode === statusCode && pattern.test(error.message));
+    fails({ keep: { type: "books", id: "book-1" }, remove: { type: "books", id: "book-9" } }, /book-9/, 404);
+    fails({ keep: { type: "books", id: "book-1" }, remove: { type: "books", id: "book-1" } }, /itself/);
+    fails({ keep: { type: "books", id: "book-1" }, remove: { type: "books", id: "book-2" }, fields: { runtime: "remove" } }, /runtime/);
+    fails({ keep: { type: "books", id: "book-1" }, remove: { type: "books", id: "book-2" }, fields: { isbn: "both" } }, /isbn/);
+    fails({ keep: { type: "games", id: "game-1" }, remove: { type: "books", id: "book-2" } }, /games/);
+}
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-duplicate-review-"));
+try {
+    const decisions = createDuplicateDecisions({ file: join(root, "state", "duplicate-decisions.json") });
+    assert.deepEqual(await decisions.read(), { distinct: [], merged: [] });
+
+    // Not a duplicate: left out of the queue and never merged by a dedupe or sync
+    await decisions.markDistinct("movie-2", "movie-1");
+    await decisions.markDistinct("movie-1", "movie-2");
+    assert.equal((await decisions.read()).distinct.length, 1);
+    assert.ok(!findDuplicateCandidates(data, { decisions: await decisions.read() }).some((candidate) => candidate.id === "movie-1|movie-2"));
+
+    const { keepApart } = await decisions.hooks();
+    assert.equal(dedupeCollectionData(data, ["movies"]).data.movies.length, 2);
+    assert.equal(dedupeCollectionData(data, ["movies"], { keepApart }).data.movies.length, 3);
+    const synced = await mergeSyncedEntries({ movies: data.movies.slice(0, 2) }, {}, { dedupeDataTypes: ["movies"], keepApart });
+    assert.deepEqual(synced.data.movies.map((movie) => movie.id), ["movie-1", "movie-2"]);
+    assert.equal(synced.changes.length, 0);
+
+    // Merged by hand: the removed item's Douban subject updates the item left, even
+    // after that item was merged into another one in turn
+    await decisions.recordMerge({ kept: "movie-8", removed: "movie-7", doubanIds: ["555"] });
+    await decisions.recordMerge({ kept: "movie-9", removed: "movie-8", doubanIds: [] });
+    const { mergedInto } = await decisions.hooks();
+    assert.deepEqual(mergedInto, { 555: "movie-9" });
+
+    const existing = { movies: [{ id: "movie-9", title: "重庆森林", type: "movie", status: "completed", doubanId: "777" }] };
+    const entry = { title: "Chungking Express", type: "movie", status: "completed", year: 1994, doubanId: "555", source: "douban" };
+    const merged = await mergeSyncedEntries(existing, { movies: [entry], series: [{ ...entry, type: "series" }] }, { mergedInto });
+    assert.equal(merged.data.movies.length, 1);
+    assert.equal(merged.data.movies[0].year, 1994);
+    assert.equal(merged.data.series.length, 0);
+    assert.equal(merged.byType.series.skipped, 1);
+    // Without the decision the subject comes back as a new item
+    assert.equal((await mergeSyncedEntries(existing, { movies: [entry] })).data.movies.length, 2);
+
+    // A merge drops the distinct decisions of the item merged away
+    await decisions.recordMerge({ kept: "movie-1", removed: "movie-2", doubanIds: [] });
+    assert.deepEqual((await decisions.read()).distinct, []);
+    assert.equal(pairKey("b", "a"), "a|b");
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("duplicate review tests passed");
@@ -0,0 +1,350 @@
+import assert from "node:assert/strict";
+import { access, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { crc32, deflateRawSync } from "node:zlib";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { normalizeIsbn } from "../src/utils/douban-sync.mjs";
+import { IMPORT_SOURCES, importExternal } from "../src/utils/external-import.mjs";
+import { parseGoodreadsExport } from "../src/utils/goodreads-import.mjs";
+import { parseLetterboxdExport } from "../src/utils/letterboxd-import.mjs";
+import { parseLastfmScrobbles, parseSpotifyHistory } from "../src/utils/listening-import.mjs";
+import { parseTraktExport } from "../src/utils/trakt-import.mjs";
+import { readZip } from "../src/utils/zip.mjs";
+
+// Zip archive with deflated entries (stored when `stored` is set), like export downloads
+function createZip(files, { stored = false } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(files)) {
+        const data = Buffer.from(text);
+        const body = stored ? data : deflateRawSync(data);
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(stored ? 0 : 8, 8);
+        local.writeUInt32LE(crc32(data), 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(stored ? 0 : 8, 10);
+        central.writeUInt32LE(crc32(data), 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, body);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + body.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// ISBN-10 and hyphenated ISBN-13 normalize to the same ISBN-13; bad check digits are dropped
+assert.equal(normalizeIsbn("0-439-02348-3"), "9780439023481");
+assert.equal(normalizeIsbn("978-0-439-02348-1"), "9780439023481");
+assert.equal(normalizeIsbn("080442957X"), "9780804429573");
+assert.equal(normalizeIsbn("0439023484"), "");
+assert.equal(normalizeIsbn(""), "");
+
+const goodreadsCsv = [
+    "Book Id,Title,Author,Author l-f,Additional Authors,ISBN,ISBN13,My Rating,Average Rating,Publisher,Binding,Number of Pages,Year Published,Original Publication Year,Date Read,Date Added,Bookshelves,Bookshelves with positions,Exclusive Shelf,My Review,Spoiler,Private Notes,Read Count,Owned Copies",
+    '2767052,"The Hunger Games (The Hunger Games, #1)",Suzanne Collins,"Collins, Suzanne",,"=""0439023483""","=""9780439023481""",4,4.33,Scholastic Press,Hardcover,374,2008,2008,2023/05/06,2022/12/01,,,read,"Great.<br/><br/>Would read again.",,,1,0',
+    '18144590,The Alchemist,Paulo Coelho,"Coelho, Paulo",,"=""""","=""""",0,3.90,HarperOne,Paperback,197,2014,1988,,2024/01/15,,,currently-reading,,,,0,0',
+    '7144,Crime and Punishment,Fyodor Dostoevsky,"Dostoevsky, Fyodor",,"=""0143058142""","=""9780143058144""",0,4.27,Penguin,Paperback,671,2002,1866,,2024/03/02,,,to-read,,,,0,0',
+    '1,Some Book,Someone,"Someone",,"=""""","=""""",3,3.00,,,,,,,2024/03/03,,,did-not-finish,,,,0,0',
+].join("\r\n");
+
+// Parsing: shelves, stars, dates, ISBNs, series suffix, review markup
+const parsed = parseGoodreadsExport(goodreadsCsv);
+assert.deepEqual(parsed.entries.books[0], {
+    title: "The Hunger Games",
+    author: "Suzanne Collins",
+    publisher: "Scholastic Press",
+    isbn: "9780439023481",
+    year: 2008,
+    rating: 8,
+    status: "completed",
+    addedDate: "2023-05-06",
+    notes: "Great.\n\nWould read again.",
+    source: "goodreads",
+});
+assert.deepEqual(
+    parsed.entries.books.map((book) => [book.title, book.status, book.rating, book.addedDate, book.year, book.isbn]),
+    [
+        ["The Hunger Games", "completed", 8, "2023-05-06", 2008, "9780439023481"],
+        ["The Alchemist", "reading", undefined, "2024-01-15", 1988, undefined],
+        ["Crime and Punishment", "want-to-read", undefined, "2024-03-02", 1866, "9780143058144"],
+    ],
+);
+assert.deepEqual(parsed.skipped, [{ row: 3, title: "Some Book", reason: 'unknown shelf "did-not-finish"' }]);
+assert.throws(() => parseGoodreadsExport("Title,Author\nA,B"), { statusCode: 400, message: /Exclusive Shelf/ });
+
+// Merging into books.json: a Douban book with the same ISBN is filled in, a title
+// match is filled in, the rest is added
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-external-import-"));
+const booksFile = join(root, "books.json");
+const existing = [
+    {
+        id: "book-2",
+        title: "饥饿游戏",
+        originalTitle: "The Hunger Games",
+        author: "[美] 苏珊·柯林斯",
+        isbn: "0439023483",
+        status: "completed",
+        doubanId: "3646172",
+        source: "douban",
+    },
+    { id: "book-1", title: "The Alchemist", author: "Paulo Coelho", status: "reading", notes: "手工笔记" },
+];
+await writeFile(booksFile, JSON.stringify(existing, null, 2));
+const dataStore = createDataStore({ dataFiles: { books: booksFile } });
+
+const plan = await importExternal({ source: "goodreads", content: goodreadsCsv, dataStore, dryRun: true });
+assert.deepEqual(plan.byType.books, { added: 1, updated: 2, skipped: 0, failed: 0 });
+assert.deepEqual(JSON.parse(await readFile(booksFile, "utf-8")), existing);
+
+// A preview plans cover downloads without making them: nothing is fetched and the
+// covers directory is left alone (a source whose entries have remote covers)
+IMPORT_SOURCES["test-covers"] = {
+    label: "Test",
+    dataTypes: ["books"],
+    accept: ".json",
+    parse: (content) => ({ entries: { books: JSON.parse(content) }, skipped: [] }),
+};
+const coversDir = join(root, "covers");
+const realFetch = globalThis.fetch;
+let coverFetches = 0;
+globalThis.fetch = async () => {
+    coverFetches += 1;
+    throw new Error("no network in tests");
+};
+try {
+    const coverPlan = await importExternal({
+        source: "test-covers",
+        content: JSON.stringify([{ title: "第七天", author: "余华", status: "completed", cover: "https://img1.doubanio.com/view/subject/s/public/s27252687.jpg" }]),
+        dataStore,
+        coversDir,
+        dryRun: true,
+    });
+    assert.deepEqual(coverPlan.byType.books, { added: 1, updated: 0, skipped: 0, failed: 0 });
+    assert.equal(coverFetches, 0);
+    await assert.rejects(access(coversDir));
+    assert.deepEqual(JSON.parse(await readFile(booksFile, "utf-8")), existing);
+} finally {
+    globalThis.fetch = realFetch;
+    delete IMPORT_SOURCES["test-covers"];
+}
+
+const result = await importExternal({ source: "goodreads", content: goodreadsCsv, dataStore, meta: { actor: "test" } });
+assert.deepEqual(result.byType.books, plan.byType.books);
+assert.equal(result.entries.books, 3);
+assert.equal(result.skipped.length, 1);
+assert.match(result.batchId, /\S/);
+
+const books = await dataStore.read("books");
+assert.deepEqual(books.map((book) => book.id), ["book-3", "book-2", "book-1"]);
+const hungerGames = books.find((book) => book.id === "book-2");
+// Existing values are kept; only empty fields are filled
+assert.equal(hungerGames.title, "饥饿游戏");
+assert.equal(hungerGames.isbn, "0439023483");
+assert.equal(hungerGames.rating, 8);
+assert.equal(hungerGames.addedDate, "2023-05-06");
+assert.equal(hungerGames.source, "douban");
+assert.equal(books.find((book) => book.id === "book-1").notes, "手工笔记");
+assert.equal(books[0].title, "Crime and Punishment");
+assert.equal(books[0].source, "goodreads");
+
+// Importing the same file again changes nothing
+const again = await importExternal({ source: "goodreads", content: goodreadsCsv, dataStore });
+assert.deepEqual(again.byType.books, { added: 0, updated: 0, skipped: 3, failed: 0 });
+assert.deepEqual(await dataStore.read("books"), books);
+
+await assert.rejects(importExternal({ source: "myspace", content: "x", dataStore }), { statusCode: 404 });
+await assert.rejects(importExternal({ source: "goodreads", content: " ", dataStore }), { statusCode: 400 });
+
+// Zip reading: stored and deflated entries, directories left out
+const zipped = readZip(createZip({ "a.txt": "hello", "dir/b.txt": "wörld ".repeat(50) }));
+assert.deepEqual([...zipped.keys()], ["a.txt", "dir/b.txt"]);
+assert.equal(zipped.get("dir/b.txt").toString(), "wörld ".repeat(50));
+assert.equal(readZip(createZip({ "a.txt": "hello" }, { stored: true })).get("a.txt").toString(), "hello");
+assert.throws(() => readZip(Buffer.from("not a zip at all, just some text")), { statusCode: 400 });
+
+// Letterboxd: watchlist -> want-to-watch, watched films are completed from their first
+// watch, 0.5-5 stars -> 1-10 with ratings.csv holding the current rating
+const letterboxdZip = createZip({
+    "watchlist.csv": [
+        "Date,Name,Year,Letterboxd URI",
+        "2023-01-01,Parasite,2019,https://boxd.it/hTha",
+        "2023-01-02,Past Lives,2023,https://boxd.it/yqnS",
+    ].join("\n"),
+    "watched.csv": [
+        "Date,Name,Year,Letterboxd URI",
+        "2023-06-01,Parasite,2019,https://boxd.it/hTha",
+        "2024-02-01,Chernobyl,2019,https://boxd.it/kRCa",
+    ].join("\n"),
+    "diary.csv": [
+        "Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date",
+        "2023-06-02,Parasite,2019,https://boxd.it/5aB1,4.5,,,2023-05-30",
+        "2024-03-02,Parasite,2019,https://boxd.it/5aB2,4,Yes,,2024-03-01",
+    ].join("\n"),
+    "ratings.csv": ["Date,Name,Year,Letterboxd URI,Rating", "2024-03-02,Parasite,2019,https://boxd.it/hTha,5"].join("\n"),
+    "deleted/diary.csv": ["Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date", "2020-01-01,Gone,2001,x,1,,,2020-01-01"].join("\n"),
+});
+const letterboxd = parseLetterboxdExport(letterboxdZip);
+assert.deepEqual(letterboxd.entries.movies, [
+    { title: "Parasite", year: 2019, type: "movie", source: "letterboxd", status: "completed", addedDate: "2023-05-30", rating: 10 },
+    { title: "Past Lives", year: 2023, type: "movie", source: "letterboxd", status: "want-to-watch", addedDate: "2023-01-02" },
+    { title: "Chernobyl", year: 2019, type: "movie", source: "letterboxd", status: "completed", addedDate: "2024-02-01" },
+]);
+assert.throws(() => parseLetterboxdExport(createZip({ "readme.txt": "hi" })), /Not a Letterboxd export/);
+
+// Trakt: the record decides movie or show; ratings are already 1-10
+const traktHistory = [
+    { id: 1, watched_at: "2024-01-05T21:13:00.000Z", action: "watch", type: "movie", movie: { title: "Dune", year: 2021, ids: { trakt: 287071 } } },
+    { id: 2, watched_at: "2023-12-01T20:00:00.000Z", action: "watch", type: "movie", movie: { title: "Dune", year: 2021, ids: { trakt: 287071 } } },
+    {
+        id: 3,
+        watched_at: "2024-02-03T20:00:00.000Z",
+        action: "watch",
+        type: "episode",
+        episode: { season: 1, number: 1, title: "1:23:45" },
+        show: { title: "Chernobyl", year: 2019, ids: { trakt: 137178 } },
+    },
+    { id: 4, watched_at: "2024-04-01T20:00:00.000Z", type: "episode", episode: { season: 1, number: 1 }, show: { title: "Severance", year: 2022, ids: { trakt: 154997 } } },
+];
+const traktExport = {
+    history: traktHistory,
+    ratings: [
+        { rated_at: "2024-02-10T00:00:00.000Z", rating: 9, type: "show", show: { title: "Chernobyl", year: 2019, ids: { trakt: 137178 } } },
+        { rated_at: "2024-04-02T00:00:00.000Z", rating: 6, type: "episode", episode: { season: 1, number: 1 }, show: { title: "Severance", year: 2022, ids: { trakt: 154997 } } },
+    ],
+    watchlist: [
+        { listed_at: "2024-05-01T00:00:00.000Z", type: "movie", movie: { title: "Perfect Days", year: 2023, ids: { trakt: 800001 } } },
+        { listed_at: "2023-01-01T00:00:00.000Z", type: "movie", movie: { title: "Dune", year: 2021, ids: { trakt: 287071 } } },
+    ],
+};
+const trakt = parseTraktExport(JSON.stringify(traktExport));
+assert.deepEqual(trakt.entries.movies, [
+    { title: "Dune", year: 2021, type: "movie", source: "trakt", status: "completed", addedDate: "2023-12-01" },
+    { title: "Perfect Days", year: 2023, type: "movie", source: "trakt", status: "want-to-watch", addedDate: "2024-05-01" },
+]);
+assert.deepEqual(trakt.entries.series, [
+    { title: "Chernobyl", year: 2019, type: "series", source: "trakt", rating: 9, status: "completed", addedDate: "2024-02-03" },
+    { title: "Severance", year: 2022, type: "series", source: "trakt", status: "watching", addedDate: "2024-04-01" },
+]);
+// The same records split over the JSON files of a zipped export
+const traktZip = createZip(Object.fromEntries(Object.entries(traktExport).map(([name, records]) => [`${name}.json`, JSON.stringify(records)])));
+assert.deepEqual(parseTraktExport(traktZip).entries, trakt.entries);
+assert.throws(() => parseTraktExport("{}"), /Not a Trakt export/);
+
+// Merging into movies.json/series.json: a film already on the series shelf (Douban
+// lists Chernobyl as a TV series) is merged by the cross-type video dedupe
+const videoFiles = { movies: join(root, "movies.json"), series: join(root, "series.json") };
+await writeFile(videoFiles.movies, JSON.stringify([{ id: "movie-1", type: "movie", title: "寄生虫", originalTitle: "Parasite", year: 2019, status: "completed", source: "douban", doubanId: "27010768" }]));
+await writeFile(videoFiles.series, JSON.stringify([{ id: "series-1", type: "series", title: "切尔诺贝利", originalTitle: "Chernobyl", year: 2019, status: "completed", addedDate: "2024-02-01", source: "douban", doubanId: "30345581" }]));
+const videoStore = createDataStore({ dataFiles: videoFiles });
+const letterboxdResult = await importExternal({ source: "letterboxd", content: letterboxdZip, dataStore: videoStore });
+assert.deepEqual(letterboxdResult.byType.movies, { added: 2, updated: 1, skipped: 0, failed: 0 });
+assert.deepEqual(letterboxdResult.deduped, { movies: { removed: 1 }, series: { removed: 0 } });
+const movies = await videoStore.read("movies");
+assert.deepEqual(movies.map((movie) => movie.title), ["Past Lives", "寄生虫"]);
+assert.equal(movies[1].rating, 10);
+assert.deepEqual((await videoStore.read("series")).map((series) => series.id), ["series-1"]);
+
+// Trakt text or base64-decoded buffers are both accepted
+const traktResult = await importExternal({ source: "trakt", content: Buffer.from(JSON.stringify(traktExport)), dataStore: videoStore, dryRun: true });
+assert.equal(traktResult.entries.series, 2);
+assert.equal(traktResult.byType.series.updated, 1);
+
+// Last.fm: plays counted per album (editions folded together), albums under the
+// threshold left out, recently played albums are "listening"
+const now = Date.parse("2024-06-30T00:00:00Z");
+const scrobble = (artist, album, date, times = 1) => Array.from({ length: times }, () => `${artist},"${album}",Track,${date}`);
+const lastfmCsv = [
+    ...scrobble("Radiohead", "OK Computer", "05 Jan 2023 21:13", 2),
+    ...scrobble("Radiohead", "OK Computer (Collector's Edition)", "20 Jun 2024 08:00", 2),
+    ...scrobble("Queen", "Greatest Hits", "01 Mar 2022 10:00", 3),
+    ...scrobble("ABBA", "Greatest Hits", "01 Feb 2022 10:00", 3),
+    ...scrobble("Björk", "Homogenic", "02 Feb 2024 10:00", 1),
+    "Nobody,,Track,01 Jan 2024 00:00",
+].join("\n");
+const lastfm = parseLastfmScrobbles(lastfmCsv, { minPlays: 3, now });
+assert.deepEqual(lastfm.entries.music, [
+    { title: "OK Computer", artist: "Radiohead", addedDate: "2023-01-05", playCount: 4, status: "listening", source: "lastfm" },
+    { title: "Greatest Hits", artist: "Queen", addedDate: "2022-03-01", playCount: 3, status: "completed", source: "lastfm" },
+    { title: "Greatest Hits", artist: "ABBA", addedDate: "2022-02-01", playCount: 3, status: "completed", source: "lastfm" },
+]);
+assert.deepEqual(lastfm.skipped.map((entry) => entry.reason), ["missing artist, album or date", "fewer than 3 plays"]);
+// CSV with a header and Unix timestamps
+const lastfmHeader = parseLastfmScrobbles("uts,utc_time,artist,artist_mbid,album,album_mbid,track\n1704489180,x,Radiohead,,Kid A,,Idioteque", { minPlays: 1, now });
+assert.deepEqual(lastfmHeader.entries.music[0], { title: "Kid A", artist: "Radiohead", addedDate: "2024-01-05", playCount: 1, status: "completed", source: "lastfm" });
+assert.throws(() => parseLastfmScrobbles(lastfmCsv, { minPlays: 0 }), /minPlays/);
+
+// Spotify: streams under 30 s and podcasts are not plays
+const stream = (album, ts, ms = 200000) => ({
+    ts,
+    ms_played: ms,
+    master_metadata_track_name: "Track",
+    master_metadata_album_artist_name: "Radiohead",
+    master_metadata_album_album_name: album,
+});
+const spotifyHistory = [
+    stream("In Rainbows", "2024-06-01T10:00:00Z"),
+    stream("In Rainbows", "2024-06-02T10:00:00Z"),
+    stream("In Rainbows", "2024-06-03T10:00:00Z", 5000),
+    { ts: "2024-06-04T10:00:00Z", ms_played: 900000, master_metadata_album_album_name: null, episode_name: "Podcast" },
+];
+const spotify = parseSpotifyHistory(createZip({ "Spotify Extended Streaming History/Streaming_History_Audio_2024.json": JSON.stringify(spotifyHistory) }), { minPlays: 2, now });
+assert.deepEqual(spotify.entries.music, [
+    { title: "In Rainbows", artist: "Radiohead", addedDate: "2024-06-01", playCount: 2, status: "listening", source: "spotify" },
+]);
+assert.deepEqual(spotify.skipped, [{ title: "2 stream(s)", reason: "shorter than 30 s, podcasts or missing album" }]);
+assert.throws(() => parseSpotifyHistory(JSON.stringify([{ endTime: "2024-01-01", trackName: "x" }])), /extended streaming history/);
+
+// Merging into music.json: an album marked on Douban is matched by title and artist even
+// though the inferred status differs; a same-titled album by another artist is not
+const musicFile = join(root, "music.json");
+await writeFile(musicFile, JSON.stringify([
+    { id: "music-2", title: "OK Computer", artist: "Radiohead", status: "completed", source: "douban", doubanId: "1401853" },
+    { id: "music-1", title: "Greatest Hits", artist: "Queen", status: "want-to-listen" },
+]));
+const musicStore = createDataStore({ dataFiles: { music: musicFile } });
+const lastfmResult = await importExternal({ source: "lastfm", content: lastfmCsv, options: { minPlays: 3, now }, dataStore: musicStore });
+assert.deepEqual(lastfmResult.byType.music, { added: 1, updated: 2, skipped: 0, failed: 0 });
+const music = await musicStore.read("music");
+assert.deepEqual(music.map((album) => [album.id, album.artist, album.status, album.playCount]), [
+    ["music-3", "ABBA", "completed", 3],
+    ["music-2", "Radiohead", "completed", 4],
+    ["music-1", "Queen", "want-to-listen", 3],
+]);
+// Importing a newer export again: play counts are replaced, and an album no longer
+// listened to lately becomes completed; other statuses are kept
+await musicStore.update("music", (items) => {
+    items.find((album) => album.id === "music-3").status = "listening";
+});
+const laterCsv = [lastfmCsv, ...scrobble("Radiohead", "OK Computer", "21 Jun 2024 08:00", 2), ...scrobble("ABBA", "Greatest Hits", "02 Feb 2022 10:00", 2)].join("\n");
+const reimport = await importExternal({ source: "lastfm", content: laterCsv, options: { minPlays: 3, now }, dataStore: musicStore });
+assert.deepEqual(reimport.byType.music, { added: 0, updated: 2, skipped: 1, failed: 0 });
+assert.deepEqual((await musicStore.read("music")).map((album) => [album.id, album.status, album.playCount]), [
+    ["music-3", "completed", 5],
+    ["music-2", "completed", 6],
+    ["music-1", "want-to-listen", 3],
+]);
+
+await rm(root, { recursive: true, force: true });
+
+console.log("external import tests passed");
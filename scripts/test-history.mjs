@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createChangeJournal, diffCollections, diffItem, revertChanges } from "../src/utils/change-journal.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+
+// Field diffs list only fields that differ, including added and removed ones.
+assert.deepEqual(diffItem({ id: "book-1", rating: 8, notes: "旧" }, { id: "book-1", rating: 9, tags: ["科幻"] }), {
+    rating: { before: 8, after: 9 },
+    notes: { before: "旧", after: undefined },
+    tags: { before: undefined, after: ["科幻"] },
+});
+
+// Collection diffs: one change per touched item; deletes remember where the item was.
+const before = [
+    { id: "book-1", title: "三体", rating: 8 },
+    { id: "book-2", title: "球状闪电" },
+    { id: "book-3", title: "流浪地球" },
+];
+const after = [
+    { id: "book-1", title: "三体", rating: 9 },
+    { id: "book-3", title: "流浪地球" },
+    { id: "book-4", title: "超新星纪元" },
+];
+const changes = diffCollections("books", before, after);
+assert.deepEqual(
+    changes.map((change) => `${change.action}:${change.itemId}`),
+    ["update:book-1", "create:book-4", "delete:book-2"],
+);
+assert.deepEqual(changes[0].diff, { rating: { before: 8, after: 9 } });
+assert.equal(changes[2].index, 1);
+assert.deepEqual(diffCollections("books", before, structuredClone(before)), []);
+
+// Reverting all three restores the original collection, deleted item back in place.
+function journaled(list) {
+    return list.map((change, index) => ({ ...change, id: `chg-${index + 1}`, seq: index + 1, at: "2026-01-01T00:00:00.000Z" }));
+}
+const entries = journaled(changes);
+const reverted = { books: structuredClone(after) };
+revertChanges(reverted, entries);
+assert.deepEqual(reverted.books, before);
+
+// Conflicts: an item edited again after the change, a deleted item recreated, a created item edited.
+const edited = {
+    books: [
+        { id: "book-1", title: "三体", rating: 10 },
+        { id: "book-2", title: "球状闪电（新版）" },
+        { id: "book-3", title: "流浪地球" },
+        { id: "book-4", title: "超新星纪元", notes: "后来补的" },
+    ],
+};
+const snapshot = structuredClone(edited);
+assert.throws(
+    () => revertChanges(edited, entries),
+    (error) => {
+        assert.equal(error.statusCode, 409);
+        assert.deepEqual(
+            error.details.map((conflict) => `${conflict.changeId}:${conflict.itemId}:${conflict.reason}`),
+            [
+                "chg-3:book-2:an item with this id exists again",
+                "chg-2:book-4:item was changed after it was created",
+                "chg-1:book-1:fields changed since: rating",
+            ],
+        );
+        return true;
+    },
+);
+
+// Later edits to other fields are not a conflict and survive the revert.
+const untouched = { books: [{ id: "book-1", title: "三体", rating: 9, notes: "重读" }] };
+revertChanges(untouched, journaled([changes[0]]));
+assert.deepEqual(untouched.books, [{ id: "book-1", title: "三体", rating: 8, notes: "重读" }]);
+
+// A changed item that is gone cannot be reverted either.
+assert.throws(
+    () => revertChanges({ books: [] }, journaled([changes[0]])),
+    (error) => error.details[0].reason === "item no longer exists",
+);
+
+// force overwrites later edits; a recreated item is never replaced.
+const forced = structuredClone(snapshot);
+assert.throws(
+    () => revertChanges(forced, entries, { force: true }),
+    (error) => error.details.length === 1 && error.details[0].itemId === "book-2",
+);
+const forcedWithoutRecreated = structuredClone(snapshot);
+revertChanges(forcedWithoutRecreated, entries.filter((change) => change.itemId !== "book-2"), { force: true });
+assert.deepEqual(forcedWithoutRecreated.books, [
+    { id: "book-1", title: "三体", rating: 8 },
+    { id: "book-2", title: "球状闪电（新版）" },
+    { id: "book-3", title: "流浪地球" },
+]);
+
+// Batch revert through the journaled store, the way POST /api/history/batches/:id/revert runs it.
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-history-"));
+try {
+    const dataDir = join(root, "data");
+    await mkdir(dataDir, { recursive: true });
+    const dataFiles = { books: join(dataDir, "books.json"), music: join(dataDir, "music.json") };
+    await writeFile(dataFiles.books, JSON.stringify([{ id: "book-1", title: "三体", rating: 8 }]), "utf-8");
+    await writeFile(dataFiles.music, JSON.stringify([{ id: "music-1", title: "无法长大" }]), "utf-8");
+
+    const journal = createChangeJournal({ file: join(root, "journal.ndjson") });
+    const store = createDataStore({ dataFiles, journal });
+
+    await store.updateMany(["books", "music"], (data) => {
+        data.books[0].rating = 9;
+        data.books.push({ id: "book-2", title: "球状闪电" });
+        data.music.splice(0, 1);
+    }, { source: "douban-sync", batchId: "batch-sync" });
+    const batch = await journal.batch("batch-sync");
+    assert.equal(batch.length, 3);
+
+    async function revertBatch(force) {
+        await store.updateMany(
+            ["books", "music"],
+            (data) => revertChanges(data, batch, { force }),
+            { source: "revert", batchId: `batch-revert-${force}`, revertOf: "batch-sync" },
+        );
+    }
+
+    // The item was edited again and the deleted album recreated: nothing is reverted or journaled.
+    await store.updateMany(["books", "music"], (data) => {
+        data.books[0].rating = 10;
+        data.music.push({ id: "music-1", title: "无法长大（重制）" });
+    }, { batchId: "batch-edit" });
+    const beforeRevert = await store.readAll();
+    await assert.rejects(revertBatch(false), (error) => error.statusCode === 409 && error.details.length === 2);
+    assert.deepEqual(await store.readAll(), beforeRevert);
+    assert.equal((await journal.list({ batchId: "batch-revert-false" })).length, 0);
+
+    // Once the recreated album is removed, force reverts the rest of the batch.
+    await store.update("music", (data) => {
+        data.splice(0, 1);
+    });
+    await revertBatch(true);
+    const afterRevert = await store.readAll();
+    assert.deepEqual(afterRevert.books, [{ id: "book-1", title: "三体", rating: 8 }]);
+    assert.deepEqual(afterRevert.music, [{ id: "music-1", title: "无法长大" }]);
+
+    const revertEntries = await journal.list({ batchId: "batch-revert-true" });
+    assert.deepEqual(
+        revertEntries.map((entry) => `${entry.action}:${entry.itemId}`).sort(),
+        ["create:music-1", "delete:book-2", "update:book-1"],
+    );
+    assert.ok(revertEntries.every((entry) => entry.source === "revert" && entry.revertOf === "batch-sync"));
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("change history tests passed");
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createChangeJournal, revertChanges } from "../src/utils/change-journal.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { mergeSyncedEntries } from "../src/utils/douban-sync.mjs";
+import { createIdRegistry, createIdSession, idNumber, planIdMigration, resolveAlias } from "../src/utils/item-ids.mjs";
+
+assert.equal(idNumber("books", "book-12"), 12);
+assert.equal(idNumber("books", "music-12"), 0);
+assert.equal(idNumber("books", "book-12a"), 0);
+
+// Without saved state, ids continue from the items, as before
+const preview = createIdSession();
+assert.equal(preview.nextId("books", [{ id: "book-3" }, { id: "book-10" }, { id: "custom" }]), "book-11");
+assert.equal(preview.nextId("books", []), "book-12");
+assert.equal(preview.nextId("music"), "music-1");
+// Counters and old ids are never handed out again
+const session = createIdSession({ counters: { books: 20 }, aliases: { "movies/movie-9": { reason: "deleted", at: "" } } });
+assert.equal(session.nextId("books", [{ id: "book-3" }]), "book-21");
+assert.equal(session.nextId("movies", [{ id: "movie-2" }]), "movie-10");
+
+const aliases = {
+    "movies/movie-1": { type: "series", id: "series-4", reason: "moved", at: "2026-01-01T00:00:00.000Z" },
+    "series/series-4": { type: "series", id: "series-2", reason: "merged", at: "2026-02-01T00:00:00.000Z" },
+    "books/book-5": { reason: "deleted", at: "2026-03-01T00:00:00.000Z" },
+    "music/music-2": { type: "books", id: "book-5", reason: "moved", at: "2026-01-01T00:00:00.000Z" },
+};
+assert.deepEqual(resolveAlias(aliases, "movies", "movie-1"), { type: "series", id: "series-2", reason: "merged" });
+assert.deepEqual(resolveAlias(aliases, "books", "book-5"), { gone: true, at: "2026-03-01T00:00:00.000Z" });
+assert.deepEqual(resolveAlias(aliases, "music", "music-2"), { gone: true, at: "2026-03-01T00:00:00.000Z" });
+assert.equal(resolveAlias(aliases, "books", "book-1"), undefined);
+// A cycle ends instead of looping
+assert.ok(resolveAlias({ "books/a": { type: "books", id: "b", reason: "merged" }, "books/b": { type: "books", id: "a", reason: "merged" } }, "books", "a"));
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-item-ids-"));
+try {
+    const dataDir = join(root, "data");
+    await mkdir(dataDir);
+    const dataFiles = Object.fromEntries(["books", "movies", "series", "music"].map((type) => [type, join(dataDir, `${type}.json`)]));
+    await writeFile(dataFiles.books, JSON.stringify([{ id: "book-1", title: "活着", author: "余华" }]), "utf-8");
+    await writeFile(dataFiles.movies, JSON.stringify([{ id: "movie-1", title: "漫长的季节", type: "movie" }]), "utf-8");
+    for (const type of ["series", "music"]) await writeFile(dataFiles[type], "[]\n", "utf-8");
+
+    const registry = createIdRegistry({ file: join(dataDir, "ids.json") });
+    const journal = createChangeJournal({ file: join(root, "journal.ndjson") });
+    const store = createDataStore({ dataFiles, journal, ids: registry });
+    const readIds = async () => JSON.parse(await readFile(join(dataDir, "ids.json"), "utf-8"));
+    const create = (type, title) =>
+        store.update(type, (data, ids) => {
+            const item = { id: ids.nextId(type, data), title };
+            data.unshift(item);
+            return item.id;
+        });
+
+    // Deleting the newest item does not free its id
+    assert.equal(await create("books", "许三观卖血记"), "book-2");
+    await store.update("books", (data) => data.splice(0, 1));
+    assert.equal(await create("books", "兄弟"), "book-3");
+    const saved = await readIds();
+    assert.deepEqual(saved.counters, { books: 3 });
+    assert.equal(saved.aliases["books/book-2"].reason, "deleted");
+
+    // Writes to different types at once keep both counters
+    await Promise.all([create("music", "我去2000年"), create("series", "繁花"), create("music", "万能青年旅店")]);
+    assert.deepEqual((await readIds()).counters, { books: 3, music: 2, series: 1 });
+
+    // Moves and merges point to where the item went
+    await store.updateMany(["movies", "series"], (data, ids) => {
+        const [movie] = data.movies.splice(0, 1);
+        const id = ids.nextId("series", data.series);
+        data.series.unshift({ ...movie, id, type: "series" });
+        ids.alias({ type: "movies", id: movie.id }, { type: "series", id }, "moved");
+    });
+    const moved = await readIds();
+    assert.deepEqual(resolveAlias(moved.aliases, "movies", "movie-1"), { type: "series", id: "series-2", reason: "moved" });
+    assert.equal(await create("movies", "霸王别姬"), "movie-2");
+
+    // A revert that brings a deleted item back makes its id live again
+    const [deletion] = await journal.list({ itemId: "book-2" });
+    assert.equal(deletion.action, "delete");
+    await store.updateMany(["books"], (data) => revertChanges(data, [deletion]));
+    assert.equal((await readIds()).aliases["books/book-2"], undefined);
+    assert.equal(await create("books", "第七天"), "book-4");
+
+    // Duplicates merged by a sync leave aliases to the item kept
+    await store.update("books", (data) => {
+        data.push({ id: "book-9", title: "活着", author: "余华", doubanId: "4913064", source: "douban" });
+    });
+    await store.updateMany(["books", "movies", "series", "music"], async (data, ids) => {
+        const result = await mergeSyncedEntries(data, { books: [{ title: "在细雨中呼喊", author: "余华", status: "completed" }] }, { ids });
+        Object.assign(data, result.data);
+    });
+    const books = await store.read("books");
+    assert.deepEqual(books.map((book) => book.id).sort(), ["book-1", "book-10", "book-2", "book-3", "book-4"]);
+    const merged = (await readIds()).aliases["books/book-9"];
+    assert.deepEqual([merged.type, merged.id, merged.reason], ["books", "book-1", "merged"]);
+
+    // A store without a registry keeps numbering from the data
+    const plain = createDataStore({ dataFiles });
+    assert.equal(await plain.update("books", (data, ids) => ids.nextId("books", data)), "book-11");
+
+    // Migration: counters start past the data, old aliases and the journal; ids the journal
+    // saw deleted and not back become deleted aliases
+    const plan = planIdMigration({
+        data: { books: [{ id: "book-3" }, { id: "custom-id" }], movies: [], music: [{ id: "music-1" }] },
+        journal: [
+            { type: "books", itemId: "book-7", action: "create", at: "2025-01-01T00:00:00.000Z" },
+            { type: "books", itemId: "book-7", action: "delete", at: "2025-01-02T00:00:00.000Z" },
+            { type: "music", itemId: "music-4", action: "delete", at: "2025-01-03T00:00:00.000Z" },
+            { type: "music", itemId: "music-4", action: "create", at: "2025-01-04T00:00:00.000Z" },
+            { type: "books", itemId: "book-3", action: "delete", at: "2025-01-05T00:00:00.000Z" },
+        ],
+        aliases: { "movies/movie-6": { type: "series", id: "series-1", reason: "moved", at: "2025-01-01T00:00:00.000Z" } },
+    });
+    assert.deepEqual(plan.counters, { books: 7, movies: 6, music: 4 });
+    assert.deepEqual(plan.aliases, { "books/book-7": { reason: "deleted", at: "2025-01-02T00:00:00.000Z" } });
+
+    await registry.seed({ counters: { books: 50, music: 1 }, aliases: { "books/book-9": { reason: "deleted", at: "" } } });
+    const seeded = await readIds();
+    assert.equal(seeded.counters.books, 50);
+    assert.equal(seeded.counters.music, 2);
+    // Aliases already recorded win
+    assert.equal(seeded.aliases["books/book-9"].reason, "merged");
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("item id tests passed");
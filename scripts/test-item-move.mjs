@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createIdRegistry } from "../src/utils/item-ids.mjs";
+import { validateItem } from "../src/utils/item-schema.mjs";
+import { convertItem } from "../src/utils/item-move.mjs";
+
+const miniseries = {
+    id: "movie-12",
+    title: "漫长的季节",
+    type: "movie",
+    director: "辛爽",
+    cast: "范伟 / 秦昊",
+    genre: "剧情 / 悬疑",
+    runtime: 60,
+    year: 2023,
+    rating: 9.5,
+    status: "watching",
+    cover: "/covers/douban-35588177-1a2b3c4d.jpg",
+    notes: "",
+    doubanId: "35588177",
+    source: "douban",
+};
+
+// Movie to series: every field carries over, the fixed type changes, the id is left to the caller
+const series = convertItem(miniseries, "movies", "series");
+assert.deepEqual(series.item, {
+    title: "漫长的季节",
+    director: "辛爽",
+    cast: "范伟 / 秦昊",
+    genre: "剧情 / 悬疑",
+    runtime: 60,
+    year: 2023,
+    rating: 9.5,
+    status: "watching",
+    cover: "/covers/douban-35588177-1a2b3c4d.jpg",
+    doubanId: "35588177",
+    source: "douban",
+    type: "series",
+});
+assert.deepEqual(series.warnings, []);
+assert.ok(validateItem("series", series.item, { strict: true }).isValid);
+
+// And back: a movie has no episode count
+const movie = convertItem({ ...series.item, id: "series-3", episodes: 12 }, "series", "movies");
+assert.equal(movie.item.type, "movie");
+assert.equal(movie.item.episodes, undefined);
+assert.deepEqual(movie.warnings, ["episodes is not a movies field and was dropped"]);
+
+// Book to album: author and publisher are renamed, book-only fields dropped, statuses mapped by meaning
+const album = convertItem(
+    { id: "book-4", title: "东京爱情故事", author: "久保田利伸", publisher: "ソニー", isbn: "4988009", pages: 48, status: "reading" },
+    "books",
+    "music",
+);
+assert.deepEqual(album.item, { title: "东京爱情故事", artist: "久保田利伸", label: "ソニー", status: "listening" });
+assert.deepEqual(album.warnings, ["isbn is not a music field and was dropped", "pages is not a music field and was dropped"]);
+assert.equal(convertItem({ title: "x", artist: "y", status: "want-to-listen" }, "music", "books").item.status, "want-to-read");
+assert.equal(convertItem({ title: "x", artist: "y", label: "z" }, "music", "books").item.publisher, "z");
+
+// Video to book: nothing names the author, so validation asks for one
+const book = convertItem(miniseries, "movies", "books");
+assert.deepEqual(book.warnings, [
+    "director is not a books field and was dropped",
+    "cast is not a books field and was dropped",
+    "genre is not a books field and was dropped",
+    "runtime is not a books field and was dropped",
+]);
+assert.equal(book.item.status, "reading");
+assert.deepEqual(validateItem("books", book.item).issues.map((issue) => issue.path), ["author"]);
+
+for (const [from, to, pattern] of [
+    ["movies", "movies", /already in movies/],
+    ["movies", "games", /Unknown data type: games/],
+    ["games", "movies", /Unknown data type: games/],
+]) {
+    assert.throws(() => convertItem(miniseries, from, to), (error) => error.statusCode === 400 && pattern.test(error.message));
+}
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-item-move-"));
+try {
+    const dataFiles = { movies: join(root, "movies.json"), series: join(root, "series.json") };
+    await writeFile(dataFiles.movies, JSON.stringify([miniseries]), "utf-8");
+    await writeFile(dataFiles.series, "[]\n", "utf-8");
+    const file = join(root, "ids.json");
+    const store = createDataStore({ dataFiles, ids: createIdRegistry({ file }) });
+    const move = (fail) =>
+        store.updateMany(["movies", "series"], (data, ids) => {
+            const [item] = data.movies.splice(0, 1);
+            data.series.unshift({ ...convertItem(item, "movies", "series").item, id: "series-4" });
+            ids.alias({ type: "movies", id: item.id }, { type: "series", id: "series-4" }, "moved");
+            if (fail) throw new Error("rejected");
+        });
+
+    // A move that fails leaves neither the item nor the alias changed
+    await assert.rejects(move(true), /rejected/);
+    await assert.rejects(readFile(file, "utf-8"), { code: "ENOENT" });
+    assert.equal((await store.read("movies")).length, 1);
+
+    // The alias is saved by the same write as the move
+    await move(false);
+    const saved = JSON.parse(await readFile(file, "utf-8"));
+    assert.deepEqual(Object.keys(saved.aliases), ["movies/movie-12"]);
+    assert.deepEqual([saved.aliases["movies/movie-12"].type, saved.aliases["movies/movie-12"].id], ["series", "series-4"]);
+    assert.equal(saved.aliases["movies/movie-12"].reason, "moved");
+    assert.deepEqual((await store.read("series")).map((item) => item.id), ["series-4"]);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("item move tests passed");
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+    DATA_TYPES,
+    FIELD_SCHEMAS,
+    getFormFields,
+    getJsonSchemas,
+    renderTypeScript,
+    toJsonSchema,
+    validateItem,
+} from "../src/utils/item-schema.mjs";
+import { MEDIA_TYPES, getShelfPages } from "../src/utils/media-types.mjs";
+
+// Generated types are committed and must match the schema
+const generated = await readFile(join(process.cwd(), "src", "types", "schema.ts"), "utf-8");
+assert.equal(generated, renderTypeScript(), "src/types/schema.ts is stale; run npm run generate:types");
+
+// cover is optional for every type, like the TypeScript interfaces always said
+for (const type of DATA_TYPES) {
+    assert.equal(FIELD_SCHEMAS[type].cover.required, undefined, `${type}.cover should be optional`);
+}
+assert.equal(validateItem("movies", { title: "花样年华", type: "movie" }).isValid, true);
+assert.equal(validateItem("books", { title: "活着", author: "余华" }).isValid, true);
+
+assert.deepEqual(validateItem("books", { title: "活着" }).errors, ["author is required"]);
+assert.deepEqual(validateItem("music", { title: "X", artist: "Y", rating: 11 }).errors, ["rating must be at most 10"]);
+assert.deepEqual(validateItem("series", { title: "X", type: "movie" }).errors, ["type must be one of: series"]);
+assert.equal(validateItem("books", { rating: 8 }, { partial: true }).isValid, true);
+assert.deepEqual(validateItem("podcasts", {}).errors, ["Unknown data type: podcasts"]);
+
+// Strict mode: trims, coerces numeric strings, rejects unknown fields and non-ISO dates
+const strictResult = validateItem(
+    "books",
+    { title: "  活着 ", author: "余华", rating: "8", year: " 1993 ", notes: "   " },
+    { strict: true },
+);
+assert.equal(strictResult.isValid, true);
+assert.deepEqual(strictResult.data, { title: "活着", author: "余华", rating: 8, year: 1993 });
+
+const lenientResult = validateItem("books", { title: "活着", author: "余华", rating: "8" });
+assert.equal(lenientResult.isValid, true);
+assert.equal(lenientResult.data.rating, "8");
+
+assert.deepEqual(
+    validateItem(
+        "movies",
+        { title: "X", type: "movie", rating: "eight", addedDate: "2024-02-30", tagline: "?" },
+        { strict: true },
+    ).issues,
+    [
+        { path: "tagline", code: "unknown", message: "tagline is not a known movies field" },
+        { path: "rating", code: "type", message: "rating must be a number" },
+        { path: "addedDate", code: "format", message: "addedDate must be a valid date (YYYY-MM-DD)" },
+    ],
+);
+assert.equal(validateItem("books", { addedDate: "2024/01/05" }, { partial: true }).isValid, true);
+assert.equal(validateItem("books", { addedDate: "2024/01/05" }, { partial: true, strict: true }).isValid, false);
+assert.equal(validateItem("books", { addedDate: "2024-02-29" }, { partial: true, strict: true }).isValid, true);
+assert.deepEqual(validateItem("books", { rating: 0 }, { partial: true, strict: true }).issues, [
+    { path: "rating", code: "min", message: "rating must be at least 1" },
+]);
+// A blank value in a partial update clears the field, like null
+assert.deepEqual(validateItem("books", { notes: " " }, { partial: true, strict: true }).data, { notes: null });
+
+// JSON Schema mirrors required fields, ranges and enums
+const movieSchema = toJsonSchema("movies");
+assert.equal(movieSchema.$schema, "https://json-schema.org/draft/2020-12/schema");
+assert.deepEqual(movieSchema.required, ["title", "type"]);
+assert.deepEqual(movieSchema.properties.type.enum, ["movie"]);
+assert.deepEqual(movieSchema.properties.status.enum, ["watching", "completed", "want-to-watch"]);
+assert.equal(movieSchema.properties.rating.maximum, 10);
+assert.equal(movieSchema.properties.addedDate.format, "date");
+assert.equal(movieSchema.properties.id.readOnly, true);
+assert.deepEqual(toJsonSchema("books").required, ["title", "author"]);
+assert.deepEqual(Object.keys(getJsonSchemas().$defs), DATA_TYPES);
+assert.throws(() => toJsonSchema("podcasts"), /Unknown data type/);
+assert.equal(toJsonSchema("books").additionalProperties, undefined);
+assert.equal(toJsonSchema("books", { strict: true }).additionalProperties, false);
+
+// Admin form shows the editable fields only, in schema order
+const formFields = getFormFields();
+assert.deepEqual(
+    formFields.books.map((field) => field.name),
+    ["title", "originalTitle", "author", "publisher", "platform", "isbn", "pages", "country", "year", "rating", "status", "cover", "addedDate", "notes"],
+);
+assert.equal(formFields.movies.some((field) => field.name === "genre"), true);
+assert.equal(formFields.movies.some((field) => field.name === "type"), false);
+assert.deepEqual(formFields.music.find((field) => field.name === "artist"), {
+    name: "artist",
+    type: "string",
+    label: "艺术家",
+    required: true,
+});
+
+// Every registered media type gets a schema; types sharing a route share a public page
+assert.deepEqual(DATA_TYPES, Object.keys(MEDIA_TYPES));
+assert.deepEqual(FIELD_SCHEMAS.music.status.values, ["completed", "listening", "want-to-listen"]);
+assert.deepEqual(
+    getShelfPages().map((page) => [page.route, page.types]),
+    [
+        ["/library", ["books"]],
+        ["/concert-hall", ["music"]],
+        ["/cinema", ["movies", "series"]],
+    ],
+);
+
+console.log("item schema tests passed");
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { applyPatch, assertIfMatch, itemEtag } from "../src/utils/item-versions.mjs";
+
+const book = { id: "book-1", title: "活着", author: "余华", rating: 9, notes: "重读" };
+
+// ETags follow the content: equal content, equal tag; any change, a new one
+const etag = itemEtag(book);
+assert.match(etag, /^"[0-9a-f]{16}"$/);
+assert.equal(itemEtag({ ...book }), etag);
+assert.notEqual(itemEtag({ ...book, rating: 8 }), etag);
+
+// If-Match: no header, the current tag, one of a list, a weak tag or * pass
+for (const header of [undefined, "", etag, `"0000000000000000", ${etag}`, `W/${etag}`, "*"]) {
+    assert.doesNotThrow(() => assertIfMatch(header, book));
+}
+// A stale tag is refused with 412 and the current version
+assert.throws(
+    () => assertIfMatch(itemEtag({ ...book, rating: 8 }), book),
+    (error) => error.statusCode === 412 && error.details.etag === etag && error.details.current === book,
+);
+
+// Merge patch: null removes a field, other values replace, the rest is kept
+const patched = applyPatch(book, { rating: 10, notes: null, year: 1993 });
+assert.deepEqual(patched, { id: "book-1", title: "活着", author: "余华", rating: 10, year: 1993 });
+assert.equal(book.notes, "重读");
+assert.deepEqual(applyPatch(book, {}), book);
+
+// A write with a stale If-Match changes nothing
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-item-versions-"));
+try {
+    const file = join(root, "books.json");
+    await writeFile(file, `${JSON.stringify([book], null, 2)}\n`, "utf-8");
+    const store = createDataStore({ dataFiles: { books: file } });
+    const patch = (ifMatch, changes) =>
+        store.update("books", (data) => {
+            assertIfMatch(ifMatch, data[0]);
+            data[0] = applyPatch(data[0], changes);
+            return data[0];
+        });
+
+    const updated = await patch(etag, { notes: null });
+    assert.equal("notes" in updated, false);
+    const before = await readFile(file, "utf-8");
+    await assert.rejects(patch(etag, { rating: 1 }), (error) => error.statusCode === 412);
+    assert.equal(await readFile(file, "utf-8"), before);
+    assert.equal((await patch(itemEtag(updated), { rating: 1 })).rating, 1);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("item version tests passed");
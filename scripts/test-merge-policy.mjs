@@ -0,0 +1,165 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { lastEditTimes } from "../src/utils/change-journal.mjs";
+import { mergeSyncedEntries } from "../src/utils/douban-sync.mjs";
+import {
+    DEFAULT_MERGE_POLICIES,
+    applyMergePolicies,
+    createImportedValues,
+    parseMergePolicies,
+} from "../src/utils/merge-policy.mjs";
+
+// Parsing: env strings and request bodies on top of the defaults
+assert.deepEqual(parseMergePolicies(), DEFAULT_MERGE_POLICIES);
+assert.deepEqual(parseMergePolicies("rating=remote, notes=local", { notes: "newest" }, undefined, ""), {
+    ...DEFAULT_MERGE_POLICIES,
+    rating: "remote",
+    notes: "newest",
+});
+assert.equal(parseMergePolicies({ status: "local" }).status, "local");
+assert.throws(() => parseMergePolicies("rating=sometimes"), (error) => error.statusCode === 400 && /sometimes/.test(error.message));
+assert.throws(() => parseMergePolicies({ id: "remote" }), (error) => error.statusCode === 400);
+assert.throws(() => parseMergePolicies("=remote"), (error) => error.statusCode === 400);
+
+// Each policy against a local value
+const local = { id: "movie-1", status: "want-to-watch", rating: 4, notes: "看过预告", addedDate: "2024-01-01" };
+const incoming = { status: "completed", rating: 5, notes: "", addedDate: "2024-03-03" };
+
+function apply(policies, options = {}) {
+    const target = structuredClone(local);
+    const overwritten = applyMergePolicies(target, incoming, { policies, ...options });
+    return { target, fields: overwritten.map((field) => field.field) };
+}
+
+let outcome = apply({ status: "remote", rating: "local" });
+assert.deepEqual(outcome.fields, ["status"]);
+assert.equal(outcome.target.status, "completed");
+assert.equal(outcome.target.rating, 4);
+
+// Empty remote values never clear a local one
+assert.deepEqual(apply({ notes: "remote" }).fields, []);
+
+// remote-unless-edited: replaced only while the local value is still the imported one
+assert.deepEqual(apply({ rating: "remote-unless-edited" }, { imported: { rating: 4 } }).fields, ["rating"]);
+assert.deepEqual(apply({ rating: "remote-unless-edited" }, { imported: { rating: 3 } }).fields, []);
+// Never imported: a differing value is treated as a local edit
+assert.deepEqual(apply({ rating: "remote-unless-edited" }).fields, []);
+
+// newest: a local edit older than the Douban mark loses, a later or same-day one wins
+assert.deepEqual(apply({ rating: "newest" }, { imported: { rating: 3 }, editedAt: { rating: "2024-02-02T10:00:00.000Z" } }).fields, ["rating"]);
+assert.deepEqual(apply({ rating: "newest" }, { imported: { rating: 3 }, editedAt: { rating: "2024-03-03T10:00:00.000Z" } }).fields, []);
+assert.deepEqual(apply({ rating: "newest" }, { imported: { rating: 3 } }).fields, []);
+
+const detailed = applyMergePolicies(structuredClone(local), incoming, { policies: DEFAULT_MERGE_POLICIES, imported: { rating: 4 } });
+assert.deepEqual(detailed, [
+    { field: "status", before: "want-to-watch", after: "completed", policy: "remote" },
+    { field: "rating", before: 4, after: 5, policy: "remote-unless-edited" },
+]);
+
+// Local edit times from the journal: only edits made by hand count, not syncs, imports,
+// cover maintenance, duplicate merges or reverts
+const automated = ["douban-sync", "import:goodreads", "import", "covers", "duplicates", "dedupe", "revert"];
+const times = lastEditTimes(
+    [
+        ...automated.map((source) => ({ itemId: "movie-1", action: "update", diff: { rating: {}, cover: {} }, at: "2024-06-06T00:00:00.000Z", source })),
+        { itemId: "movie-1", action: "create", after: { id: "movie-1", rating: 4 }, at: "2024-01-01T00:00:00.000Z", source: "douban-sync" },
+        { itemId: "movie-1", action: "update", diff: { rating: {} }, at: "2024-02-02T00:00:00.000Z", source: "admin" },
+        { itemId: "movie-1", action: "update", diff: { notes: {} }, at: "2024-01-15T00:00:00.000Z", source: "admin" },
+        { itemId: "movie-1", action: "update", diff: { rating: {} }, at: "2024-01-20T00:00:00.000Z", source: "admin" },
+        { itemId: "movie-1", action: "update", diff: { rating: {} }, at: "2024-05-05T00:00:00.000Z", source: "douban-sync" },
+        { itemId: "movie-2", action: "delete", before: {}, at: "2024-05-05T00:00:00.000Z", source: "admin" },
+        { itemId: "movie-3", action: "create", after: { id: "movie-3" }, at: "2024-05-05T00:00:00.000Z", source: "import:letterboxd" },
+    ],
+);
+assert.deepEqual(times, { "movie-1": { rating: "2024-02-02T00:00:00.000Z", notes: "2024-01-15T00:00:00.000Z" } });
+
+// A synced want-to-watch -> completed transition is applied and reported
+const existing = {
+    movies: [
+        { id: "movie-1", title: "我不是药神", doubanId: "26752088", status: "want-to-watch", rating: 4, source: "douban-sync" },
+        { id: "movie-2", title: "霸王别姬", doubanId: "1291546", status: "completed", rating: 3, source: "douban-sync" },
+    ],
+};
+const synced = {
+    movies: [
+        { title: "我不是药神", doubanId: "26752088", status: "completed", rating: 5, addedDate: "2024-03-03", source: "douban-sync" },
+        { title: "霸王别姬", doubanId: "1291546", status: "completed", rating: 5, source: "douban-sync" },
+    ],
+};
+const merged = await mergeSyncedEntries(existing, synced, {
+    policies: DEFAULT_MERGE_POLICIES,
+    imported: { 26752088: { status: "want-to-watch", rating: 4 }, 1291546: { status: "completed", rating: 5 } },
+    dedupeDataTypes: [],
+});
+const [first, second] = ["movie-1", "movie-2"].map((id) => merged.data.movies.find((item) => item.id === id));
+assert.equal(first.status, "completed");
+assert.equal(first.rating, 5);
+assert.equal(first.addedDate, "2024-03-03");
+// Rated 3 here after importing a 5: the local rating stays
+assert.equal(second.rating, 3);
+assert.deepEqual(
+    merged.overwritten.map((field) => `${field.itemId}.${field.field}`),
+    ["movie-1.status", "movie-1.rating"],
+);
+assert.deepEqual(merged.changes.find((change) => change.itemId === "movie-1").overwritten, ["status", "rating"]);
+assert.deepEqual(merged.imported["26752088"], { status: "completed", rating: 5, addedDate: "2024-03-03" });
+
+// Items that existed before imports were tracked (no recorded values, no journal
+// entries): a hand-set value that differs from Douban's is kept, and the first sync
+// records Douban's values without applying them
+const preexisting = {
+    movies: [
+        { id: "movie-1", title: "我不是药神", doubanId: "26752088", status: "completed", rating: 3, notes: "手写的短评", source: "douban" },
+        { id: "movie-2", title: "霸王别姬", doubanId: "1291546", status: "completed", rating: 5, source: "douban" },
+    ],
+};
+const firstSync = {
+    movies: [
+        { title: "我不是药神", doubanId: "26752088", status: "completed", rating: 5, notes: "豆瓣短评", source: "douban" },
+        { title: "霸王别姬", doubanId: "1291546", status: "completed", rating: 5, source: "douban" },
+    ],
+};
+const seeded = await mergeSyncedEntries(preexisting, firstSync, { policies: DEFAULT_MERGE_POLICIES, dedupeDataTypes: [] });
+assert.deepEqual(seeded.overwritten, []);
+assert.deepEqual(
+    seeded.data.movies.map((item) => [item.id, item.rating, item.notes]),
+    [
+        ["movie-1", 3, "手写的短评"],
+        ["movie-2", 5, undefined],
+    ],
+);
+assert.deepEqual(seeded.imported["26752088"], { status: "completed", rating: 5, notes: "豆瓣短评" });
+// The next sync compares against those values: the hand-set rating is still an edit,
+// while the item that matched Douban follows its new rating
+const secondSync = { movies: firstSync.movies.map((entry) => ({ ...entry, rating: 4 })) };
+const followed = await mergeSyncedEntries(seeded.data, secondSync, {
+    policies: DEFAULT_MERGE_POLICIES,
+    imported: seeded.imported,
+    dedupeDataTypes: [],
+});
+assert.deepEqual(
+    followed.overwritten.map((field) => `${field.itemId}.${field.field}`),
+    ["movie-2.rating"],
+);
+assert.equal(followed.data.movies.find((item) => item.id === "movie-1").rating, 3);
+
+// Without policies matched items only have empty fields filled
+const fillOnly = await mergeSyncedEntries(existing, synced, { dedupeDataTypes: [] });
+assert.equal(fillOnly.data.movies.find((item) => item.id === "movie-1").status, "want-to-watch");
+assert.deepEqual(fillOnly.overwritten, []);
+
+// Imported values are kept across saves, newer imports replacing older ones
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-merge-policy-"));
+try {
+    const importedValues = createImportedValues({ file: join(root, "state", "douban-imported.json") });
+    assert.deepEqual(await importedValues.read(), {});
+    await importedValues.save({ 1: { rating: 4 }, 2: { rating: 3 } });
+    await importedValues.save({ 2: { rating: 5 } });
+    assert.deepEqual(await importedValues.read(), { 1: { rating: 4 }, 2: { rating: 5 } });
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("merge policy tests passed");
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { syncDoubanCollection } from "../src/utils/douban-sync.mjs";
+import { createSyncCheckpoints } from "../src/utils/sync-checkpoints.mjs";
+
+const PAGE_SIZE = 2;
+
+// The "collect" list of a fake Douban user, newest first
+let watched = [];
+let blockedStart = -1;
+const requests = [];
+
+function itemHtml({ id, date }) {
+    return `
+  <div class="item comment-item">
+    <div class="info">
+      <ul>
+        <li class="title"><a href="https://movie.douban.com/subject/${id}/"><em>电影${id}</em></a></li>
+        <li class="intro">2018-07-05(中国大陆) / 中国大陆 / 剧情</li>
+        <li><span class="rating4-t"></span><span class="date">${date}</span></li>
+      </ul>
+    </div>
+  </div>`;
+}
+
+function listPage(url) {
+    const start = Number(url.searchParams.get("start"));
+    const items = watched.slice(start, start + PAGE_SIZE);
+    const next = new URL(url);
+    next.searchParams.set("start", String(start + PAGE_SIZE));
+    const nextLink = start + PAGE_SIZE < watched.length ? `<link rel="next" href="${next}">` : "";
+    return `<html><head>${nextLink}</head><body><div class="grid-view">${items.map(itemHtml).join("")}</div></body></html>`;
+}
+
+globalThis.fetch = async (input) => {
+    const url = new URL(input);
+    if (!url.pathname.endsWith("/collect")) return new Response(`<div class="grid-view"></div>`);
+    requests.push(Number(url.searchParams.get("start")));
+    if (Number(url.searchParams.get("start")) === blockedStart) return new Response("Forbidden", { status: 403 });
+    return new Response(listPage(url));
+};
+
+function movie(id, date) {
+    return { id: String(id), date };
+}
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-sync-checkpoints-"));
+const dataFiles = Object.fromEntries(["books", "movies", "series", "music"].map((type) => [type, join(root, `${type}.json`)]));
+for (const file of Object.values(dataFiles)) await writeFile(file, "[]\n", "utf-8");
+const dataStore = createDataStore({ dataFiles });
+const checkpoints = createSyncCheckpoints({ file: join(root, "state", "douban-checkpoints.json") });
+
+async function sync(options = {}) {
+    requests.length = 0;
+    return syncDoubanCollection({ userId: "u1", dataTypes: ["movies"], dataStore, checkpoints, delayMs: 0, ...options });
+}
+
+async function syncedIds() {
+    const movies = JSON.parse(await readFile(dataFiles.movies, "utf-8"));
+    return movies.map((item) => item.doubanId).sort();
+}
+
+try {
+    // First sync walks the whole list and remembers its newest item
+    watched = [movie(105, "2024-05-05"), movie(104, "2024-04-04"), movie(103, "2024-03-03"), movie(102, "2024-02-02"), movie(101, "2024-01-01")];
+    let result = await sync();
+    assert.equal(result.mode, "full");
+    assert.equal(result.added, 5);
+    assert.deepEqual(requests, [0, 2, 4]);
+    let saved = await checkpoints.read("u1");
+    assert.equal(saved.movies.completed.doubanId, "105");
+    assert.equal(saved.movies.completed.addedDate, "2024-05-05");
+    assert.equal(saved.movies.completed.resume, undefined);
+
+    // Nothing new: one request for the list
+    result = await sync();
+    assert.equal(result.mode, "incremental");
+    assert.equal(result.added, 0);
+    assert.deepEqual(requests, [0]);
+
+    // A new mark: still one request, and only the new item is merged
+    watched.unshift(movie(106, "2024-06-06"));
+    result = await sync();
+    assert.equal(result.added, 1);
+    assert.equal(result.byType.movies.updated + result.byType.movies.skipped, 0);
+    assert.deepEqual(requests, [0]);
+    assert.equal((await checkpoints.read("u1")).movies.completed.doubanId, "106");
+
+    // The checkpoint item left the list (rated again, moved to another status):
+    // paging stops at the first older item instead
+    watched = watched.filter((item) => item.id !== "106");
+    watched.unshift(movie(107, "2024-07-07"));
+    result = await sync();
+    assert.equal(result.added, 1);
+    assert.deepEqual(requests, [0]);
+
+    // Blocked halfway through five new marks: the first page is kept, the rest is resumed
+    watched.unshift(movie(112, "2024-12-12"), movie(111, "2024-11-11"), movie(110, "2024-10-10"), movie(109, "2024-09-09"), movie(108, "2024-08-08"));
+    blockedStart = 2;
+    result = await sync();
+    assert.equal(result.added, 2);
+    assert.equal(result.failures.length, 1);
+    assert.match(result.failures[0].message, /blocked/);
+    saved = await checkpoints.read("u1");
+    assert.equal(saved.movies.completed.doubanId, "112");
+    assert.match(saved.movies.completed.resume.url, /start=2/);
+    assert.deepEqual(saved.movies.completed.resume.stopAt, { doubanId: "107", addedDate: "2024-07-07" });
+
+    // Unblocked with one more new mark: the new page, then the gap down to the old checkpoint
+    blockedStart = -1;
+    watched.unshift(movie(113, "2025-01-01"));
+    result = await sync();
+    assert.equal(result.added, 4);
+    assert.deepEqual(requests, [0, 2, 4, 6]);
+    assert.deepEqual(await syncedIds(), ["101", "102", "103", "104", "105", "106", "107", "108", "109", "110", "111", "112", "113"]);
+    saved = await checkpoints.read("u1");
+    assert.equal(saved.movies.completed.doubanId, "113");
+    assert.equal(saved.movies.completed.resume, undefined);
+
+    // Blocked on the very first page: the checkpoint is left as it was
+    blockedStart = 0;
+    await assert.rejects(sync(), (error) => error.statusCode === 502);
+    assert.deepEqual(await checkpoints.read("u1"), saved);
+    blockedStart = -1;
+
+    // A cancelled sync does not move the checkpoints either
+    watched.unshift(movie(114, "2025-02-02"));
+    const controller = new AbortController();
+    await assert.rejects(
+        sync({
+            signal: controller.signal,
+            onProgress: (event) => event.phase === "merge" && controller.abort(new Error("Cancelled")),
+        }),
+        /Cancelled/,
+    );
+    assert.equal((await checkpoints.read("u1")).movies.completed.doubanId, "113");
+
+    // A full resync walks every page again
+    result = await sync({ full: true });
+    assert.equal(result.mode, "full");
+    assert.equal(result.added, 1);
+    assert.deepEqual(requests, [0, 2, 4, 6, 8, 10, 12]);
+    assert.equal((await checkpoints.read("u1")).movies.completed.doubanId, "114");
+
+    // Un-marked subjects (106 above, and now 101) are only noticed by a full sync,
+    // which can delete them
+    watched = watched.filter((item) => item.id !== "101");
+    result = await sync({ removedPolicy: "delete" });
+    assert.deepEqual(result.missing, []);
+    result = await sync({ full: true, removedPolicy: "delete" });
+    assert.deepEqual(result.missing.map((item) => [item.doubanId, item.action]), [["106", "deleted"], ["101", "deleted"]]);
+    assert.deepEqual((await syncedIds()).filter((id) => ["101", "106"].includes(id)), []);
+
+    // A full sync with a failed list cannot tell what was removed
+    watched = watched.filter((item) => item.id !== "102");
+    blockedStart = 4;
+    result = await sync({ full: true, removedPolicy: "delete" });
+    assert.deepEqual(result.missing, []);
+    assert.equal((await syncedIds()).includes("102"), true);
+    blockedStart = -1;
+
+    // Checkpoints are kept per user
+    assert.deepEqual(await checkpoints.read("someone-else"), {});
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("sync checkpoint tests passed");
@@ -0,0 +1,209 @@
+import assert from "node:assert/strict";
+import { access, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { applyDoubanSync, syncDoubanCollection } from "../src/utils/douban-sync.mjs";
+import { createDataStore } from "../src/utils/data-store.mjs";
+import { createJobManager } from "../src/utils/jobs.mjs";
+
+function waitFor(jobs, id) {
+    return new Promise((resolve) => {
+        jobs.subscribe(id, (event, job) => {
+            if (event === "done") resolve(job);
+        });
+    });
+}
+
+// Job manager: progress, failures, results and cancellation
+{
+    const jobs = createJobManager({ keepFinished: 2 });
+    const events = [];
+    let release;
+    const gate = new Promise((resolve) => {
+        release = resolve;
+    });
+
+    const job = jobs.start(
+        "sync",
+        async ({ report }) => {
+            report({ type: "movies", page: 1 });
+            report({ failure: { type: "books", message: "HTTP 500" } });
+            await gate;
+            return { added: 3 };
+        },
+        { params: { userId: "u1" } },
+    );
+    assert.equal(job.state, "running");
+    assert.deepEqual(job.params, { userId: "u1" });
+    jobs.subscribe(job.id, (event, current) => events.push([event, current.progress.page]));
+    const done = waitFor(jobs, job.id);
+
+    await assert.rejects(
+        async () => jobs.start("sync", async () => {}),
+        (error) => error.statusCode === 409 && error.details.jobId === job.id,
+    );
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(jobs.get(job.id).progress, { type: "movies", page: 1 });
+    assert.equal(jobs.get(job.id).failures.length, 1);
+
+    release();
+    const finished = await done;
+    assert.equal(finished.state, "succeeded");
+    assert.deepEqual(finished.result, { added: 3 });
+    assert.ok(finished.finishedAt);
+    assert.deepEqual(events.at(-1), ["done", 1]);
+    assert.throws(() => jobs.cancel(job.id), (error) => error.statusCode === 409);
+    assert.throws(() => jobs.cancel("missing"), (error) => error.statusCode === 404);
+
+    const failing = jobs.start("sync", async () => {
+        const error = new Error("Douban user ID is required");
+        error.details = { field: "userId" };
+        throw error;
+    });
+    const failed = await waitFor(jobs, failing.id);
+    assert.equal(failed.state, "failed");
+    assert.deepEqual(failed.error, { message: "Douban user ID is required", details: { field: "userId" } });
+
+    const cancelling = jobs.start("sync", ({ signal }) => {
+        signal.throwIfAborted();
+        return new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+    });
+    const cancelled = waitFor(jobs, cancelling.id);
+    assert.equal(jobs.cancel(cancelling.id).cancelRequested, true);
+    assert.equal((await cancelled).state, "cancelled");
+
+    // Finished jobs beyond keepFinished are dropped, newest first in the list
+    assert.equal(jobs.get(job.id), undefined);
+    assert.deepEqual(
+        jobs.list({ kind: "sync" }).map((entry) => entry.id),
+        [cancelling.id, failing.id],
+    );
+}
+
+// syncDoubanCollection against fixture pages: progress events and cancellation
+const movieHtml = `
+<div class="grid-view">
+  <div class="item comment-item">
+    <div class="pic">
+      <a title="我不是药神" href="https://movie.douban.com/subject/26752088/" class="nbg">
+        <img alt="我不是药神" src="https://img1.doubanio.com/view/photo/s_ratio_poster/public/p2527119568.jpg">
+      </a>
+    </div>
+    <div class="info">
+      <ul>
+        <li class="title"><a href="https://movie.douban.com/subject/26752088/"><em>我不是药神</em> / 中国药神</a></li>
+        <li class="intro">2018-07-05(中国大陆) / 徐峥 / 中国大陆 / 文牧野 / 117分钟 / 剧情 / 喜剧 / 汉语普通话</li>
+        <li><span class="rating5-t"></span><span class="date">2018-07-16</span></li>
+      </ul>
+    </div>
+  </div>
+</div>`;
+
+let fetchCount = 0;
+globalThis.fetch = async (url) => {
+    fetchCount += 1;
+    if (String(url).includes("doubanio.com")) {
+        return new Response(Buffer.from([0xff, 0xd8, 0xff]), { headers: { "content-type": "image/jpeg" } });
+    }
+    if (String(url).includes("/wish")) return new Response("Server Error", { status: 500 });
+    return new Response(String(url).includes("/collect") ? movieHtml : `<div class="grid-view"></div>`);
+};
+
+const root = await mkdtemp(join(tmpdir(), "c0llecti0n-sync-jobs-"));
+const dataFiles = Object.fromEntries(
+    ["books", "movies", "series", "music"].map((type) => [type, join(root, `${type}.json`)]),
+);
+const initial = `${JSON.stringify([{ id: "movie-1", title: "霸王别姬", status: "completed" }], null, 2)}\n`;
+for (const file of Object.values(dataFiles)) await writeFile(file, file.endsWith("movies.json") ? initial : "[]\n", "utf-8");
+const dataStore = createDataStore({ dataFiles });
+const coversDir = join(root, "covers");
+
+try {
+    // Cancelled while fetching: the data files stay as they were
+    const controller = new AbortController();
+    await assert.rejects(
+        syncDoubanCollection({
+            userId: "u1",
+            dataTypes: ["movies"],
+            dataStore,
+            coversDir,
+            delayMs: 0,
+            signal: controller.signal,
+            onProgress: (event) => {
+                if (event.phase === "fetch" && event.page === 1) controller.abort(new Error("Cancelled"));
+            },
+        }),
+        /Cancelled/,
+    );
+    assert.equal(await readFile(dataFiles.movies, "utf-8"), initial);
+
+    // Cancelled once the merge starts: still nothing written
+    const mergeController = new AbortController();
+    await assert.rejects(
+        syncDoubanCollection({
+            userId: "u1",
+            dataTypes: ["movies"],
+            dataStore,
+            coversDir,
+            delayMs: 0,
+            signal: mergeController.signal,
+            onProgress: (event) => {
+                if (event.phase === "merge") mergeController.abort(new Error("Cancelled"));
+            },
+        }),
+        /Cancelled/,
+    );
+    assert.equal(await readFile(dataFiles.movies, "utf-8"), initial);
+
+    // A dry run writes nothing: no data, no covers
+    const dryRun = await syncDoubanCollection({ userId: "u1", dataTypes: ["movies"], dataStore, coversDir, delayMs: 0, dryRun: true });
+    assert.equal(dryRun.dryRun, true);
+    assert.deepEqual(
+        dryRun.changes.map((change) => change.id),
+        ["add:movies:26752088", "cover:movies:26752088"],
+    );
+    assert.equal(dryRun.added, 1);
+    assert.equal(await readFile(dataFiles.movies, "utf-8"), initial);
+    await assert.rejects(access(coversDir));
+
+    // Applying the approved changes does not fetch Douban again; the unapproved cover stays remote
+    const fetchesBeforeApply = fetchCount;
+    const applied = await applyDoubanSync({ fetched: dryRun.fetched, approve: ["add:movies:26752088"], dataStore, coversDir });
+    assert.equal(fetchCount, fetchesBeforeApply);
+    assert.equal(applied.added, 1);
+    assert.ok(applied.batchId);
+    const appliedMovies = JSON.parse(await readFile(dataFiles.movies, "utf-8"));
+    assert.match(appliedMovies.find((movie) => movie.doubanId === "26752088").cover, /^https:\/\/img1\.doubanio\.com\//);
+    await assert.rejects(access(coversDir));
+    await writeFile(dataFiles.movies, initial, "utf-8");
+
+    // A full run reports each page with running counts, and failed status lists
+    const progress = [];
+    const result = await syncDoubanCollection({
+        userId: "u1",
+        dataTypes: ["movies"],
+        dataStore,
+        coversDir,
+        delayMs: 0,
+        onProgress: (event) => progress.push(event),
+    });
+    const pages = progress.filter((event) => event.phase === "fetch" && !event.failure);
+    assert.ok(pages.length >= 2);
+    assert.deepEqual(pages[0], { phase: "fetch", type: "movies", status: "completed", page: 1, fetched: { movies: 1 } });
+    const failure = progress.find((event) => event.failure);
+    assert.equal(failure.failure.status, "want-to-watch");
+    assert.match(failure.failure.message, /HTTP 500/);
+    assert.equal(progress.at(-1).phase, "merge");
+    assert.equal(result.added, 1);
+    assert.equal(result.failures.length, 1);
+
+    const movies = JSON.parse(await readFile(dataFiles.movies, "utf-8"));
+    const synced = movies.find((movie) => movie.doubanId === "26752088");
+    assert.equal(movies.length, 2);
+    assert.match(synced.cover, /^\/covers\/douban-26752088-/);
+} finally {
+    await rm(root, { recursive: true, force: true });
+}
+
+console.log("sync job tests passed");
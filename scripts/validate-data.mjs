@@ -0,0 +1,83 @@
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { DATA_TYPES, validateItem } from "../src/utils/item-schema.mjs";
+
+// Check src/data/*.json against the item schemas and list every violation.
+// Strict checks by default (the same as ADMIN_STRICT_VALIDATION=1); --loose for the lenient ones.
+const DATA_DIR = join(process.cwd(), "src", "data");
+const strict = !process.argv.includes("--loose");
+const typeIndex = process.argv.indexOf("--type");
+const typeValue = typeIndex === -1 ? undefined : process.argv[typeIndex + 1];
+if (typeIndex !== -1 && (!typeValue || typeValue.startsWith("--"))) {
+    console.error(`Usage: npm run validate -- [--type <${DATA_TYPES.join("|")}>[,...]] [--loose]`);
+    process.exit(1);
+}
+const types = typeValue ? typeValue.split(",") : DATA_TYPES;
+
+let violations = 0;
+
+function report(path, code, message) {
+    violations += 1;
+    console.log(`${path}  [${code}] ${message}`);
+}
+
+for (const type of types) {
+    if (!DATA_TYPES.includes(type)) {
+        report(type, "type", `Unknown data type: ${type}`);
+        continue;
+    }
+
+    const file = join(DATA_DIR, `${type}.json`);
+    let items;
+    try {
+        items = JSON.parse(await readFile(file, "utf-8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            console.log(`${type}: no ${type}.json yet`);
+            continue;
+        }
+        report(`${type}.json`, "parse", error.message);
+        continue;
+    }
+    if (!Array.isArray(items)) {
+        report(`${type}.json`, "type", "file must contain a JSON array");
+        continue;
+    }
+
+    const seenIds = new Set();
+    items.forEach((item, index) => {
+        const label = `${type}[${index}]${item?.id ? ` (${item.id})` : ""}`;
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+            report(label, "type", "item must be an object");
+            return;
+        }
+        if (!item.id) report(`${label}.id`, "required", "id is required");
+        else if (seenIds.has(item.id)) report(`${label}.id`, "duplicate", `id ${item.id} is used more than once`);
+        seenIds.add(item.id);
+
+        const validation = validateItem(type, item, { strict });
+        for (const issue of validation.issues) {
+            report(`${label}.${issue.path}`, issue.code, issue.message);
+        }
+        if (strict) {
+            // Values the strict mode would have changed on input (untrimmed strings, numeric strings)
+            for (const [field, value] of Object.entries(validation.data)) {
+                if (JSON.stringify(value) !== JSON.stringify(item[field])) {
+                    report(`${label}.${field}`, "normalize", `${field} would be stored as ${JSON.stringify(value)}`);
+                }
+            }
+            for (const field of Object.keys(item)) {
+                if (!(field in validation.data)) report(`${label}.${field}`, "normalize", `${field} is blank`);
+            }
+        }
+    });
+
+    console.log(`${type}: ${items.length} item(s) checked`);
+}
+
+if (violations) {
+    console.log(`\n${violations} violation(s) found`);
+    process.exitCode = 1;
+} else {
+    console.log(`\nno violations (${strict ? "strict" : "loose"} mode)`);
+}
@@ -3,6 +3,9 @@
  * Used by library, cinema, and concert-hall pages
  */
 
+import type { SortValue } from "../types";
+import { matchesFilter, sortItems } from "../utils/filters";
+
 export interface FilterSystemConfig {
     itemSelector: string;
     containerSelector: string;
@@ -12,7 +15,7 @@ export interface FilterSystemConfig {
 
 export class FilterSystem {
     private filters: Record<string, string> = {};
-    private currentSort = "added-desc";
+    private currentSort: SortValue = "added-desc";
     private items: HTMLElement[] = [];
     private itemsContainer: HTMLElement | null = null;
     private statsDisplay: HTMLElement | null = null;
@@ -93,8 +96,7 @@ export class FilterSystem {
                 }
 
                 // For other fields, split by slash and check membership
-                const itemValues = itemValue.split(/\s*\/\s*/).map(v => v.trim()).filter(Boolean);
-                if (!itemValues.includes(filterValue)) {
+                if (!matchesFilter({ itemValue, filterValue })) {
                     shouldShow = false;
                     break;
                 }
@@ -109,39 +111,11 @@ export class FilterSystem {
     private sortItems() {
         if (!this.itemsContainer) return;
 
-        const [field, direction] = this.currentSort.split("-") as [string, "asc" | "desc"];
-
-        this.items.sort((a, b) => {
-            let aVal: string | number = "";
-            let bVal: string | number = "";
-
-            switch (field) {
-                case "added":
-                    aVal = a.dataset.addedDate || "1970-01-01";
-                    bVal = b.dataset.addedDate || "1970-01-01";
-                    break;
-                case "rating":
-                    aVal = parseFloat(a.dataset.rating || "0");
-                    bVal = parseFloat(b.dataset.rating || "0");
-                    break;
-                case "year":
-                    aVal = parseInt(a.dataset.year || "0");
-                    bVal = parseInt(b.dataset.year || "0");
-                    break;
-                case "title":
-                    aVal = (a.dataset.title || "").toLowerCase();
-                    bVal = (b.dataset.title || "").toLowerCase();
-                    break;
-            }
-
-            let result = 0;
-            if (typeof aVal === "string") {
-                result = aVal.localeCompare(bVal as string);
-            } else {
-                result = (aVal as number) - (bVal as number);
-            }
-
-            return direction === "desc" ? -result : result;
+        this.items = sortItems(this.items, this.currentSort, {
+            added: (item) => item.dataset.addedDate,
+            rating: (item) => parseFloat(item.dataset.rating || "0"),
+            year: (item) => parseInt(item.dataset.year || "0"),
+            title: (item) => item.dataset.title,
         });
 
         this.items.forEach((item) => this.itemsContainer!.appendChild(item));
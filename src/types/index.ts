@@ -3,55 +3,23 @@
  * All media types and shared interfaces
  */
 
-// ==================== Base Types ====================
-
-export interface BaseMedia {
-    id: string;
-    title: string;
-    originalTitle?: string;
-    cover?: string;
-    rating?: number;
-    year?: number;
-    country?: string;
-    addedDate?: string;
-    doubanId?: string;
-    doubanUrl?: string;
-    source?: "manual" | "douban";
-    notes?: string;
-}
-
-export type BookStatus = "reading" | "completed" | "want-to-read";
-export type MediaStatus = "watching" | "completed" | "want-to-watch";
-export type MusicStatus = "listening" | "completed" | "want-to-listen";
-
-// ==================== Specific Media Types ====================
-
-export interface Book extends BaseMedia {
-    author: string;
-    status?: BookStatus;
-    publisher?: string;
-    platform?: string;
-}
-
-export interface Album extends BaseMedia {
-    artist: string;
-    status?: MusicStatus;
-    genre?: string;
-}
-
-export interface Movie extends BaseMedia {
-    director?: string;
-    status?: MediaStatus;
-    genre?: string;
-    type: "movie";
-}
-
-export interface Series extends BaseMedia {
-    director?: string;
-    status?: MediaStatus;
-    genre?: string;
-    type: "series";
-}
+// ==================== Media Types ====================
+// Generated from the media type registry and item schemas (src/utils/media-types.mjs, item-schema.mjs)
+
+import type { Book, Album, Movie, Series, SearchItemType } from "./schema";
+
+export type {
+    BaseMedia,
+    DataType,
+    SearchItemType,
+    BookStatus,
+    MediaStatus,
+    MusicStatus,
+    Book,
+    Album,
+    Movie,
+    Series,
+} from "./schema";
 
 export type Media = Movie | Series;
 
@@ -90,8 +58,6 @@ export interface FilterConfig {
 
 // ==================== Admin Types ====================
 
-export type DataType = "books" | "movies" | "series" | "music";
-
 export interface ApiResponse<T> {
     success: boolean;
     data?: T;
@@ -105,7 +71,7 @@ export interface SearchItem {
     title: string;
     originalTitle?: string;
     creator?: string;
-    type: "book" | "album" | "movie" | "series";
+    type: SearchItemType;
     cover?: string;
     year?: number;
     country?: string;
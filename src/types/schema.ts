@@ -0,0 +1,64 @@
+/**
+ * Generated from src/utils/media-types.mjs and src/utils/item-schema.mjs by scripts/generate-types.mjs.
+ * Do not edit by hand; change the schema and run `npm run generate:types`.
+ */
+
+export interface BaseMedia {
+    id: string;
+    title: string;
+    originalTitle?: string;
+    cover?: string;
+    rating?: number;
+    year?: number;
+    country?: string;
+    addedDate?: string;
+    doubanId?: string;
+    doubanUrl?: string;
+    source?: "manual" | "douban" | "goodreads" | "letterboxd" | "trakt" | "lastfm" | "spotify";
+    orphanedAt?: string;
+    notes?: string;
+}
+
+export type DataType = "books" | "movies" | "series" | "music";
+export type SearchItemType = "book" | "movie" | "series" | "album";
+
+export type BookStatus = "reading" | "completed" | "want-to-read";
+export type MediaStatus = "watching" | "completed" | "want-to-watch";
+export type MusicStatus = "completed" | "listening" | "want-to-listen";
+
+export interface Book extends BaseMedia {
+    author: string;
+    publisher?: string;
+    platform?: string;
+    isbn?: string;
+    pages?: number;
+    status?: BookStatus;
+}
+
+export interface Movie extends BaseMedia {
+    director?: string;
+    cast?: string;
+    genre?: string;
+    runtime?: number;
+    status?: MediaStatus;
+    type: "movie";
+}
+
+export interface Series extends BaseMedia {
+    director?: string;
+    cast?: string;
+    genre?: string;
+    episodes?: number;
+    runtime?: number;
+    status?: MediaStatus;
+    type: "series";
+}
+
+export interface Album extends BaseMedia {
+    artist: string;
+    genre?: string;
+    label?: string;
+    tracks?: string;
+    playCount?: number;
+    status?: MusicStatus;
+}
@@ -0,0 +1,203 @@
+/**
+ * Batch operations on one collection: creates, updates and deletes that are applied
+ * all together in a single data store write, or not at all. Single creates
+ * (POST /api/{type}) go through the same create step, and replacements
+ * (PUT /api/{type}/{id}) validate the same way.
+ */
+
+import { validateItem } from "./item-schema.mjs";
+import { applyPatch, assertIfMatch } from "./item-versions.mjs";
+import { getMediaType } from "./media-types.mjs";
+
+export const BATCH_OPS = ["create", "update", "delete"];
+export const MAX_BATCH_OPERATIONS = 1000;
+
+function batchError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Operations that were fine on their own are reported as 424 (not applied)
+function batchFailed(results) {
+    const error = new Error("Batch rejected; no changes were applied");
+    error.statusCode = results.some((result) => result.status === 412) ? 412 : 400;
+    error.details = results.map(({ item, ...result }) =>
+        result.status < 400 ? { ...result, status: 424, errors: ["Not applied because another operation failed"] } : result,
+    );
+    return error;
+}
+
+// The fields of a new item: type-fixed ones may be left out, and the collection
+// assigns the id, so one sent along is dropped
+function createFields(type, data) {
+    const { id, ...fields } = { ...getMediaType(type).fixed, ...data };
+    return fields;
+}
+
+function addItem(items, ids, type, payload) {
+    const today = new Date().toISOString().split("T")[0];
+    const item = { id: ids.nextId(type, items), ...payload, addedDate: payload.addedDate || today };
+    items.unshift(item);
+    return item;
+}
+
+function validationFailed(validation) {
+    const error = batchError("Validation failed");
+    error.details = validation.errors;
+    error.issues = validation.issues;
+    return error;
+}
+
+function issuesAt(index, issues) {
+    return issues.map((issue) => ({ ...issue, path: `operations[${index}].data.${issue.path}` }));
+}
+
+/**
+ * Apply a list of operations to one collection in a single write.
+ * Operations: { op: 'create', data } | { op: 'update', id, data, ifMatch? } | { op: 'delete', id, ifMatch? }.
+ * `ifMatch` takes what an If-Match header would (see assertIfMatch).
+ * `update` uses PATCH semantics (null removes a field). Every operation is
+ * validated before anything is written; if one fails, none are applied and the
+ * error's `details` has a status per operation (404, 412, 400, or 424 for the rest).
+ * @param {Object} store - Data store from createDataStore
+ * @param {string} type
+ * @param {Object[]} operations
+ * @param {Object} [options]
+ * @param {Object} [options.meta] - Journal metadata
+ * @param {boolean} [options.strict] - Strict validation
+ * @returns {Promise<{ success: true, results: Object[] }>}
+ */
+export async function applyBatch(store, type, operations, { meta, strict = false } = {}) {
+    if (!store.types.includes(type)) throw batchError(`Unknown data type: ${type}`);
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw batchError("operations must be a non-empty array");
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw batchError(`At most ${MAX_BATCH_OPERATIONS} operations per batch`);
+    }
+
+    // Pass 1: validate payloads before taking the write lock
+    const payloads = [];
+    const results = operations.map((operation, index) => {
+        const op = operation?.op;
+        if (!BATCH_OPS.includes(op)) {
+            return { index, op, status: 400, errors: [`op must be one of: ${BATCH_OPS.join(", ")}`] };
+        }
+        if (op !== "create" && !operation.id) {
+            return { index, op, status: 400, errors: ["id is required"] };
+        }
+        if (op === "delete") return { index, op, id: operation.id, status: 200 };
+
+        const { id, ...data } = op === "create" ? createFields(type, operation.data) : operation.data || {};
+        const validation = validateItem(type, data, { partial: op === "update", strict });
+        payloads[index] = validation.data;
+        return validation.isValid
+            ? { index, op, id: operation.id, status: op === "create" ? 201 : 200 }
+            : { index, op, id: operation.id, status: 400, errors: validation.errors, issues: issuesAt(index, validation.issues) };
+    });
+    if (results.some((result) => result.status >= 400)) throw batchFailed(results);
+
+    // Pass 2: apply against the current file; any failure aborts the whole write
+    return store.update(
+        type,
+        (data, ids) => {
+            operations.forEach((operation, index) => {
+                const result = results[index];
+                const payload = payloads[index];
+
+                if (operation.op === "create") {
+                    const item = addItem(data, ids, type, payload);
+                    Object.assign(result, { id: item.id, item });
+                    return;
+                }
+
+                const itemIndex = data.findIndex((item) => item.id === operation.id);
+                if (itemIndex === -1) {
+                    Object.assign(result, { status: 404, errors: ["Item not found"] });
+                    return;
+                }
+                // The same If-Match rules as the single-item routes: `*` and weak tags match too
+                try {
+                    assertIfMatch(operation.ifMatch, data[itemIndex]);
+                } catch (error) {
+                    if (error.statusCode !== 412) throw error;
+                    Object.assign(result, { status: 412, errors: [error.message] });
+                    return;
+                }
+
+                if (operation.op === "delete") {
+                    result.item = data.splice(itemIndex, 1)[0];
+                    return;
+                }
+
+                const item = applyPatch(data[itemIndex], payload);
+                const validation = validateItem(type, item);
+                if (!validation.isValid) {
+                    Object.assign(result, { status: 400, errors: validation.errors, issues: issuesAt(index, validation.issues) });
+                    return;
+                }
+                data[itemIndex] = item;
+                result.item = item;
+            });
+
+            if (results.some((result) => result.status >= 400)) throw batchFailed(results);
+            return { success: true, results };
+        },
+        meta,
+    );
+}
+
+/**
+ * Add one item to the start of a collection, validated like a batch create. The id
+ * is the collection's next one; an `id` in `data` is ignored.
+ * @param {Object} store - Data store from createDataStore
+ * @param {string} type
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {Object} [options.meta] - Journal metadata
+ * @param {boolean} [options.strict] - Strict validation
+ * @returns {Promise<Object>} The new item
+ */
+export async function createItem(store, type, data, { meta, strict = false } = {}) {
+    if (!store.types.includes(type)) throw batchError(`Unknown data type: ${type}`);
+    const validation = validateItem(type, createFields(type, data), { strict });
+    if (!validation.isValid) throw validationFailed(validation);
+    return store.update(type, (items, ids) => addItem(items, ids, type, validation.data), meta);
+}
+
+/**
+ * Replace one item with `data`, validated like a create. Only the id (and the
+ * type's fixed fields) carry over: fields left out, or blank in strict mode, are
+ * removed rather than kept from the old item. Use PATCH semantics (applyPatch)
+ * to change single fields.
+ * @param {Object} store - Data store from createDataStore
+ * @param {string} type
+ * @param {string} id
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - If-Match header value (see assertIfMatch)
+ * @param {Object} [options.meta] - Journal metadata
+ * @param {boolean} [options.strict] - Strict validation
+ * @returns {Promise<Object>} The stored item
+ */
+export async function replaceItem(store, type, id, data, { ifMatch, meta, strict = false } = {}) {
+    if (!store.types.includes(type)) throw batchError(`Unknown data type: ${type}`);
+    const validation = validateItem(type, createFields(type, data), { strict });
+    if (!validation.isValid) throw validationFailed(validation);
+    return store.update(
+        type,
+        (items) => {
+            const index = items.findIndex((item) => item.id === id);
+            if (index === -1) {
+                const error = new Error("Item not found");
+                error.statusCode = 404;
+                throw error;
+            }
+            assertIfMatch(ifMatch, items[index]);
+            items[index] = { id, ...validation.data };
+            return items[index];
+        },
+        meta,
+    );
+}
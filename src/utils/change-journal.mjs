@@ -0,0 +1,230 @@
+import { randomBytes } from "crypto";
+import { appendFile, mkdir, readFile } from "fs/promises";
+import { dirname } from "path";
+
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+}
+
+export function createBatchId() {
+    return createId("batch");
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function conflictError(message, conflicts) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    error.details = conflicts;
+    return error;
+}
+
+/**
+ * Field-level diff between two versions of an item.
+ * @returns {Object<string, { before: any, after: any }>}
+ */
+export function diffItem(before = {}, after = {}) {
+    const diff = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!sameValue(before[key], after[key])) {
+            diff[key] = { before: before[key], after: after[key] };
+        }
+    }
+    return diff;
+}
+
+/**
+ * Compare two versions of a collection by item id.
+ * @returns {Array<Object>} - One create/update/delete change per touched item
+ */
+export function diffCollections(type, beforeItems, afterItems) {
+    const beforeById = new Map(beforeItems.map((item, index) => [item.id, { item, index }]));
+    const afterIds = new Set();
+    const changes = [];
+
+    for (const item of afterItems) {
+        afterIds.add(item.id);
+        const previous = beforeById.get(item.id)?.item;
+        if (!previous) {
+            changes.push({ type, itemId: item.id, action: "create", before: null, after: item });
+            continue;
+        }
+        const diff = diffItem(previous, item);
+        if (Object.keys(diff).length) {
+            changes.push({ type, itemId: item.id, action: "update", before: previous, after: item, diff });
+        }
+    }
+
+    for (const [itemId, { item, index }] of beforeById) {
+        if (!afterIds.has(itemId)) {
+            changes.push({ type, itemId, action: "delete", before: item, after: null, index });
+        }
+    }
+
+    return changes;
+}
+
+// Journal sources of edits made by hand (the admin's item forms, PATCH, batches and
+// moves); syncs, imports, cover maintenance, duplicate merges and reverts are not
+export const MANUAL_EDIT_SOURCES = ["admin"];
+
+/**
+ * When each field of each item was last edited, from journal entries.
+ * @param {Array<Object>} entries - Journal entries, in any order
+ * @param {Object} [options]
+ * @param {string[]} [options.sources] - Only writes from these sources count
+ * @returns {Object<string, Object<string, string>>} itemId -> field -> ISO time
+ */
+export function lastEditTimes(entries, { sources = MANUAL_EDIT_SOURCES } = {}) {
+    const times = {};
+    for (const entry of entries) {
+        if (!sources.includes(entry.source) || entry.action === "delete") continue;
+        const fields = entry.action === "create" ? Object.keys(entry.after || {}) : Object.keys(entry.diff || {});
+        if (!times[entry.itemId]) times[entry.itemId] = {};
+        const item = times[entry.itemId];
+        for (const field of fields) {
+            if (!item[field] || item[field] < entry.at) item[field] = entry.at;
+        }
+    }
+    return times;
+}
+
+function revertOne(items, change, force) {
+    const index = items.findIndex((item) => item.id === change.itemId);
+    const current = index === -1 ? null : items[index];
+
+    if (change.action === "create") {
+        if (!current) return null;
+        if (!force && !sameValue(current, change.after)) return "item was changed after it was created";
+        items.splice(index, 1);
+        return null;
+    }
+
+    if (change.action === "delete") {
+        if (current) return "an item with this id exists again";
+        items.splice(Math.min(change.index ?? 0, items.length), 0, structuredClone(change.before));
+        return null;
+    }
+
+    if (!current) return "item no longer exists";
+    const fields = Object.keys(change.diff || {});
+    const changedSince = fields.filter((field) => !sameValue(current[field], change.after?.[field]));
+    if (!force && changedSince.length) return `fields changed since: ${changedSince.join(", ")}`;
+
+    const restored = { ...current };
+    for (const field of fields) {
+        if (change.before?.[field] === undefined) {
+            delete restored[field];
+        } else {
+            restored[field] = structuredClone(change.before[field]);
+        }
+    }
+    items[index] = restored;
+    return null;
+}
+
+/**
+ * Undo journal changes against collection data in place, newest first.
+ * Changes whose item was edited again afterwards are reported as conflicts
+ * and the whole revert is refused unless `force` is set.
+ *
+ * @param {Object<string, Array>} data - Collection arrays keyed by type
+ * @param {Array<Object>} changes - Journal entries to undo
+ */
+export function revertChanges(data, changes, { force = false } = {}) {
+    const ordered = [...changes].sort((a, b) => String(b.at).localeCompare(String(a.at)) || b.seq - a.seq);
+    const conflicts = [];
+
+    for (const change of ordered) {
+        const reason = revertOne(data[change.type], change, force);
+        if (reason) conflicts.push({ changeId: change.id, type: change.type, itemId: change.itemId, reason });
+    }
+
+    if (conflicts.length) {
+        throw conflictError("Some changes cannot be reverted cleanly; retry with force to overwrite", conflicts);
+    }
+}
+
+/**
+ * Append-only NDJSON log of every item change written through the data store.
+ * @param {Object} options
+ * @param {string} options.file - Journal file path
+ */
+export function createChangeJournal({ file }) {
+    let appendQueue = Promise.resolve();
+    let seq = 0;
+
+    async function readEntries() {
+        let content = "";
+        try {
+            content = await readFile(file, "utf-8");
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A torn last line from a crash is skipped rather than failing the whole log
+            }
+        }
+        return entries;
+    }
+
+    return {
+        /**
+         * @param {Array<Object>} changes - Output of diffCollections
+         * @param {Object} meta - { actor, source, batchId, revertOf }
+         */
+        async record(changes, { actor = "admin", source = "admin", batchId = createBatchId(), revertOf } = {}) {
+            if (!changes.length) return [];
+            const at = new Date().toISOString();
+            const entries = changes.map((change) => ({
+                id: createId("chg"),
+                seq: (seq += 1),
+                batchId,
+                at,
+                actor,
+                source,
+                ...(revertOf && { revertOf }),
+                title: change.after?.title || change.before?.title,
+                ...change,
+            }));
+
+            const lines = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+            appendQueue = appendQueue.catch(() => {}).then(async () => {
+                await mkdir(dirname(file), { recursive: true });
+                await appendFile(file, lines, "utf-8");
+            });
+            await appendQueue;
+            return entries;
+        },
+
+        /**
+         * Newest entries first, optionally filtered.
+         */
+        async list({ limit = 50, type, itemId, batchId } = {}) {
+            const entries = await readEntries();
+            return entries
+                .filter((entry) => !type || entry.type === type)
+                .filter((entry) => !itemId || entry.itemId === itemId)
+                .filter((entry) => !batchId || entry.batchId === batchId)
+                .reverse()
+                .slice(0, limit);
+        },
+
+        async get(changeId) {
+            return (await readEntries()).find((entry) => entry.id === changeId);
+        },
+
+        async batch(batchId) {
+            return (await readEntries()).filter((entry) => entry.batchId === batchId);
+        },
+    };
+}
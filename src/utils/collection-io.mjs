@@ -0,0 +1,304 @@
+/**
+ * Export of a collection as CSV / JSON / NDJSON, and import of such files:
+ * columns are mapped onto the item schema, every row is validated, and rows
+ * that describe an existing item update it instead of adding a duplicate
+ * (same matching as the Douban sync).
+ */
+
+import { findMatchingIndex } from "./douban-sync.mjs";
+import { FIELD_SCHEMAS, validateItem } from "./item-schema.mjs";
+import { getMediaType } from "./media-types.mjs";
+
+export const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+const CONTENT_TYPES = {
+    csv: "text/csv; charset=utf-8",
+    json: "application/json; charset=utf-8",
+    ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+function ioError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Schema fields first (in form order), then anything else found on the items
+function exportColumns(type, items) {
+    const columns = ["id", ...Object.keys(FIELD_SCHEMAS[type])];
+    for (const item of items) {
+        for (const key of Object.keys(item)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return columns;
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string} type
+ * @param {Object[]} items
+ * @param {"csv" | "json" | "ndjson"} format
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+export function exportCollection(type, items, format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw ioError(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+
+    let body;
+    if (format === "json") {
+        body = `${JSON.stringify(items, null, 2)}\n`;
+    } else if (format === "ndjson") {
+        body = items.map((item) => `${JSON.stringify(item)}\n`).join("");
+    } else {
+        const columns = exportColumns(type, items);
+        const lines = [columns, ...items.map((item) => columns.map((column) => item[column]))];
+        // BOM so spreadsheet apps read the Chinese text as UTF-8
+        body = `\uFEFF${lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n")}\r\n`;
+    }
+
+    return { body, contentType: CONTENT_TYPES[format], filename: `${type}.${format}` };
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw ioError("CSV has an unterminated quoted field");
+    if (cell !== "" || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    // Blank lines carry no data
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+export function detectFormat(content) {
+    const start = content.replace(/^\uFEFF/, "").trimStart();
+    if (start.startsWith("[")) return "json";
+    if (start.startsWith("{")) return "ndjson";
+    return "csv";
+}
+
+/**
+ * Parse an import file into records keyed by column name.
+ * @returns {{ format: string, columns: string[], records: Object[] }}
+ */
+export function parseImport(content, format = detectFormat(content)) {
+    const text = String(content || "").replace(/^\uFEFF/, "");
+    if (!text.trim()) throw ioError("The import file is empty");
+
+    let records;
+    if (format === "csv") {
+        const [header, ...rows] = parseCsv(text);
+        const columns = (header || []).map((column) => column.trim());
+        records = rows.map((cells) => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""])));
+    } else if (format === "json") {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw ioError(`Invalid JSON: ${error.message}`);
+        }
+        records = Array.isArray(parsed) ? parsed : parsed?.items;
+        if (!Array.isArray(records)) throw ioError("JSON import must be an array of items");
+    } else if (format === "ndjson") {
+        records = text
+            .split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), index }))
+            .filter(({ line }) => line)
+            .map(({ line, index }) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw ioError(`Invalid JSON on line ${index + 1}: ${error.message}`);
+                }
+            });
+    } else {
+        throw ioError(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+
+    const objects = records.filter((record) => record && typeof record === "object" && !Array.isArray(record));
+    if (objects.length !== records.length) throw ioError("Every imported row must be an object");
+
+    const columns = [];
+    for (const record of objects) {
+        for (const key of Object.keys(record)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return { format, columns, records: objects };
+}
+
+function normalizeColumnName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/\s*[(（].*?[)）]\s*/g, "")
+        .replace(/[\s_\-.]/g, "");
+}
+
+/**
+ * Guess which schema field each column holds, by field name or admin form label
+ * ("Added Date", "added_date", "添加日期" -> addedDate). Unknown columns map to null.
+ * @returns {Object<string, string | null>}
+ */
+export function suggestColumnMapping(type, columns) {
+    const fields = FIELD_SCHEMAS[type];
+    const lookup = new Map([["id", "id"]]);
+    for (const [name, field] of Object.entries(fields)) {
+        lookup.set(normalizeColumnName(name), name);
+        if (field.label) lookup.set(normalizeColumnName(field.label), name);
+    }
+    const used = new Set();
+    return Object.fromEntries(
+        columns.map((column) => {
+            const field = lookup.get(normalizeColumnName(column));
+            if (!field || used.has(field)) return [column, null];
+            used.add(field);
+            return [column, field];
+        }),
+    );
+}
+
+function checkMapping(type, mapping) {
+    const fields = FIELD_SCHEMAS[type];
+    const seen = new Set();
+    for (const [column, field] of Object.entries(mapping)) {
+        if (!field) continue;
+        if (field !== "id" && !fields[field]) throw ioError(`Column "${column}" is mapped to unknown field ${field}`);
+        if (seen.has(field)) throw ioError(`More than one column is mapped to ${field}`);
+        seen.add(field);
+    }
+}
+
+// CSV cells are always text; numbers are converted here so lenient validation sees real numbers
+function mapRecord(type, record, mapping) {
+    const fields = FIELD_SCHEMAS[type];
+    const data = {};
+    for (const [column, field] of Object.entries(mapping)) {
+        if (!field) continue;
+        let value = record[column];
+        if (typeof value === "string") value = value.trim();
+        if (value === undefined || value === null || value === "") continue;
+        if (fields[field]?.type === "number" && typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)) {
+            value = Number(value);
+        }
+        data[field] = value;
+    }
+    return data;
+}
+
+function prefixIssues(issues, index) {
+    return issues.map((issue) => ({ ...issue, path: `rows[${index}].${issue.path}` }));
+}
+
+/**
+ * Apply imported records to a collection array in place. Rows are independent:
+ * a rejected row is reported and skipped, the others are still applied.
+ * A row updates an existing item when its id matches, or when the Douban merge
+ * matching finds the same item; imported values then replace the stored ones
+ * (fields the row leaves empty are kept). Otherwise the row creates an item.
+ *
+ * @param {Object} options
+ * @param {string} options.type
+ * @param {Object[]} options.records - from parseImport
+ * @param {Object<string, string | null>} options.mapping - column -> field
+ * @param {(type: string, items: Object[]) => string} options.generateId
+ * @param {boolean} [options.strict]
+ * @param {string} [options.today] - addedDate for created items without one
+ * @returns {{ results: Object[], summary: { created: number, updated: number, unchanged: number, rejected: number } }}
+ */
+export function importRecords(items, { type, records, mapping, generateId, strict = false, today }) {
+    checkMapping(type, mapping);
+    const fixed = getMediaType(type)?.fixed;
+    const results = [];
+
+    records.forEach((record, index) => {
+        const { id, ...mapped } = mapRecord(type, record, mapping);
+        const title = mapped.title;
+
+        const byId = id ? items.findIndex((item) => item.id === String(id)) : -1;
+        const matchIndex = byId !== -1 ? byId : findMatchingIndex(items, { ...fixed, ...mapped });
+
+        if (matchIndex === -1) {
+            const validation = validateItem(type, { ...fixed, ...mapped }, { strict });
+            if (!validation.isValid) {
+                results.push({ index, action: "rejected", title, errors: validation.errors, issues: prefixIssues(validation.issues, index) });
+                return;
+            }
+            const item = { id: generateId(type, items), ...validation.data };
+            if (!item.addedDate && today) item.addedDate = today;
+            items.unshift(item);
+            results.push({ index, action: "created", id: item.id, title });
+            return;
+        }
+
+        const existing = items[matchIndex];
+        const patch = validateItem(type, mapped, { partial: true, strict });
+        const merged = { ...existing, ...patch.data };
+        const validation = patch.isValid ? validateItem(type, merged) : patch;
+        if (!validation.isValid) {
+            results.push({
+                index,
+                action: "rejected",
+                id: existing.id,
+                title,
+                errors: validation.errors,
+                issues: prefixIssues(validation.issues, index),
+            });
+            return;
+        }
+
+        const changed = Object.keys(patch.data).filter((field) => JSON.stringify(existing[field]) !== JSON.stringify(merged[field]));
+        if (!changed.length) {
+            results.push({ index, action: "unchanged", id: existing.id, title });
+            return;
+        }
+        items[matchIndex] = merged;
+        results.push({ index, action: "updated", id: existing.id, title, fields: changed });
+    });
+
+    const count = (action) => results.filter((result) => result.action === action).length;
+    return {
+        results,
+        summary: { created: count("created"), updated: count("updated"), unchanged: count("unchanged"), rejected: count("rejected") },
+    };
+}
@@ -0,0 +1,208 @@
+/**
+ * Collection matching and sorting shared by the public pages (via filters.ts),
+ * the client-side filter system and the admin API query parameters.
+ * Plain JavaScript so the Node admin server can import it directly.
+ */
+
+export const SORT_FIELDS = ["added", "rating", "year", "title"];
+export const SORT_DIRECTIONS = ["asc", "desc"];
+
+/**
+ * Split slash-separated values (e.g., "美国 / 英国" -> ["美国", "英国"])
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+export function splitBySlash(value) {
+    if (!value) return [];
+    return String(value)
+        .split(/\s*\/\s*/)
+        .map((v) => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Check if an item value matches a filter value
+ * @param {{ itemValue: string | undefined, filterValue: string, matchMode?: "exact" | "contains" }} options
+ * @returns {boolean}
+ */
+export function matchesFilter({ itemValue, filterValue, matchMode = "contains" }) {
+    if (filterValue === "all") return true;
+    if (!itemValue) return false;
+
+    if (matchMode === "exact") {
+        return itemValue === filterValue;
+    }
+
+    // Contains mode - check if any of the slash-separated values match
+    return splitBySlash(itemValue).includes(filterValue);
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isSortValue(value) {
+    const [field, direction, ...rest] = String(value || "").split("-");
+    return rest.length === 0 && SORT_FIELDS.includes(field) && SORT_DIRECTIONS.includes(direction);
+}
+
+/**
+ * @template T
+ * @typedef {Object} SortGetters
+ * @property {(item: T) => string | undefined} added
+ * @property {(item: T) => number | undefined} rating
+ * @property {(item: T) => number | undefined} year
+ * @property {(item: T) => string | undefined} title
+ */
+
+/** Getters for plain collection items as stored in src/data/*.json */
+export const ITEM_SORT_GETTERS = {
+    added: (item) => item.addedDate,
+    rating: (item) => (item.rating === undefined ? undefined : Number(item.rating)),
+    year: (item) => (item.year === undefined ? undefined : Number(item.year)),
+    title: (item) => item.title,
+};
+
+/**
+ * Sort items based on sort value (field-direction)
+ * @template T
+ * @param {T[]} items
+ * @param {string} sortValue - e.g. "added-desc"
+ * @param {SortGetters<T>} getters
+ * @returns {T[]}
+ */
+export function sortItems(items, sortValue, getters) {
+    const [field, direction] = sortValue.split("-");
+
+    const sorted = [...items];
+
+    sorted.sort((a, b) => {
+        let aVal;
+        let bVal;
+
+        switch (field) {
+            case "added":
+                aVal = getters.added(a) || "1970-01-01";
+                bVal = getters.added(b) || "1970-01-01";
+                break;
+            case "rating":
+                aVal = getters.rating(a) || 0;
+                bVal = getters.rating(b) || 0;
+                break;
+            case "year":
+                aVal = getters.year(a) || 0;
+                bVal = getters.year(b) || 0;
+                break;
+            case "title":
+                aVal = (getters.title(a) || "").toLowerCase();
+                bVal = (getters.title(b) || "").toLowerCase();
+                break;
+            default:
+                return 0;
+        }
+
+        let result = 0;
+        if (typeof aVal === "string" && typeof bVal === "string") {
+            result = aVal.localeCompare(bVal);
+        } else {
+            result = Number(aVal) - Number(bVal);
+        }
+
+        return direction === "desc" ? -result : result;
+    });
+
+    return sorted;
+}
+
+function listParam(value) {
+    if (!value) return [];
+    return String(value)
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean);
+}
+
+function numberParam(value, name, errors) {
+    if (value === undefined || value === null || value === "") return undefined;
+    const num = Number(value);
+    if (Number.isNaN(num)) {
+        errors.push(`${name} must be a number`);
+        return undefined;
+    }
+    return num;
+}
+
+function includesText(value, text) {
+    return String(value || "").toLowerCase().includes(text);
+}
+
+/**
+ * Filter, sort, page and project a collection from query parameters.
+ *
+ * Supported parameters: status, country, source (comma-separated for several),
+ * minYear, maxYear, minRating, maxRating, creator, q, sort, limit, offset, fields.
+ *
+ * @param {Object[]} items
+ * @param {URLSearchParams | Object<string, string>} params
+ * @param {{ creatorField?: string }} [options]
+ * @returns {{ items: Object[], total: number, errors: string[] }}
+ */
+export function queryCollection(items, params, { creatorField } = {}) {
+    const get = (name) => (params instanceof URLSearchParams ? params.get(name) : params?.[name]) ?? undefined;
+    const errors = [];
+
+    const statuses = listParam(get("status"));
+    const countries = listParam(get("country"));
+    const sources = listParam(get("source"));
+    const minYear = numberParam(get("minYear"), "minYear", errors);
+    const maxYear = numberParam(get("maxYear"), "maxYear", errors);
+    const minRating = numberParam(get("minRating"), "minRating", errors);
+    const maxRating = numberParam(get("maxRating"), "maxRating", errors);
+    const creator = String(get("creator") || "").trim().toLowerCase();
+    const text = String(get("q") || "").trim().toLowerCase();
+    const sort = get("sort");
+    const limit = numberParam(get("limit"), "limit", errors);
+    const offset = numberParam(get("offset"), "offset", errors) || 0;
+    const fields = listParam(get("fields"));
+
+    if (sort && !isSortValue(sort)) {
+        errors.push(`sort must be one of: ${SORT_FIELDS.flatMap((f) => SORT_DIRECTIONS.map((d) => `${f}-${d}`)).join(", ")}`);
+    }
+    if (limit !== undefined && (limit < 0 || !Number.isInteger(limit))) errors.push("limit must be a non-negative integer");
+    if (offset < 0 || !Number.isInteger(offset)) errors.push("offset must be a non-negative integer");
+    if (errors.length) return { items: [], total: 0, errors };
+
+    let result = items.filter((item) => {
+        if (statuses.length && !statuses.includes(item.status)) return false;
+        if (countries.length && !countries.some((country) => matchesFilter({ itemValue: item.country, filterValue: country }))) {
+            return false;
+        }
+        if (sources.length && !sources.includes(item.source || "manual")) return false;
+        if (minYear !== undefined && !(Number(item.year) >= minYear)) return false;
+        if (maxYear !== undefined && !(Number(item.year) <= maxYear)) return false;
+        if (minRating !== undefined && !(Number(item.rating) >= minRating)) return false;
+        if (maxRating !== undefined && !(Number(item.rating) <= maxRating)) return false;
+        if (creator && !includesText(creatorField && item[creatorField], creator)) return false;
+        if (
+            text &&
+            ![item.title, item.originalTitle, creatorField && item[creatorField], item.notes].some((value) =>
+                includesText(value, text),
+            )
+        ) {
+            return false;
+        }
+        return true;
+    });
+
+    if (sort) result = sortItems(result, sort, ITEM_SORT_GETTERS);
+
+    const total = result.length;
+    result = result.slice(offset, limit === undefined ? undefined : offset + limit);
+
+    if (fields.length) {
+        const keep = new Set(["id", ...fields]);
+        result = result.map((item) => Object.fromEntries(Object.entries(item).filter(([key]) => keep.has(key))));
+    }
+
+    return { items: result, total, errors };
+}
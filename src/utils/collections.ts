@@ -0,0 +1,34 @@
+/**
+ * Build-time access to the src/data/*.json collections of every registered media type.
+ */
+
+import { DATA_TYPES } from "./media-types.mjs";
+import { publicCollectionItems } from "./public-collection";
+
+type CollectionItem = Record<string, any> & { id: string; title: string; status?: string };
+
+const dataModules = import.meta.glob<CollectionItem[]>("../data/*.json", { eager: true, import: "default" });
+
+/**
+ * Items of a media type as stored in src/data/{type}.json; empty until the file exists.
+ */
+export function loadCollection<T = CollectionItem>(type: string): T[] {
+    return (dataModules[`../data/${type}.json`] || []) as T[];
+}
+
+/**
+ * Items shown on the public site (wishlist statuses left out).
+ */
+export function loadPublicCollection<T extends { status?: string } = CollectionItem>(type: string): T[] {
+    return publicCollectionItems(loadCollection<T>(type));
+}
+
+/**
+ * Old ids and where they lead now, from src/data/ids.json (see item-ids.mjs).
+ */
+export function loadIdAliases(): Record<string, { type?: string; id?: string; reason: string; at: string }> {
+    const ids = dataModules["../data/ids.json"] as unknown as { aliases?: ReturnType<typeof loadIdAliases> } | undefined;
+    return ids?.aliases || {};
+}
+
+export { DATA_TYPES };
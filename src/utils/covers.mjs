@@ -0,0 +1,378 @@
+import { createHash } from "crypto";
+import { access, mkdir, readdir, rm, stat } from "fs/promises";
+import { dirname, join, sep } from "path";
+import sharp from "sharp";
+import { createJsonFileStore, writeAtomic } from "./data-store.mjs";
+
+// Uploaded covers are normalised to a JPEG no larger than this box
+export const COVER_MAX_WIDTH = 800;
+export const COVER_MAX_HEIGHT = 1200;
+export const MAX_COVER_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Remote URL each downloaded cover came from, so a broken file can be fetched again
+const SOURCES_FILE = ".sources.json";
+
+// Unreferenced files younger than this are kept: an upload whose item is not saved yet,
+// or a cover a running sync has downloaded but not written to its item
+export const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const IMAGE_SIGNATURES = [
+    { type: "jpeg", test: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { type: "png", test: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: "gif", test: (buffer) => /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString("latin1")) },
+    {
+        type: "webp",
+        test: (buffer) => buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP",
+    },
+];
+
+function coverError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Image type from the file's magic bytes (the declared Content-Type is not trusted).
+ * @returns {"jpeg" | "png" | "gif" | "webp" | null}
+ */
+export function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    return IMAGE_SIGNATURES.find(({ test }) => test(buffer))?.type || null;
+}
+
+/**
+ * Decode a base64 upload, with or without a `data:image/...;base64,` prefix.
+ */
+export function decodeBase64Image(value) {
+    if (typeof value !== "string" || !value.trim()) throw coverError("image must be a base64 string");
+    const match = value.trim().match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (match && !match[2]) throw coverError("Only base64 data URLs are supported");
+    const encoded = (match ? match[3] : value).replace(/\s+/g, "");
+    if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(encoded)) throw coverError("image is not valid base64");
+    return Buffer.from(encoded, encoded.includes("-") || encoded.includes("_") ? "base64url" : "base64");
+}
+
+/**
+ * Split a multipart/form-data body into its parts.
+ * @returns {Array<{ name: string, filename?: string, contentType?: string, data: Buffer }>}
+ */
+export function parseMultipart(body, contentType) {
+    const boundary = String(contentType || "").match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundary) throw coverError("multipart/form-data request without a boundary");
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+    const parts = [];
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+        // Each part: CRLF, headers, CRLF CRLF, content, CRLF before the next delimiter
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const headerEnd = part.indexOf("\r\n\r\n");
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString("utf-8");
+            const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || "";
+            const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+            if (name !== undefined) {
+                parts.push({
+                    name,
+                    filename: disposition.match(/\bfilename="([^"]*)"/i)?.[1],
+                    contentType: headers.match(/content-type:\s*([^\r\n]+)/i)?.[1]?.trim(),
+                    data: part.subarray(headerEnd + 4),
+                });
+            }
+        }
+        start = next;
+    }
+    return parts;
+}
+
+async function fileExists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Normalise an uploaded image and store it in coversDir under its content hash.
+ * Applies the EXIF orientation, then drops all metadata (EXIF, GPS, ICC profile),
+ * fits it into COVER_MAX_WIDTH x COVER_MAX_HEIGHT and re-encodes it as sRGB JPEG.
+ * Uploading the same image twice returns the same path.
+ * @returns {Promise<{ path: string, filename: string, width: number, height: number, bytes: number, existed: boolean }>}
+ */
+export async function saveCoverImage(buffer, { coversDir }) {
+    if (!buffer?.length) throw coverError("No image data received");
+    if (buffer.length > MAX_COVER_UPLOAD_BYTES) {
+        throw coverError(`Image is larger than ${MAX_COVER_UPLOAD_BYTES / 1024 / 1024} MB`, 413);
+    }
+    const sourceType = detectImageType(buffer);
+    if (!sourceType) throw coverError("Unsupported image type; use JPEG, PNG, WebP or GIF", 415);
+
+    let output;
+    try {
+        output = await sharp(buffer, { failOn: "error" })
+            .rotate()
+            .resize({ width: COVER_MAX_WIDTH, height: COVER_MAX_HEIGHT, fit: "inside", withoutEnlargement: true })
+            .flatten({ background: "#ffffff" })
+            .toColourspace("srgb")
+            .jpeg({ quality: 85, mozjpeg: true })
+            .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        throw coverError(`Could not decode ${sourceType} image: ${error.message}`, 422);
+    }
+
+    const hash = createHash("sha256").update(output.data).digest("hex").slice(0, 16);
+    const filename = `${hash}.jpg`;
+    const filePath = join(coversDir, filename);
+
+    await mkdir(coversDir, { recursive: true });
+    const existed = await fileExists(filePath);
+    if (!existed) await writeAtomic(filePath, output.data);
+
+    return {
+        path: `/covers/${filename}`,
+        filename,
+        width: output.info.width,
+        height: output.info.height,
+        bytes: output.info.size,
+        existed,
+    };
+}
+
+const sourceStores = new Map();
+
+function sourcesStore(coversDir) {
+    const file = join(coversDir, SOURCES_FILE);
+    if (!sourceStores.has(file)) sourceStores.set(file, createJsonFileStore({ file }));
+    return sourceStores.get(file);
+}
+
+function readSources(coversDir) {
+    return sourcesStore(coversDir).read();
+}
+
+/**
+ * Remember the URL a cover file was downloaded from (see maintainCovers' refetch).
+ */
+export async function recordCoverSource(coversDir, filename, url) {
+    await sourcesStore(coversDir).update((sources) => {
+        sources[filename] = url;
+        return Object.fromEntries(Object.entries(sources).sort(([a], [b]) => a.localeCompare(b)));
+    });
+}
+
+// Covers synced before sources were recorded keep Douban's own image names
+function doubanSourceUrl(filename) {
+    const match = filename.match(/^([sp])\d+\.(?:jpe?g|webp|png|gif)$/i);
+    if (!match) return undefined;
+    return match[1].toLowerCase() === "s"
+        ? `https://img1.doubanio.com/view/subject/l/public/${filename}`
+        : `https://img1.doubanio.com/view/photo/s_ratio_poster/public/${filename}`;
+}
+
+function coverRequestHeaders(url, cookie) {
+    const headers = {
+        "User-Agent":
+            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36",
+    };
+    if (/\.(douban|doubanio)\.com\//.test(url)) {
+        headers.Referer = "https://www.douban.com/";
+        if (cookie) headers.Cookie = cookie;
+    }
+    return headers;
+}
+
+async function fetchImage(url, { fetchImpl, cookie }) {
+    const response = await fetchImpl(url, {
+        headers: coverRequestHeaders(url, cookie),
+        signal: AbortSignal.timeout(30000),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status} while downloading cover`);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (!detectImageType(buffer)) throw new Error("Downloaded file is not a JPEG, PNG, WebP or GIF image");
+    await checkImage(buffer);
+    return buffer;
+}
+
+// Decodes every pixel, so truncated downloads fail too
+async function checkImage(input) {
+    await sharp(input, { failOn: "truncated" }).stats();
+}
+
+// "/covers/a%20b.jpg?v=2" -> "a b.jpg"
+function coverFileName(cover) {
+    const path = cover.slice("/covers/".length).split(/[?#]/)[0];
+    try {
+        return decodeURIComponent(path);
+    } catch {
+        return path;
+    }
+}
+
+async function listCoverFiles(coversDir) {
+    let entries;
+    try {
+        entries = await readdir(coversDir, { recursive: true, withFileTypes: true });
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+    return entries
+        .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+        .map((entry) => join(entry.parentPath ?? entry.path, entry.name).slice(coversDir.length + 1).split(sep).join("/"))
+        .sort();
+}
+
+/**
+ * Check src/assets/covers against the collections:
+ * - orphans: files no item refers to, deleted only with `deleteOrphans` and only once
+ *   they are `orphanGraceMs` old; the scan holds the data store locks, so no write can
+ *   start using a file while it is deleted
+ * - remote: items whose cover is still an http(s) URL (downloaded and stored like uploads)
+ * - broken: referenced files that are missing, empty or fail to decode with sharp
+ *   (fetched again from their recorded source when there is one)
+ * With `dryRun`, nothing is deleted, downloaded or written; the report lists what would happen.
+ *
+ * @param {Object} options
+ * @param {Object} options.dataStore - Store from createDataStore
+ * @param {string[]} options.dataTypes
+ * @param {string} options.coversDir
+ * @param {boolean} [options.deleteOrphans] - Delete orphans (default false: only list them)
+ * @param {number} [options.orphanGraceMs] - Keep orphans modified more recently than this
+ * @param {boolean} [options.fetchRemote] - Download remote covers and refetch broken ones (default true)
+ * @param {Function} [options.fetchImpl] - fetch replacement, for tests
+ * @param {Object} [options.meta] - Journal metadata for the cover path updates
+ */
+export async function maintainCovers({
+    dataStore,
+    dataTypes,
+    coversDir,
+    dryRun = false,
+    deleteOrphans = false,
+    orphanGraceMs = ORPHAN_GRACE_MS,
+    fetchRemote = true,
+    cookie,
+    fetchImpl = fetch,
+    meta,
+}) {
+    const sources = await readSources(coversDir);
+    const references = new Map();
+    const remote = [];
+    const orphans = [];
+    let files = [];
+
+    await dataStore.whileLocked(dataTypes, async (collections) => {
+        files = await listCoverFiles(coversDir);
+
+        // Which items use which local file, and which still point at a remote URL
+        for (const type of dataTypes) {
+            for (const item of collections[type]) {
+                const cover = typeof item.cover === "string" ? item.cover.trim() : "";
+                const ref = { type, id: item.id, title: item.title };
+                if (cover.startsWith("/covers/")) {
+                    const file = coverFileName(cover);
+                    if (!references.has(file)) references.set(file, []);
+                    references.get(file).push(ref);
+                } else if (/^https?:\/\//i.test(cover)) {
+                    remote.push({ ...ref, url: cover, status: dryRun ? "planned" : fetchRemote ? "pending" : "skipped" });
+                }
+            }
+        }
+
+        for (const file of files.filter((file) => !references.has(file))) {
+            const { size, mtimeMs } = await stat(join(coversDir, file));
+            const recent = Date.now() - mtimeMs < orphanGraceMs;
+            let deleted = false;
+            if (!dryRun && deleteOrphans && !recent) {
+                await rm(join(coversDir, file), { force: true });
+                deleted = true;
+            }
+            orphans.push({ file, bytes: size, modifiedAt: new Date(mtimeMs).toISOString(), recent, deleted });
+        }
+    });
+
+    const broken = [];
+    for (const [file, items] of references) {
+        const filePath = join(coversDir, file);
+        let reason;
+        let message;
+        if (!(await fileExists(filePath))) {
+            reason = "missing";
+        } else if ((await stat(filePath)).size === 0) {
+            reason = "empty";
+        } else {
+            try {
+                await checkImage(filePath);
+                continue;
+            } catch (error) {
+                reason = "decode";
+                message = error.message;
+            }
+        }
+
+        const source = sources[file] || doubanSourceUrl(file.split("/").pop());
+        const entry = { file, reason, ...(message && { message }), items, source: source || null };
+        if (!source) {
+            entry.status = "no-source";
+        } else if (dryRun) {
+            entry.status = "planned";
+        } else if (!fetchRemote) {
+            entry.status = "skipped";
+        } else {
+            try {
+                const buffer = await fetchImage(source, { fetchImpl, cookie });
+                await mkdir(dirname(filePath), { recursive: true });
+                await writeAtomic(filePath, buffer);
+                entry.status = "refetched";
+            } catch (error) {
+                Object.assign(entry, { status: "failed", error: error.message });
+            }
+        }
+        broken.push(entry);
+    }
+
+    for (const entry of remote.filter((entry) => entry.status === "pending")) {
+        try {
+            const saved = await saveCoverImage(await fetchImage(entry.url, { fetchImpl, cookie }), { coversDir });
+            await recordCoverSource(coversDir, saved.filename, entry.url);
+            Object.assign(entry, { status: "localized", path: saved.path });
+        } catch (error) {
+            Object.assign(entry, { status: "failed", error: error.message });
+        }
+    }
+
+    // Point the items at their local copies, unless the cover was changed meanwhile
+    const localized = remote.filter((entry) => entry.status === "localized");
+    if (localized.length) {
+        const types = [...new Set(localized.map((entry) => entry.type))];
+        await dataStore.updateMany(types, (data) => {
+            for (const entry of localized) {
+                const item = data[entry.type].find((candidate) => candidate.id === entry.id);
+                if (item?.cover === entry.url) item.cover = entry.path;
+            }
+        }, meta);
+    }
+
+    const count = (list, status) => list.filter((entry) => entry.status === status).length;
+    return {
+        dryRun,
+        files: files.length,
+        referenced: references.size,
+        orphans,
+        remote,
+        broken,
+        summary: {
+            orphans: orphans.length,
+            deleted: orphans.filter((orphan) => orphan.deleted).length,
+            remote: remote.length,
+            localized: localized.length,
+            broken: broken.length,
+            refetched: count(broken, "refetched"),
+            failed: count(remote, "failed") + count(broken, "failed") + count(broken, "no-source"),
+        },
+    };
+}
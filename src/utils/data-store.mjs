@@ -0,0 +1,241 @@
+import { mkdir, readFile, rename, rm, writeFile } from "fs/promises";
+import { basename, dirname, join } from "path";
+import { diffCollections } from "./change-journal.mjs";
+import { createIdSession } from "./item-ids.mjs";
+
+function unknownTypeError(type) {
+    const error = new Error(`Unknown data type: ${type}`);
+    error.statusCode = 400;
+    return error;
+}
+
+function serialize(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+function parseCollection(content, filePath) {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+        throw new Error(`${filePath} does not contain a JSON array`);
+    }
+    return data;
+}
+
+async function readOptional(path) {
+    try {
+        return await readFile(path, "utf-8");
+    } catch (error) {
+        if (error.code === "ENOENT") return undefined;
+        throw error;
+    }
+}
+
+// Write next to the target and rename over it, so readers only ever see a complete file.
+export async function writeAtomic(filePath, content) {
+    const tempPath = join(dirname(filePath), `.${basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        await writeFile(tempPath, content, "utf-8");
+        await rename(tempPath, filePath);
+    } catch (error) {
+        await rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * A JSON file of local state (checkpoints, caches, decisions), read fresh on every
+ * access. `update(mutate)` saves run one after another on the latest contents, so
+ * concurrent saves keep each other's changes; a failed save does not block the next.
+ * `mutate` changes the data in place or returns an object to save instead; a file
+ * that would not change is not written.
+ *
+ * @param {Object} options
+ * @param {string} options.file
+ * @param {() => Object} [options.empty] - Contents while the file does not exist
+ */
+export function createJsonFileStore({ file, empty = () => ({}) }) {
+    let queue = Promise.resolve();
+
+    async function load() {
+        const content = await readOptional(file);
+        return { data: content === undefined ? empty() : { ...empty(), ...JSON.parse(content) }, content };
+    }
+
+    return {
+        async read() {
+            return (await load()).data;
+        },
+
+        update(mutate) {
+            queue = queue.catch(() => {}).then(async () => {
+                const { data, content } = await load();
+                const replaced = await mutate(data);
+                const next = serialize(replaced && typeof replaced === "object" ? replaced : data);
+                if (next === content) return;
+                await mkdir(dirname(file), { recursive: true });
+                await writeAtomic(file, next);
+            });
+            return queue;
+        },
+    };
+}
+
+/**
+ * Shared access layer for the src/data/*.json collections.
+ *
+ * Every write for a data type goes through a per-type queue, is written to a
+ * temp file and renamed into place, and a copy of the last successful write is
+ * kept in `backupDir` so a corrupted or missing file is restored on the next read.
+ * When a `journal` is given, every item-level change is recorded in it.
+ * With an `ids` registry, new ids are never reused and removed ids leave aliases.
+ *
+ * @param {Object} options
+ * @param {Object<string, string>} options.dataFiles - Map of data type to JSON file path
+ * @param {string} [options.backupDir] - Directory for last known-good copies
+ * @param {Object} [options.journal] - Change journal from createChangeJournal
+ * @param {Object} [options.ids] - Id registry from createIdRegistry
+ */
+export function createDataStore({ dataFiles, backupDir, journal, ids } = {}) {
+    const locks = new Map();
+
+    function filePathFor(type) {
+        const filePath = dataFiles?.[type];
+        if (!filePath) throw unknownTypeError(type);
+        return filePath;
+    }
+
+    function backupPathFor(type) {
+        return backupDir ? join(backupDir, basename(filePathFor(type))) : "";
+    }
+
+    function acquire(type) {
+        const previous = locks.get(type) || Promise.resolve();
+        let release;
+        const current = new Promise((resolve) => {
+            release = resolve;
+        });
+        const tail = previous.then(() => current);
+        locks.set(type, tail);
+
+        return previous.then(() => () => {
+            release();
+            if (locks.get(type) === tail) locks.delete(type);
+        });
+    }
+
+    // Locks are always taken in sorted order so multi-type writers cannot deadlock.
+    async function withLocks(types, task) {
+        const releases = [];
+        try {
+            for (const type of [...new Set(types)].sort()) {
+                filePathFor(type);
+                releases.push(await acquire(type));
+            }
+            return await task();
+        } finally {
+            releases.reverse().forEach((release) => release());
+        }
+    }
+
+    async function recover(type, cause, { missing = false } = {}) {
+        const backupPath = backupPathFor(type);
+        const backup = backupPath ? await readOptional(backupPath) : undefined;
+        // Never written before (e.g. a newly registered media type): start empty
+        if (backup === undefined && missing) return { data: [], content: serialize([]) };
+        if (backup === undefined) throw cause;
+
+        const data = parseCollection(backup, backupPath);
+        await writeAtomic(filePathFor(type), backup);
+        console.warn(`⚠️  Restored ${type} from last known-good copy: ${cause.message}`);
+        return { data, content: backup };
+    }
+
+    async function load(type) {
+        const filePath = filePathFor(type);
+        const content = await readOptional(filePath);
+        if (content === undefined) return recover(type, new Error(`${filePath} is missing`), { missing: true });
+        try {
+            return { data: parseCollection(content, filePath), content };
+        } catch (error) {
+            return recover(type, error);
+        }
+    }
+
+    async function persist(type, data, previousContent) {
+        const content = serialize(data);
+        if (content === previousContent) return false;
+
+        await writeAtomic(filePathFor(type), content);
+
+        const backupPath = backupPathFor(type);
+        if (backupPath) {
+            await mkdir(dirname(backupPath), { recursive: true });
+            await writeAtomic(backupPath, content);
+        }
+        return true;
+    }
+
+    return {
+        types: Object.keys(dataFiles || {}),
+
+        async read(type) {
+            return (await load(type)).data;
+        },
+
+        async readAll(types = this.types) {
+            const entries = await Promise.all(types.map(async (type) => [type, (await load(type)).data]));
+            return Object.fromEntries(entries);
+        },
+
+        /**
+         * Run `task` with the current data of `types` while holding their write
+         * locks, for work that must not interleave with writes but writes no
+         * collection itself (e.g. deleting cover files no item refers to).
+         */
+        async whileLocked(types, task) {
+            return withLocks(types, async () => {
+                const data = {};
+                for (const type of types) data[type] = (await load(type)).data;
+                return task(data);
+            });
+        },
+
+        /**
+         * Read-modify-write a single collection under its write lock.
+         * `mutate` changes the array in place; its return value is passed through
+         * and anything it throws aborts the write. Its second argument is the id
+         * session: `nextId(type, items)` for new items, `alias(from, to, reason)`.
+         * @param {Object} [meta] - Journal metadata: { actor, source, batchId, revertOf }
+         */
+        async update(type, mutate, meta) {
+            return this.updateMany([type], (data, session) => mutate(data[type], session), meta);
+        },
+
+        /**
+         * Read-modify-write several collections as one unit. `mutate` receives
+         * `{ [type]: items[] }` and may replace any of its arrays. All changes
+         * are journaled as one batch.
+         */
+        async updateMany(types, mutate, meta) {
+            return withLocks(types, async () => {
+                const loaded = {};
+                for (const type of types) loaded[type] = await load(type);
+                const data = Object.fromEntries(types.map((type) => [type, loaded[type].data]));
+                const before = Object.fromEntries(types.map((type) => [type, [...data[type]]]));
+                const session = ids ? await ids.begin() : createIdSession();
+
+                const result = await mutate(data, session);
+                const changes = [];
+                for (const type of types) {
+                    const written = await persist(type, data[type], loaded[type].content);
+                    if (written && journal) {
+                        changes.push(...diffCollections(type, JSON.parse(loaded[type].content), data[type]));
+                    }
+                }
+                if (journal) await journal.record(changes, meta);
+                await ids?.commit(session, before, data);
+                return result;
+            });
+        },
+    };
+}
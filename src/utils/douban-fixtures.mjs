@@ -0,0 +1,151 @@
+/**
+ * Recorded Douban responses, so a whole sync can run without the network. A recording
+ * transport passes requests on and saves every response as a fixture file; a replay
+ * server serves those files from localhost to a transport that sends Douban requests
+ * there instead. Both are fetch replacements for createDoubanClient's `fetchImpl`.
+ *
+ * A fixture file holds one URL and its responses in the order they were received,
+ * bodies as text or, for images, base64:
+ *   { url, responses: [{ status, headers, body, encoding: "utf-8" | "base64" }] }
+ * Replaying serves them in that order, the last one repeating, so a recorded retry
+ * (a 503, then the page) plays back the same way.
+ */
+
+import { createHash } from "crypto";
+import { mkdir, readdir, readFile, writeFile } from "fs/promises";
+import { createServer } from "http";
+import { join } from "path";
+
+// Only the headers the client reads; cookies and the rest are not kept
+const RECORDED_HEADERS = ["content-type", "retry-after", "location"];
+
+function fixtureKey(url) {
+    return String(url).replace(/^https?:\/\//, "");
+}
+
+function isText(contentType) {
+    return /^text\/|json|xml|javascript/.test(contentType || "");
+}
+
+/** File name of a URL's fixture: readable host and path, plus a hash of the whole URL */
+export function fixtureFileName(url) {
+    const { host, pathname } = new URL(url);
+    const slug = `${host}${pathname}`
+        .replace(/[^a-z0-9.]+/gi, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 80);
+    return `${slug}-${createHash("sha1").update(fixtureKey(url)).digest("hex").slice(0, 8)}.json`;
+}
+
+/**
+ * A transport that saves every response it returns into `dir`.
+ * @param {Object} options
+ * @param {string} options.dir
+ * @param {Function} [options.fetchImpl] - The transport recorded, the global fetch by default
+ */
+export function createRecordingFetch({ dir, fetchImpl }) {
+    const recorded = new Map();
+    let queue = Promise.resolve();
+
+    function save(url, responses) {
+        queue = queue.catch(() => {}).then(async () => {
+            await mkdir(dir, { recursive: true });
+            await writeFile(join(dir, fixtureFileName(url)), `${JSON.stringify({ url, responses }, null, 2)}\n`);
+        });
+        return queue;
+    }
+
+    return async function recordingFetch(input, init) {
+        const url = String(input instanceof Request ? input.url : input);
+        const response = await (fetchImpl || fetch)(input, init);
+        const body = Buffer.from(await response.clone().arrayBuffer());
+        const headers = {};
+        for (const name of RECORDED_HEADERS) {
+            const value = response.headers.get(name);
+            if (value) headers[name] = value;
+        }
+        const text = isText(headers["content-type"]);
+
+        const responses = recorded.get(url) || [];
+        responses.push({
+            status: response.status,
+            headers,
+            body: text ? body.toString("utf-8") : body.toString("base64"),
+            encoding: text ? "utf-8" : "base64",
+        });
+        recorded.set(url, responses);
+        await save(url, responses);
+        return response;
+    };
+}
+
+/**
+ * Fixtures in `dir`, keyed by URL without its protocol.
+ * @returns {Promise<Map<string, { url: string, responses: Object[] }>>}
+ */
+export async function readFixtures(dir) {
+    const fixtures = new Map();
+    for (const name of (await readdir(dir)).filter((file) => file.endsWith(".json")).sort()) {
+        const fixture = JSON.parse(await readFile(join(dir, name), "utf-8"));
+        if (!fixture.url || !Array.isArray(fixture.responses) || !fixture.responses.length) {
+            throw new Error(`Invalid Douban fixture: ${name}`);
+        }
+        fixtures.set(fixtureKey(fixture.url), fixture);
+    }
+    return fixtures;
+}
+
+/**
+ * A local stand-in for Douban serving the fixtures in `dir`. Its `fetchImpl` sends
+ * every request to the server, which answers from the fixture of the original URL;
+ * a URL without one gets a 404 and is listed in `missing`. `requests` lists the URLs
+ * asked for, in order.
+ * @param {Object} options
+ * @param {string} options.dir
+ * @returns {Promise<{ origin: string, requests: string[], missing: string[], fetchImpl: Function, close: () => Promise<void> }>}
+ */
+export async function startReplayServer({ dir }) {
+    const fixtures = await readFixtures(dir);
+    const served = new Map();
+    const requests = [];
+    const missing = [];
+
+    const server = createServer((req, res) => {
+        // Requests arrive as /<host>/<path>?<query>
+        const key = req.url.slice(1);
+        const url = `https://${key}`;
+        requests.push(url);
+        const fixture = fixtures.get(key);
+        if (!fixture) {
+            missing.push(url);
+            res.writeHead(404, { "content-type": "text/plain; charset=utf-8" });
+            res.end(`No fixture for ${url}`);
+            return;
+        }
+        const count = served.get(key) || 0;
+        served.set(key, count + 1);
+        const response = fixture.responses[Math.min(count, fixture.responses.length - 1)];
+        res.writeHead(response.status, response.headers || {});
+        res.end(Buffer.from(response.body || "", response.encoding === "base64" ? "base64" : "utf-8"));
+    });
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(0, "127.0.0.1", resolve);
+    });
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        origin,
+        requests,
+        missing,
+
+        fetchImpl(input, init) {
+            const url = new URL(input instanceof Request ? input.url : input);
+            return fetch(`${origin}/${url.host}${url.pathname}${url.search}`, init);
+        },
+
+        close() {
+            return new Promise((resolve, reject) => server.close((error) => (error ? reject(error) : resolve())));
+        },
+    };
+}
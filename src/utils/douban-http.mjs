@@ -0,0 +1,206 @@
+/**
+ * HTTP client for Douban pages and covers: requests are paced, transient failures
+ * (network errors, timeouts, 5xx, 429) are retried with exponential backoff and
+ * jitter, `Retry-After` is honoured, and every block or 429 doubles the pace for
+ * the rest of the run. Pages can be kept in an on-disk cache (createPageCache) so
+ * a rerun does not request them again.
+ */
+
+import { createHash } from "crypto";
+import { mkdir, readFile, stat } from "fs/promises";
+import { join } from "path";
+import { writeAtomic } from "./data-store.mjs";
+
+const USER_AGENT =
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+const REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const MAX_DELAY_MS = 60000;
+// A longer Retry-After fails the request instead of stalling the sync
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+export function sleep(ms, signal) {
+    signal?.throwIfAborted();
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+function blockedError(url) {
+    const error = new Error(`Douban blocked the request for ${url}; provide a logged-in Douban Cookie`);
+    error.blocked = true;
+    return error;
+}
+
+function httpError(message, { retryable = false, retryAfterMs } = {}) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/** Milliseconds to wait from a Retry-After header (seconds or an HTTP date) */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return undefined;
+    if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+function isBlockPage(response, html) {
+    return (
+        response.url.includes("sec.douban.com") ||
+        /403 Forbidden|检测到有异常请求|sec\.douban\.com|请点击下方按钮继续浏览/.test(html)
+    );
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.cookie]
+ * @param {number} [options.delayMs] - Pause between requests, and the first retry backoff
+ * @param {number} [options.retries] - Retries of a transient failure
+ * @param {ReturnType<typeof createPageCache>} [options.cache] - Pages are read from and saved to it
+ * @param {() => number} [options.random] - Jitter source, 0 <= n < 1
+ * @param {Function} [options.fetchImpl] - Transport with fetch's signature, e.g. a recording
+ *   or replaying one (douban-fixtures.mjs); the global fetch by default
+ */
+export function createDoubanClient({
+    cookie,
+    delayMs = 0,
+    retries = DEFAULT_RETRIES,
+    cache,
+    random = Math.random,
+    fetchImpl,
+} = {}) {
+    let paceMs = delayMs;
+    let lastRequestAt = 0;
+    const stats = { requests: 0, retries: 0, blocks: 0, cached: 0 };
+
+    function slowDown() {
+        stats.blocks += 1;
+        paceMs = Math.min(MAX_DELAY_MS, paceMs * 2);
+    }
+
+    // Exponential from delayMs, with half of it random so clients do not retry in step
+    function backoff(attempt) {
+        const ms = Math.min(MAX_DELAY_MS, delayMs * 2 ** attempt);
+        return Math.round(ms / 2 + (ms / 2) * random());
+    }
+
+    async function request(url, { accept, signal }) {
+        const headers = {
+            "User-Agent": USER_AGENT,
+            Accept: accept,
+            "Accept-Language": "zh-CN,zh;q=0.9,en;q=0.7",
+            Referer: "https://www.douban.com/",
+        };
+        if (cookie) headers.Cookie = cookie;
+
+        for (let attempt = 0; ; attempt += 1) {
+            await sleep(Math.max(0, lastRequestAt + paceMs - Date.now()), signal);
+            lastRequestAt = Date.now();
+            stats.requests += 1;
+            let response;
+            try {
+                const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+                response = await (fetchImpl || fetch)(url, { headers, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+                if (response.status === 429 || response.status >= 500) {
+                    if (response.status === 429) slowDown();
+                    const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+                    throw httpError(`HTTP ${response.status} while fetching ${url}`, { retryable: true, retryAfterMs });
+                }
+                return response;
+            } catch (error) {
+                if (signal?.aborted) throw signal.reason;
+                // Network errors and timeouts are as transient as a 5xx
+                const retryable = error.retryable ?? true;
+                if (!retryable || attempt >= retries || error.retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+                stats.retries += 1;
+                await sleep(error.retryAfterMs ?? backoff(attempt), signal);
+            }
+        }
+    }
+
+    return {
+        stats,
+
+        /** Current pause between requests, after any slowdowns */
+        get paceMs() {
+            return paceMs;
+        },
+
+        /**
+         * HTML of a page. A 403 or a block page throws an error with `blocked: true`;
+         * blocks are not retried, but slow the following requests down.
+         */
+        async fetchHtml(url, { signal } = {}) {
+            signal?.throwIfAborted();
+            const cached = await cache?.get(url);
+            if (cached !== undefined) {
+                stats.cached += 1;
+                return cached;
+            }
+            const response = await request(url, { accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8", signal });
+            if (response.status === 403) {
+                slowDown();
+                throw blockedError(url);
+            }
+            if (!response.ok) throw httpError(`HTTP ${response.status} while fetching ${url}`);
+            const html = await response.text();
+            if (isBlockPage(response, html)) {
+                slowDown();
+                throw blockedError(url);
+            }
+            await cache?.set(url, html);
+            return html;
+        },
+
+        /** Body and content type of an image or other file */
+        async fetchBinary(url, { signal } = {}) {
+            const response = await request(url, { accept: "image/avif,image/webp,image/*,*/*;q=0.8", signal });
+            if (!response.ok) throw httpError(`HTTP ${response.status} while downloading ${url}`);
+            return {
+                body: Buffer.from(await response.arrayBuffer()),
+                contentType: response.headers.get("content-type") || "",
+            };
+        },
+    };
+}
+
+/**
+ * Fetched pages on disk, one file per URL, used until they are `maxAgeMs` old.
+ * @param {Object} options
+ * @param {string} options.dir
+ * @param {number} options.maxAgeMs
+ */
+export function createPageCache({ dir, maxAgeMs }) {
+    const pathFor = (url) => join(dir, `${createHash("sha1").update(url).digest("hex")}.html`);
+
+    return {
+        /** @returns {Promise<string | undefined>} */
+        async get(url) {
+            try {
+                const path = pathFor(url);
+                if (Date.now() - (await stat(path)).mtimeMs > maxAgeMs) return undefined;
+                return await readFile(path, "utf-8");
+            } catch (error) {
+                if (error.code === "ENOENT") return undefined;
+                throw error;
+            }
+        },
+
+        async set(url, html) {
+            await mkdir(dir, { recursive: true });
+            await writeAtomic(pathFor(url), html);
+        },
+    };
+}
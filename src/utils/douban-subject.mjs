@@ -0,0 +1,144 @@
+/**
+ * Douban subject pages: the details a collection list only hints at in its
+ * slash-separated intro (director, cast, runtime, episodes, ISBN, pages,
+ * publisher, label, track list), and a cache of them so a subject page is
+ * fetched once.
+ */
+
+import { load } from "cheerio";
+import { createJsonFileStore } from "./data-store.mjs";
+
+// Long casts are cut to the leading names, as Douban's own summary does
+const MAX_CAST = 10;
+
+function cleanText(value) {
+    return String(value || "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function splitNames(value) {
+    return cleanText(value)
+        .split(/\s+\/\s+/)
+        .map(cleanText)
+        .filter(Boolean);
+}
+
+function joinNames(value, limit) {
+    const names = splitNames(value).slice(0, limit);
+    return names.length ? names.join(" / ") : undefined;
+}
+
+function firstNumber(value) {
+    const match = String(value || "").match(/\d+/);
+    return match ? Number(match[0]) : undefined;
+}
+
+function extractYear(value) {
+    const match = String(value || "").match(/(?:^|[^\d])((?:19|20)\d{2})(?:[^\d]|$)/);
+    return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * The "label: value" lines of the #info block, one per <br>.
+ * @returns {Object<string, string>}
+ */
+function parseInfo($) {
+    $("#info .more-actor").remove();
+    const html = $("#info").html() || "";
+    const text = load(`<div>${html.replace(/\s+/g, " ").replace(/<br\s*\/?>/gi, "\n")}</div>`)("div").first().text();
+    const info = {};
+    for (const line of text.split("\n")) {
+        const match = cleanText(line).match(/^([^:：]+?)\s*[:：]\s*(.*)$/);
+        if (match && match[2] && !(match[1] in info)) info[match[1]] = match[2];
+    }
+    return info;
+}
+
+function parseTracks($) {
+    const items = $("ul.track-items li, .track-list li")
+        .toArray()
+        .map((node) => cleanText($(node).text()));
+    const lines = items.length
+        ? items
+        : ($(".track-list").first().html() || "")
+              .split(/<br\s*\/?>/i)
+              .map((line) => cleanText(load(`<div>${line}</div>`)("div").first().text()));
+    const tracks = lines.map((line) => line.replace(/^\d+\s*[.、]\s*/, "")).filter(Boolean);
+    return tracks.length ? tracks.join("\n") : undefined;
+}
+
+function withoutEmpty(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== ""));
+}
+
+/**
+ * Fields of a subject page, for the type the subject is synced into. Only fields
+ * found on the page are returned.
+ * @param {string} html
+ * @param {{ dataType: "books" | "movies" | "series" | "music" }} options
+ * @returns {Object}
+ */
+export function parseSubjectPage(html, { dataType }) {
+    const $ = load(html);
+    const info = parseInfo($);
+
+    if (dataType === "books") {
+        return withoutEmpty({
+            author: joinNames(info["作者"]),
+            publisher: cleanText(info["出版社"]) || undefined,
+            year: extractYear(info["出版年"]),
+            pages: firstNumber(info["页数"]),
+            isbn: cleanText(info.ISBN) || undefined,
+        });
+    }
+
+    if (dataType === "music") {
+        return withoutEmpty({
+            artist: joinNames(info["表演者"]),
+            genre: cleanText(info["流派"]) || undefined,
+            label: cleanText(info["出版者"]) || undefined,
+            year: extractYear(info["发行时间"]),
+            tracks: parseTracks($),
+        });
+    }
+
+    if (dataType === "movies" || dataType === "series") {
+        const genres = $("#info [property='v:genre']")
+            .toArray()
+            .map((node) => cleanText($(node).text()));
+        return withoutEmpty({
+            director: joinNames(info["导演"]),
+            cast: joinNames(info["主演"], MAX_CAST),
+            country: joinNames(info["制片国家/地区"]),
+            genre: genres.length ? genres.join(" / ") : joinNames(info["类型"]),
+            year: extractYear(info["上映日期"] || info["首播"]),
+            runtime: firstNumber(dataType === "series" ? info["单集片长"] || info["片长"] : info["片长"]),
+            ...(dataType === "series" && { episodes: firstNumber(info["集数"]) }),
+        });
+    }
+
+    throw new Error(`Unknown Douban data type: ${dataType}`);
+}
+
+/**
+ * Parsed subject pages, keyed by subject URL.
+ * @param {Object} options
+ * @param {string} options.file
+ */
+export function createSubjectCache({ file }) {
+    const store = createJsonFileStore({ file });
+
+    return {
+        /** @returns {Promise<Object<string, { fetchedAt: string, fields: Object }>>} */
+        read: () => store.read(),
+
+        /** @param {Object<string, { fetchedAt: string, fields: Object }>} subjects - Added to the cache */
+        save(subjects) {
+            if (!Object.keys(subjects).length) return Promise.resolve();
+            return store.update((data) => {
+                Object.assign(data, subjects);
+            });
+        },
+    };
+}
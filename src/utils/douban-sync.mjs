@@ -1,16 +1,23 @@
 import { load } from "cheerio";
 import { createHash } from "crypto";
-import { access, mkdir, readFile, writeFile } from "fs/promises";
+import { access, mkdir, writeFile } from "fs/promises";
 import { join } from "path";
+import { createBatchId, diffItem, lastEditTimes } from "./change-journal.mjs";
+import { recordCoverSource } from "./covers.mjs";
+import { createDataStore } from "./data-store.mjs";
+import { createDoubanClient } from "./douban-http.mjs";
+import { parseSubjectPage } from "./douban-subject.mjs";
+import { createIdSession } from "./item-ids.mjs";
+import { MEDIA_TYPES } from "./media-types.mjs";
+import { DEFAULT_MERGE_POLICIES, applyMergePolicies, trackedFields } from "./merge-policy.mjs";
 
 const DEFAULT_DELAY_MS = 2500;
 const PAGE_LIMIT = 200;
+const DEFAULT_ENRICH_LIMIT = 100;
 
-const DATA_TYPES = ["books", "movies", "series", "music"];
-
+// Douban categories; other registered media types are left alone by the sync
 const TYPE_CONFIG = {
     books: {
-        idPrefix: "book",
         origin: "https://book.douban.com",
         domain: "book",
         statuses: [
@@ -20,7 +27,6 @@ const TYPE_CONFIG = {
         ],
     },
     movies: {
-        idPrefix: "movie",
         origin: "https://movie.douban.com",
         domain: "movie",
         doubanType: "movie",
@@ -32,7 +38,6 @@ const TYPE_CONFIG = {
         ],
     },
     series: {
-        idPrefix: "series",
         origin: "https://movie.douban.com",
         domain: "movie",
         doubanType: "tv",
@@ -44,7 +49,6 @@ const TYPE_CONFIG = {
         ],
     },
     music: {
-        idPrefix: "music",
         origin: "https://music.douban.com",
         domain: "music",
         statuses: [
@@ -55,6 +59,11 @@ const TYPE_CONFIG = {
     },
 };
 
+const DATA_TYPES = Object.keys(TYPE_CONFIG);
+
+/** What happens to synced items that are no longer on Douban; see mergeSyncedEntries */
+export const REMOVED_POLICIES = ["ignore", "flag", "delete"];
+
 const KNOWN_COUNTRIES = [
     "中国大陆",
     "中国香港",
@@ -114,11 +123,6 @@ const KNOWN_GENRES = [
     "黑色电影",
 ];
 
-function sleep(ms) {
-    if (!ms) return Promise.resolve();
-    return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 function cleanText(value) {
     return String(value || "")
         .replace(/\s+/g, " ")
@@ -156,7 +160,7 @@ function extractDoubanId(url) {
     return match?.[1] || "";
 }
 
-function normalizeTitle(value) {
+export function normalizeTitle(value) {
     return cleanText(value)
         .normalize("NFKC")
         .toLowerCase()
@@ -369,71 +373,91 @@ export function parseCollectionPage(html, { dataType, status }) {
     };
 }
 
-async function fetchHtml(url, { cookie } = {}) {
-    const headers = {
-        "User-Agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36",
-        Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-        "Accept-Language": "zh-CN,zh;q=0.9,en;q=0.7",
-        Referer: "https://www.douban.com/",
-    };
-    if (cookie) headers.Cookie = cookie;
-
-    const response = await fetch(url, {
-        headers,
-        signal: AbortSignal.timeout(30000),
-    });
-
-    if (response.status === 403) {
-        throw new Error(`Douban blocked the request for ${url}; provide a logged-in Douban Cookie`);
-    }
-
-    if (!response.ok) {
-        throw new Error(`HTTP ${response.status} while fetching ${url}`);
-    }
+function checkpointMark(item) {
+    return item.addedDate ? { doubanId: item.doubanId, addedDate: item.addedDate } : { doubanId: item.doubanId };
+}
 
-    const html = await response.text();
-    if (
-        response.url.includes("sec.douban.com") ||
-        /403 Forbidden|检测到有异常请求|sec\.douban\.com|请点击下方按钮继续浏览/.test(html)
-    ) {
-        throw new Error(`Douban blocked the request for ${url}; provide a logged-in Douban Cookie`);
-    }
-    return html;
+// Lists are sorted newest first: the walk stops at the marked item, or at the
+// first older one when the marked item has since left the list
+function reachedMark(item, mark) {
+    if (!mark) return false;
+    if (item.doubanId === mark.doubanId) return true;
+    return Boolean(item.addedDate && mark.addedDate && item.addedDate < mark.addedDate);
 }
 
-async function fetchCollection({ userId, dataType, statusConfig, delayMs, cookie }) {
+/**
+ * Fetch one status list. With a checkpoint, paging stops at the newest item of the
+ * previous sync, then walks the pages an interrupted sync left out (checkpoint.resume).
+ * A failing page ends the walk without losing the pages before it: the returned
+ * checkpoint records where the next sync resumes, along with the error.
+ * `complete` is true when every page of the list was read, from the first to the last.
+ * @returns {Promise<{ items: Object[], complete: boolean, checkpoint?: Object, error?: Error }>}
+ */
+async function fetchCollection({ userId, dataType, statusConfig, client, signal, onPage, checkpoint }) {
     const config = TYPE_CONFIG[dataType];
-    const collected = [];
-    const seenUrls = new Set();
-    let currentUrl = buildCollectionUrl(config, userId, statusConfig.path, 0);
+    const items = [];
+    const seenIds = new Set();
     let pageCount = 0;
+    let newest;
 
-    while (currentUrl && !seenUrls.has(currentUrl) && pageCount < PAGE_LIMIT) {
-        seenUrls.add(currentUrl);
-        const html = await fetchHtml(currentUrl, { cookie });
-        const page = parseCollectionPage(html, {
-            dataType,
-            status: statusConfig.status,
-        });
-        collected.push(...page.items);
-        pageCount += 1;
+    async function walk(startUrl, stopAt, { head = false } = {}) {
+        const seenUrls = new Set();
+        let currentUrl = startUrl;
 
-        if (!page.nextUrl) break;
-        currentUrl = page.nextUrl;
-        await sleep(delayMs);
+        while (currentUrl && !seenUrls.has(currentUrl) && pageCount < PAGE_LIMIT) {
+            seenUrls.add(currentUrl);
+            let page;
+            try {
+                const html = await client.fetchHtml(currentUrl, { signal });
+                page = parseCollectionPage(html, {
+                    dataType,
+                    status: statusConfig.status,
+                });
+            } catch (error) {
+                if (signal?.aborted) throw signal.reason;
+                return { failedUrl: currentUrl, error };
+            }
+            pageCount += 1;
+            if (head && !newest) newest = page.items[0];
+
+            const stopIndex = page.items.findIndex((item) => reachedMark(item, stopAt));
+            const fresh = (stopIndex === -1 ? page.items : page.items.slice(0, stopIndex)).filter(
+                (item) => !seenIds.has(item.doubanId),
+            );
+            for (const item of fresh) seenIds.add(item.doubanId);
+            items.push(...fresh);
+            onPage?.({ page: pageCount, items: fresh.length });
+
+            if (stopIndex !== -1 || !page.nextUrl) return {};
+            currentUrl = page.nextUrl;
+        }
+        return { truncated: pageCount >= PAGE_LIMIT };
     }
 
-    return collected;
-}
-
-function generateId(type, items) {
-    const prefix = TYPE_CONFIG[type].idPrefix;
-    const maxId = items.reduce((max, item) => {
-        const match = item.id?.match(new RegExp(`^${prefix}-(\\d+)$`));
-        return match ? Math.max(max, Number(match[1])) : max;
-    }, 0);
-    return `${prefix}-${maxId + 1}`;
+    const previousMark = checkpoint && checkpointMark(checkpoint);
+    const gap = checkpoint?.resume;
+    const top = await walk(buildCollectionUrl(config, userId, statusConfig.path, 0), previousMark, { head: true });
+    const rest = !top.error && gap ? await walk(gap.url, gap.stopAt) : {};
+    const error = top.error || rest.error;
+    const complete = !previousMark && !error && !top.truncated;
+
+    // Nothing fetched, or an empty list: the checkpoint stays as it was
+    const mark = newest ? checkpointMark(newest) : previousMark;
+    if (!pageCount || !mark) return { items, complete, checkpoint, error };
+
+    let resume;
+    if (top.error) {
+        // The new pages and the old gap become one gap, down to the oldest unsynced item
+        resume = { url: top.failedUrl, stopAt: gap ? gap.stopAt : previousMark || null };
+    } else if (rest.error) {
+        resume = { url: rest.failedUrl, stopAt: gap.stopAt };
+    }
+    return {
+        items,
+        complete,
+        checkpoint: { ...mark, syncedAt: new Date().toISOString(), ...(resume ? { resume } : {}) },
+        error,
+    };
 }
 
 function isEmptyValue(value) {
@@ -468,20 +492,30 @@ function creatorTokens(value) {
         .filter((part) => part.length >= 2);
 }
 
+/** Whether two creator lists ("A / B", "A、B") share a name, after normalizeTitle */
+export function creatorsOverlap(left, right) {
+    const leftTokens = creatorTokens(left);
+    const rightTokens = creatorTokens(right);
+    return leftTokens.some((token) => rightTokens.includes(token));
+}
+
 function bookAuthorsCompatible(item, incoming) {
     if (!item.author || !incoming.author) return false;
-    const itemAuthors = creatorTokens(item.author);
-    const incomingAuthors = creatorTokens(incoming.author);
-    return itemAuthors.some((author) => incomingAuthors.includes(author));
+    return creatorsOverlap(item.author, incoming.author);
 }
 
+// A title only matches inside a longer one from this many characters, and this share
+// of the longer one's length, on
+const TITLE_VARIANT_MIN_LENGTH = 10;
+const TITLE_VARIANT_MIN_RATIO = 0.62;
+
 function titleVariantsMatch(left, right) {
     if (!left || !right) return false;
     if (left === right) return true;
 
     const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
-    if (shorter.length < 10) return false;
-    if (shorter.length / longer.length < 0.62) return false;
+    if (shorter.length < TITLE_VARIANT_MIN_LENGTH) return false;
+    if (shorter.length / longer.length < TITLE_VARIANT_MIN_RATIO) return false;
 
     return longer.includes(shorter);
 }
@@ -543,6 +577,8 @@ function sameTitle(item, incoming) {
 
 function sameTitleMetadataCompatible(item, incoming) {
     if (bookAuthorsCompatible(item, incoming)) return true;
+    // Albums by different artists often share a title ("Greatest Hits", "Live")
+    if (item.artist && incoming.artist && !creatorsOverlap(item.artist, incoming.artist)) return false;
     return yearsCompatible(item.year, incoming.year);
 }
 
@@ -550,6 +586,30 @@ function hasConflictingDoubanIdentity(item, incoming) {
     return Boolean(item.doubanId && incoming.doubanId && item.doubanId !== incoming.doubanId);
 }
 
+/**
+ * ISBN-10 or ISBN-13 (with or without hyphens) as ISBN-13, or "" when the check digit is wrong.
+ */
+export function normalizeIsbn(value) {
+    const digits = String(value || "").toUpperCase().replace(/[^0-9X]/g, "");
+    if (/^\d{9}[\dX]$/.test(digits)) {
+        const sum10 = [...digits].reduce((sum, char, index) => sum + (char === "X" ? 10 : Number(char)) * (10 - index), 0);
+        if (sum10 % 11 !== 0) return "";
+        const body = `978${digits.slice(0, 9)}`;
+        const sum = [...body].reduce((total, char, index) => total + Number(char) * (index % 2 ? 3 : 1), 0);
+        return `${body}${(10 - (sum % 10)) % 10}`;
+    }
+    if (/^\d{13}$/.test(digits)) {
+        const sum = [...digits].reduce((total, char, index) => total + Number(char) * (index % 2 ? 3 : 1), 0);
+        return sum % 10 === 0 ? digits : "";
+    }
+    return "";
+}
+
+function sameIsbn(item, incoming) {
+    const isbn = normalizeIsbn(incoming.isbn);
+    return Boolean(isbn && normalizeIsbn(item.isbn) === isbn);
+}
+
 function hasSameDoubanIdentity(item, incoming) {
     if (incoming.doubanId && item.doubanId === incoming.doubanId) return true;
     if (incoming.doubanUrl && item.doubanUrl === incoming.doubanUrl) return true;
@@ -572,12 +632,23 @@ function isLikelyTranslatedDuplicate(item, incoming, { ignoreType = false } = {}
     return hasChineseTitle(item.title) !== hasChineseTitle(incoming.title);
 }
 
-function findMatchingIndex(items, incoming) {
-    const exactIndex = items.findIndex((item) => hasSameDoubanIdentity(item, incoming));
+/**
+ * Index of the item `incoming` is the same work as, or -1. Items for which `skip(item)`
+ * is true are never matched (pairs kept apart on purpose).
+ */
+export function findMatchingIndex(items, incoming, { skip } = {}) {
+    const usable = (item) => !skip?.(item);
+    const exactIndex = items.findIndex((item) => usable(item) && hasSameDoubanIdentity(item, incoming));
     if (exactIndex !== -1) return exactIndex;
 
+    const isbnIndex = items.findIndex(
+        (item) => usable(item) && !hasConflictingDoubanIdentity(item, incoming) && sameIsbn(item, incoming),
+    );
+    if (isbnIndex !== -1) return isbnIndex;
+
     const titleIndex = items.findIndex(
         (item) =>
+            usable(item) &&
             !hasConflictingDoubanIdentity(item, incoming) &&
             fuzzyMatchMetadataCompatible(item, incoming) &&
             sameTitle(item, incoming) &&
@@ -587,6 +658,7 @@ function findMatchingIndex(items, incoming) {
 
     const coverIndex = items.findIndex(
         (item) =>
+            usable(item) &&
             !hasConflictingDoubanIdentity(item, incoming) &&
             fuzzyMatchMetadataCompatible(item, incoming) &&
             sameCoverImage(item, incoming) &&
@@ -598,11 +670,83 @@ function findMatchingIndex(items, incoming) {
 
     const translatedMatches = items
         .map((item, index) => ({ item, index }))
-        .filter(({ item }) => isLikelyTranslatedDuplicate(item, incoming));
+        .filter(({ item }) => usable(item) && isLikelyTranslatedDuplicate(item, incoming));
 
     return translatedMatches.length === 1 ? translatedMatches[0].index : -1;
 }
 
+/** How sure each duplicate rule is, from 0 to 1; see duplicateRules */
+export const DUPLICATE_RULES = {
+    "douban-id": 1,
+    isbn: 0.95,
+    title: 0.75,
+    cover: 0.6,
+    translated: 0.4,
+};
+
+/**
+ * The rules under which two items look like the same work, by the same tests as
+ * findMatchingIndex and the movie/series dedupe (`crossType`), but each one reported
+ * instead of stopping at the first: "douban-id", "isbn", "title", "cover", "translated".
+ */
+export function duplicateRules(item, other, { crossType = false } = {}) {
+    const rules = [];
+    if (hasSameDoubanIdentity(item, other) || hasSameDoubanIdentity(other, item)) rules.push("douban-id");
+    if (hasConflictingDoubanIdentity(item, other)) return rules;
+    if (sameIsbn(item, other)) rules.push("isbn");
+
+    const compatible = fuzzyMatchMetadataCompatible(item, other, { ignoreType: crossType });
+    const detailsCompatible =
+        yearsCompatible(item.year, other.year) &&
+        ratingsCompatible(item.rating, other.rating) &&
+        countriesCompatible(item.country, other.country);
+    if (crossType) {
+        if (compatible && detailsCompatible && sameTitle(item, other) && sameAddedDate(item, other)) rules.push("title");
+    } else if (compatible && sameTitle(item, other) && sameTitleMetadataCompatible(item, other)) {
+        rules.push("title");
+    }
+    if (compatible && detailsCompatible && sameCoverImage(item, other)) rules.push("cover");
+    if (isLikelyTranslatedDuplicate(item, other, { ignoreType: crossType })) rules.push("translated");
+    return rules;
+}
+
+/**
+ * Keys two items always share when duplicateRules fires for them, "translated" aside
+ * (see translationKey): the Douban subject, ISBN, title (and the parts of it a shorter
+ * title has to be to match it, see titleVariantsMatch) and poster. Comparing only the
+ * items that share a key finds the same pairs as comparing them all.
+ */
+export function duplicateKeys(item) {
+    const keys = new Set();
+    if (item.doubanId) keys.add(`douban:${item.doubanId}`);
+    if (item.doubanUrl) keys.add(`url:${item.doubanUrl}`);
+    const isbn = normalizeIsbn(item.isbn);
+    if (isbn) keys.add(`isbn:${isbn}`);
+    for (const title of titleMatchKeys(item)) {
+        keys.add(`title:${title}`);
+        for (
+            let length = title.length - 1;
+            length >= TITLE_VARIANT_MIN_LENGTH && length / title.length >= TITLE_VARIANT_MIN_RATIO;
+            length -= 1
+        ) {
+            for (let start = 0; start + length <= title.length; start += 1) keys.add(`title:${title.slice(start, start + length)}`);
+        }
+    }
+    const cover = coverImageKey(item.cover);
+    if (cover) keys.add(`cover:${cover}`);
+    return [...keys];
+}
+
+/**
+ * What the "translated" rule needs two items to share, the mark date, and the side of
+ * it the item is on: only a Chinese title and a title in another language pair up.
+ * @returns {{ key: string, chinese: boolean } | undefined} undefined when the rule never fires for the item
+ */
+export function translationKey(item) {
+    if (!item.addedDate || isWantedStatus(item.status)) return undefined;
+    return { key: item.addedDate, chinese: hasChineseTitle(item.title) };
+}
+
 function preferIncomingTitle(target, incoming) {
     return !hasChineseTitle(target.title) && hasChineseTitle(incoming.title);
 }
@@ -636,8 +780,9 @@ function fillMissingFields(target, incoming) {
 }
 
 function comparePreferredItem(candidate, current) {
-    const candidateManual = candidate.source !== "douban";
-    const currentManual = current.source !== "douban";
+    // Items added by hand win over synced or imported copies
+    const candidateManual = !candidate.source || candidate.source === "manual";
+    const currentManual = !current.source || current.source === "manual";
     if (candidateManual !== currentManual) return candidateManual ? -1 : 1;
 
     const candidatePublic = !isWantedStatus(candidate.status);
@@ -655,30 +800,41 @@ function comparePreferredItem(candidate, current) {
     return 0;
 }
 
-function dedupeItems(items) {
+// The kept item takes the removed one's values for its empty fields
+function mergeDuplicate(type, kept, removed, keptType = type, removedType = type) {
+    const before = structuredClone(kept);
+    fillMissingFields(kept, removed);
+    return {
+        type: keptType,
+        kept: { type: keptType, id: kept.id, title: kept.title },
+        removed: { type: removedType, id: removed.id, title: removed.title },
+        fields: diffItem(before, kept),
+    };
+}
+
+function dedupeItems(type, items, keepApart) {
     const result = [];
-    let removed = 0;
+    const merges = [];
 
     for (const item of items) {
         const incoming = structuredClone(item);
-        const matchIndex = findMatchingIndex(result, incoming);
+        const matchIndex = findMatchingIndex(result, incoming, { skip: keepApart && ((current) => keepApart(current, incoming)) });
 
         if (matchIndex === -1) {
             result.push(incoming);
             continue;
         }
 
-        removed += 1;
         const current = result[matchIndex];
         if (comparePreferredItem(incoming, current) < 0) {
-            fillMissingFields(incoming, current);
+            merges.push(mergeDuplicate(type, incoming, current));
             result[matchIndex] = incoming;
         } else {
-            fillMissingFields(current, incoming);
+            merges.push(mergeDuplicate(type, current, incoming));
         }
     }
 
-    return { items: result, removed };
+    return { items: result, removed: merges.length, merges };
 }
 
 function sameAddedDate(item, incoming) {
@@ -698,53 +854,62 @@ function isCrossTypeVideoDuplicate(item, incoming) {
     return isLikelyTranslatedDuplicate(item, incoming, { ignoreType: true });
 }
 
-function dedupeVideoCrossType(data) {
+function dedupeVideoCrossType(data, keepApart) {
     let removedMovies = 0;
     let removedSeries = 0;
+    const merges = [];
 
     for (let seriesIndex = 0; seriesIndex < data.series.length; seriesIndex += 1) {
         const seriesItem = data.series[seriesIndex];
-        const movieIndex = data.movies.findIndex((movieItem) => isCrossTypeVideoDuplicate(movieItem, seriesItem));
+        const movieIndex = data.movies.findIndex(
+            (movieItem) => isCrossTypeVideoDuplicate(movieItem, seriesItem) && !keepApart?.(movieItem, seriesItem),
+        );
         if (movieIndex === -1) continue;
 
         const movieItem = data.movies[movieIndex];
         if (comparePreferredItem(seriesItem, movieItem) < 0) {
-            fillMissingFields(seriesItem, movieItem);
-            data.series[seriesIndex] = seriesItem;
+            merges.push(mergeDuplicate("series", seriesItem, movieItem, "series", "movies"));
             data.movies.splice(movieIndex, 1);
             removedMovies += 1;
         } else {
-            fillMissingFields(movieItem, seriesItem);
-            data.movies[movieIndex] = movieItem;
+            merges.push(mergeDuplicate("movies", movieItem, seriesItem, "movies", "series"));
             data.series.splice(seriesIndex, 1);
             seriesIndex -= 1;
             removedSeries += 1;
         }
     }
 
-    return { movies: removedMovies, series: removedSeries };
+    return { movies: removedMovies, series: removedSeries, merges };
 }
 
-export function dedupeCollectionData(collectionData, dataTypes) {
+/**
+ * Merge duplicates within each type (and between movies and series). Each merge is listed
+ * with the item kept, the one removed and the fields the kept one took over.
+ * `keepApart(a, b)` returning true stops a pair from being merged.
+ */
+export function dedupeCollectionData(collectionData, dataTypes, { keepApart } = {}) {
     const selectedDataTypes = normalizeDataTypes(dataTypes);
     const data = Object.fromEntries(
         DATA_TYPES.map((type) => [type, Array.isArray(collectionData[type]) ? structuredClone(collectionData[type]) : []]),
     );
     const summary = Object.fromEntries(DATA_TYPES.map((type) => [type, { removed: 0 }]));
+    const merges = [];
 
     for (const type of selectedDataTypes) {
-        const { items, removed } = dedupeItems(data[type]);
-        data[type] = items;
-        summary[type] = { removed };
+        const result = dedupeItems(type, data[type], keepApart);
+        data[type] = result.items;
+        summary[type] = { removed: result.removed };
+        merges.push(...result.merges);
     }
 
     if (selectedDataTypes.includes("movies") && selectedDataTypes.includes("series")) {
-        const removed = dedupeVideoCrossType(data);
+        const removed = dedupeVideoCrossType(data, keepApart);
         summary.movies.removed += removed.movies;
         summary.series.removed += removed.series;
+        merges.push(...removed.merges);
     }
 
-    return { data, summary };
+    return { data, summary, merges };
 }
 
 function normalizeDataTypes(dataTypes) {
@@ -790,7 +955,7 @@ function coverExtension(url, contentType) {
     return ".jpg";
 }
 
-async function downloadCover(coverUrl, doubanId, coversDir, cookie) {
+async function downloadCover(coverUrl, doubanId, coversDir, client) {
     if (!coverUrl || !/^https?:\/\//.test(coverUrl)) return coverUrl;
 
     const hash = createHash("sha1").update(coverUrl).digest("hex").slice(0, 8);
@@ -798,51 +963,156 @@ async function downloadCover(coverUrl, doubanId, coversDir, cookie) {
 
     await mkdir(coversDir, { recursive: true });
 
-    const headers = {
-        "User-Agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36",
-        Referer: "https://www.douban.com/",
-    };
-    if (cookie) headers.Cookie = cookie;
-
-    const response = await fetch(coverUrl, {
-        headers,
-        signal: AbortSignal.timeout(30000),
-    });
-    if (!response.ok) throw new Error(`HTTP ${response.status} while downloading cover`);
-
-    const contentType = response.headers.get("content-type") || "";
-    const ext = coverExtension(coverUrl, contentType);
-    const filename = `${provisionalName}${ext}`;
-    const filePath = join(coversDir, filename);
-
-    if (!(await fileExists(filePath))) {
-        const buffer = Buffer.from(await response.arrayBuffer());
-        await writeFile(filePath, buffer);
+    // Downloaded before, e.g. by a sync that failed or was cancelled before its write
+    let filename;
+    for (const ext of [".jpg", ".png", ".webp", ".gif"]) {
+        if (await fileExists(join(coversDir, `${provisionalName}${ext}`))) {
+            filename = `${provisionalName}${ext}`;
+            break;
+        }
     }
+    if (!filename) {
+        const { body, contentType } = await client.fetchBinary(coverUrl);
+        filename = `${provisionalName}${coverExtension(coverUrl, contentType)}`;
+        await writeFile(join(coversDir, filename), body);
+    }
+    await recordCoverSource(coversDir, filename, coverUrl);
 
     return `/covers/${filename}`;
 }
 
-async function localizeCover(entry, coversDir, cookie, failures) {
+function coverFailure(entry, error) {
+    return {
+        type: "cover",
+        title: entry.title,
+        doubanUrl: entry.doubanUrl,
+        message: error.message,
+    };
+}
+
+async function localizeCover(entry, coversDir, client, failures) {
     if (!entry.cover || entry.cover.startsWith("/covers/")) return entry;
     try {
         return {
             ...entry,
-            cover: await downloadCover(entry.cover, entry.doubanId, coversDir, cookie),
+            cover: await downloadCover(entry.cover, entry.doubanId, coversDir, client),
         };
     } catch (error) {
-        failures.push({
-            type: "cover",
-            title: entry.title,
-            doubanUrl: entry.doubanUrl,
-            message: error.message,
-        });
+        failures.push(coverFailure(entry, error));
+        return entry;
+    }
+}
+
+// The cover a download made beforehand (downloadPlannedCovers) for an entry
+function predownloadedCover(entry, covers, failures) {
+    const local = covers.get(entry.cover);
+    if (local instanceof Error) {
+        failures.push(coverFailure(entry, local));
         return entry;
     }
+    return local ? { ...entry, cover: local } : entry;
 }
 
-export async function mergeSyncedEntries(existingData, syncedEntries, { coversDir, cookie, dedupeDataTypes } = {}) {
+/**
+ * Download the covers a plan (the `changes` of a dry run merge) would download, so the
+ * merge that writes the data files does not wait on Douban while holding their locks.
+ * @returns {Promise<Map<string, string | Error>>} Remote URL -> local path, or why the download failed
+ */
+async function downloadPlannedCovers(entries, changes, { coversDir, client, approve, signal }) {
+    const planned = new Set(
+        changes.filter((change) => change.action === "cover" && (!approve || approve.has(change.id))).map((change) => change.id),
+    );
+    const covers = new Map();
+    for (const [type, list] of Object.entries(entries)) {
+        for (const entry of list || []) {
+            if (!planned.has(`cover:${entryKey(type, entry)}`) || covers.has(entry.cover)) continue;
+            signal?.throwIfAborted();
+            try {
+                covers.set(entry.cover, await downloadCover(entry.cover, entry.doubanId, coversDir, client));
+            } catch (error) {
+                covers.set(entry.cover, error);
+            }
+        }
+    }
+    return covers;
+}
+
+function isRemoteCover(value) {
+    return /^https?:\/\//.test(String(value || ""));
+}
+
+// Names a fetched entry in a sync plan, the same way on every merge of the same entries
+function entryKey(type, entry) {
+    return `${type}:${entry.doubanId || entry.doubanUrl || entry.isbn || normalizeTitle(entry.title)}`;
+}
+
+function mergeChangeId(left, right) {
+    return `merge:${[left, right].sort().join("|")}`;
+}
+
+/**
+ * Merge fetched or imported entries into the collections: a matching item only has
+ * its empty fields filled, anything else is added. `matchStatus: false` ignores the
+ * status when matching, for sources whose status is a guess (listening history).
+ * An aborted `signal` stops the merge with its reason; nothing is returned to write.
+ *
+ * Every change is listed in `changes` with an id that stays the same when the same
+ * entries are merged again: `add:<key>`, `update:<key>` (with the fields it fills),
+ * `cover:<key>` (a cover download) and `merge:<a>|<b>` (duplicates merged afterwards).
+ * Covers are downloaded through `client` (createDoubanClient), by default a client
+ * sending `cookie` through `fetchImpl`, unless `covers` (remote URL -> local path, or
+ * the download's Error) has them downloaded already; covers missing from it stay remote.
+ * `dryRun` plans cover downloads instead of making them. With `approve` (a Set of
+ * change ids) everything else is left out: entries are not added or updated, covers
+ * keep their remote URL and duplicates stay apart.
+ *
+ * With `policies` (see merge-policy.mjs) matched items can also have local values
+ * replaced; `imported` (doubanId -> values of the last import) and `editedAt`
+ * (itemId -> field -> time of the last local edit) tell local edits apart. Replaced
+ * fields are listed in `overwritten`, and `imported` in the result holds the values
+ * to remember for the next sync. `refresh(item, entry)` replaces the fields a source
+ * owns on a matched item and returns them like applyMergePolicies does.
+ *
+ * `completeTypes` names the types whose Douban lists were fetched in full. Items of
+ * those types with `source: "douban"` that none of the entries match any more are
+ * listed in `missing` and handled by `removedPolicy` (REMOVED_POLICIES): "ignore"
+ * only reports them, "flag" sets their `orphanedAt` (`orphan:<id>` changes) and
+ * "delete" removes them (`remove:<id>`). Items edited locally (see `editedAt`) are
+ * flagged rather than removed. A flagged item that shows up again is unflagged.
+ *
+ * Duplicate review decisions (duplicate-review.mjs) come in as `keepApart(a, b)`, true
+ * for pairs never to merge, and `mergedInto` (doubanId -> id of the item a duplicate
+ * with that Douban subject was merged into): such entries update that item, or are
+ * skipped when it is of another type, instead of bringing the duplicate back.
+ *
+ * New items get their ids from `ids`, the data store's id session when writing; the
+ * items merged away by the dedupe are recorded in it as aliases of the ones kept.
+ */
+export async function mergeSyncedEntries(
+    existingData,
+    syncedEntries,
+    {
+        coversDir,
+        cookie,
+        fetchImpl,
+        client = createDoubanClient({ cookie, fetchImpl }),
+        covers,
+        dedupeDataTypes,
+        matchStatus = true,
+        dryRun = false,
+        approve,
+        policies,
+        refresh,
+        imported = {},
+        editedAt = {},
+        completeTypes = [],
+        removedPolicy = "ignore",
+        keepApart,
+        mergedInto = {},
+        ids = createIdSession(),
+        signal,
+    } = {},
+) {
     const nextData = Object.fromEntries(
         DATA_TYPES.map((type) => [type, Array.isArray(existingData[type]) ? structuredClone(existingData[type]) : []]),
     );
@@ -850,32 +1120,102 @@ export async function mergeSyncedEntries(existingData, syncedEntries, { coversDi
         DATA_TYPES.map((type) => [type, { added: 0, updated: 0, skipped: 0, failed: 0 }]),
     );
     const failures = [];
+    const changes = [];
+    const overwritten = [];
+    const nextImported = {};
+    const tracked = policies ? trackedFields(policies) : [];
+    const approved = (changeId) => !approve || approve.has(changeId);
+    // Items added by this merge are named by their entry, since their ids are only assigned here
+    const addedKeys = new Map();
+    const itemKey = (item) => addedKeys.get(item.id) || item.id;
+
+    // The values a Douban entry was imported with, to spot local edits next time
+    const remember = (entry) => {
+        if (!tracked.length || !entry.doubanId) return;
+        nextImported[entry.doubanId] = Object.fromEntries(
+            tracked.filter((field) => !isEmptyValue(entry[field])).map((field) => [field, entry[field]]),
+        );
+    };
+
+    const withCover = async (type, entry, key, parentId) => {
+        if (!isRemoteCover(entry.cover)) return entry;
+        const changeId = `cover:${key}`;
+        changes.push({ id: changeId, action: "cover", type, key, title: entry.title, url: entry.cover, dependsOn: parentId });
+        if (dryRun || !approved(changeId)) return entry;
+        if (covers) return predownloadedCover(entry, covers, failures);
+        return localizeCover(entry, coversDir, client, failures);
+    };
 
     for (const type of DATA_TYPES) {
         const items = nextData[type];
         for (const rawEntry of syncedEntries[type] || []) {
-            const matchIndex = findMatchingIndex(items, rawEntry);
+            signal?.throwIfAborted();
+            const key = entryKey(type, rawEntry);
+            const mergedId = rawEntry.doubanId && mergedInto[rawEntry.doubanId];
+            const mergedIndex = mergedId ? items.findIndex((item) => item.id === mergedId) : -1;
+            // Merged into an item of another type, which stands for this entry from now on
+            if (mergedIndex === -1 && mergedId && DATA_TYPES.some((other) => nextData[other].some((item) => item.id === mergedId))) {
+                byType[type].skipped += 1;
+                continue;
+            }
+            const matchIndex =
+                mergedIndex !== -1
+                    ? mergedIndex
+                    : findMatchingIndex(items, matchStatus ? rawEntry : { ...rawEntry, status: undefined });
 
             if (matchIndex === -1) {
-                const entry = await localizeCover(rawEntry, coversDir, cookie, failures);
+                const changeId = `add:${key}`;
+                if (!approved(changeId)) {
+                    byType[type].skipped += 1;
+                    continue;
+                }
+                changes.push({ id: changeId, action: "add", type, key, title: rawEntry.title, item: rawEntry });
+                const entry = await withCover(type, rawEntry, key, changeId);
+                const id = ids.nextId(type, items);
                 items.unshift({
-                    id: generateId(type, items),
+                    id,
                     ...entry,
                 });
+                addedKeys.set(id, key);
+                remember(rawEntry);
                 byType[type].added += 1;
                 continue;
             }
 
             const existingItem = items[matchIndex];
-            const entry = isEmptyValue(existingItem.cover)
-                ? await localizeCover(rawEntry, coversDir, cookie, failures)
-                : rawEntry;
-            const changed = fillMissingFields(items[matchIndex], entry);
-            if (changed) {
-                byType[type].updated += 1;
-            } else {
+            const before = structuredClone(existingItem);
+            const policyOptions = { policies, imported: imported[rawEntry.doubanId], editedAt: editedAt[existingItem.id] };
+            const overwrite = (target) => [
+                ...(policies ? applyMergePolicies(target, rawEntry, policyOptions) : []),
+                ...(refresh ? refresh(target, rawEntry) : []),
+            ];
+            const trial = structuredClone(existingItem);
+            const revived = Boolean(existingItem.orphanedAt) && existingItem.doubanId === rawEntry.doubanId;
+            const wouldChange = fillMissingFields(trial, rawEntry) || revived;
+            const wouldOverwrite = overwrite(trial).length > 0;
+            const changeId = `update:${key}`;
+            if (!approved(changeId)) {
                 byType[type].skipped += 1;
+                continue;
             }
+            remember(rawEntry);
+            if (!wouldChange && !wouldOverwrite) {
+                byType[type].skipped += 1;
+                continue;
+            }
+
+            const change = { id: changeId, action: "update", type, key, itemId: itemKey(existingItem), title: existingItem.title };
+            changes.push(change);
+            const replaced = overwrite(existingItem);
+            if (revived) delete existingItem.orphanedAt;
+            const entry = isEmptyValue(existingItem.cover) ? await withCover(type, rawEntry, key, changeId) : rawEntry;
+            fillMissingFields(existingItem, entry);
+            change.fields = diffItem(before, existingItem);
+            if (replaced.length) {
+                change.overwritten = replaced.map((field) => field.field);
+                overwritten.push(...replaced.map((field) => ({ type, itemId: change.itemId, title: existingItem.title, ...field })));
+            }
+            byType[type].updated += 1;
         }
     }
 
@@ -886,17 +1226,60 @@ export async function mergeSyncedEntries(existingData, syncedEntries, { coversDi
         if (matchingType) byType[matchingType].failed += 1;
     }
 
-    const dedupeResult = dedupeCollectionData(nextData, dedupeDataTypes);
-
-    return { data: dedupeResult.data, byType, failures, deduped: dedupeResult.summary };
-}
+    const seenDoubanIds = new Set(DATA_TYPES.flatMap((type) => (syncedEntries[type] || []).map((entry) => entry.doubanId)));
+    const missing = [];
+    for (const type of completeTypes) {
+        nextData[type] = nextData[type].filter((item) => {
+            if (item.source !== "douban" || !item.doubanId || seenDoubanIds.has(item.doubanId)) return true;
+            const edited = Object.keys(editedAt[item.id] || {}).length > 0;
+            const report = { type, itemId: itemKey(item), title: item.title, doubanId: item.doubanId, status: item.status, edited };
+            missing.push(report);
+            report.action = "ignored";
+            if (removedPolicy === "ignore") return true;
+
+            const remove = removedPolicy === "delete" && !edited;
+            const changeId = `${remove ? "remove" : "orphan"}:${report.itemId}`;
+            if (!remove && item.orphanedAt) {
+                report.action = "flagged";
+                return true;
+            }
+            if (!approved(changeId)) return true;
+            changes.push({ id: changeId, action: remove ? "remove" : "orphan", type, itemId: report.itemId, title: item.title, edited });
+            report.action = remove ? "deleted" : "flagged";
+            if (remove) return false;
+            item.orphanedAt = new Date().toISOString().slice(0, 10);
+            return true;
+        });
+    }
 
-async function readJson(path) {
-    return JSON.parse(await readFile(path, "utf-8"));
-}
+    const dedupeResult = dedupeCollectionData(nextData, dedupeDataTypes, {
+        keepApart: (left, right) =>
+            !approved(mergeChangeId(itemKey(left), itemKey(right))) || Boolean(keepApart?.(left, right)),
+    });
+    for (const merge of dedupeResult.merges) {
+        const kept = itemKey(merge.kept);
+        const removed = itemKey(merge.removed);
+        if (!addedKeys.has(merge.removed.id)) ids.alias(merge.removed, merge.kept, "merged");
+        changes.push({
+            id: mergeChangeId(kept, removed),
+            action: "merge",
+            type: merge.type,
+            kept: { ...merge.kept, key: kept },
+            removed: { ...merge.removed, key: removed },
+            fields: merge.fields,
+        });
+    }
 
-async function writeJson(path, data) {
-    await writeFile(path, `${JSON.stringify(data, null, 2)}\n`, "utf-8");
+    return {
+        data: dedupeResult.data,
+        byType,
+        failures,
+        deduped: dedupeResult.summary,
+        changes,
+        overwritten,
+        imported: nextImported,
+        missing,
+    };
 }
 
 function summarize(byType) {
@@ -910,64 +1293,50 @@ function summarize(byType) {
     return totals;
 }
 
-export async function syncDoubanCollection({
-    userId,
-    dataTypes,
-    dataFiles,
-    coversDir,
-    delayMs = DEFAULT_DELAY_MS,
-    cookie,
-} = {}) {
-    if (!userId) {
-        const error = new Error("Douban user ID is required");
-        error.statusCode = 400;
-        throw error;
-    }
+async function fetchDoubanCollection({ userId, dataTypes, client, checkpoints, full, signal, report }) {
     const selectedDataTypes = normalizeDataTypes(dataTypes);
-
-    const existingData = {};
-    for (const type of DATA_TYPES) {
-        existingData[type] = await readJson(dataFiles[type]);
-    }
-
-    const syncedEntries = Object.fromEntries(DATA_TYPES.map((type) => [type, []]));
+    const entries = Object.fromEntries(DATA_TYPES.map((type) => [type, []]));
     const sourceFailures = [];
+    const fetched = Object.fromEntries(selectedDataTypes.map((type) => [type, 0]));
+    const savedCheckpoints = checkpoints && !full ? await checkpoints.read(userId) : {};
+    const nextCheckpoints = {};
+    const complete = [];
 
     for (const type of selectedDataTypes) {
         const config = TYPE_CONFIG[type];
+        let typeComplete = true;
         for (const statusConfig of config.statuses) {
-            try {
-                const entries = await fetchCollection({
-                    userId,
-                    dataType: type,
-                    statusConfig,
-                    delayMs,
-                    cookie,
-                });
-                syncedEntries[type].push(...entries);
-            } catch (error) {
-                sourceFailures.push({
+            const result = await fetchCollection({
+                userId,
+                dataType: type,
+                statusConfig,
+                client,
+                signal,
+                checkpoint: savedCheckpoints[type]?.[statusConfig.status],
+                onPage: ({ page, items }) => {
+                    fetched[type] += items;
+                    report({ phase: "fetch", type, status: statusConfig.status, page, fetched: { ...fetched } });
+                },
+            });
+            entries[type].push(...result.items);
+            typeComplete = typeComplete && result.complete;
+            if (result.checkpoint) {
+                nextCheckpoints[type] = { ...nextCheckpoints[type], [statusConfig.status]: result.checkpoint };
+            }
+            if (result.error) {
+                const failure = {
                     type,
                     status: statusConfig.status,
-                    message: error.message,
-                });
+                    message: result.error.message,
+                };
+                sourceFailures.push(failure);
+                report({ phase: "fetch", type, status: statusConfig.status, failure, fetched: { ...fetched } });
             }
-            await sleep(delayMs);
         }
+        if (typeComplete) complete.push(type);
     }
 
-    const mergeResult = await mergeSyncedEntries(existingData, syncedEntries, {
-        coversDir,
-        cookie,
-        dedupeDataTypes: selectedDataTypes,
-    });
-    const fetchedCount = Object.values(syncedEntries).reduce((total, entries) => total + entries.length, 0);
-
-    for (const type of selectedDataTypes) {
-        mergeResult.byType[type].failed += sourceFailures.filter((failure) => failure.type === type).length;
-    }
-
-    const totals = summarize(mergeResult.byType);
+    const fetchedCount = Object.values(entries).reduce((total, list) => total + list.length, 0);
     if (fetchedCount === 0 && sourceFailures.length > 0) {
         const error = new Error("Douban sync failed before any data could be imported");
         error.statusCode = 502;
@@ -975,16 +1344,288 @@ export async function syncDoubanCollection({
         throw error;
     }
 
-    for (const type of DATA_TYPES) {
-        await writeJson(dataFiles[type], mergeResult.data[type]);
+    return {
+        userId,
+        dataTypes: selectedDataTypes,
+        mode: selectedDataTypes.some((type) => savedCheckpoints[type]) ? "incremental" : "full",
+        entries,
+        // Types whose every status list was read to the end
+        complete,
+        failures: sourceFailures,
+        checkpoints: nextCheckpoints,
+    };
+}
+
+/**
+ * Fill the fetched entries in from their subject pages (parseSubjectPage): director,
+ * cast, runtime, ISBN, pages, publisher, label, tracks and the real country and genre.
+ * Pages in `subjectCache` are not fetched again; at most `limit` pages are fetched per
+ * run, and a blocked request ends the pass. The rest is left for the next sync.
+ */
+async function enrichFetchedEntries(fetched, { subjectCache, limit = DEFAULT_ENRICH_LIMIT, client, signal, report }) {
+    const cached = subjectCache ? await subjectCache.read() : {};
+    const fresh = {};
+    const pending = fetched.dataTypes.flatMap((type) =>
+        fetched.entries[type].flatMap((entry, index) => (entry.doubanUrl ? [{ type, index }] : [])),
+    );
+    const summary = { enriched: 0, requested: 0, remaining: 0 };
+
+    try {
+        for (const [position, { type, index }] of pending.entries()) {
+            signal?.throwIfAborted();
+            const entry = fetched.entries[type][index];
+            let subject = cached[entry.doubanUrl] || fresh[entry.doubanUrl];
+            if (!subject) {
+                if (summary.requested >= limit) {
+                    summary.remaining = pending.length - position;
+                    break;
+                }
+                summary.requested += 1;
+                try {
+                    const html = await client.fetchHtml(entry.doubanUrl, { signal });
+                    subject = { fetchedAt: new Date().toISOString(), fields: parseSubjectPage(html, { dataType: type }) };
+                    fresh[entry.doubanUrl] = subject;
+                } catch (error) {
+                    if (signal?.aborted) throw signal.reason;
+                    const failure = { type, title: entry.title, doubanUrl: entry.doubanUrl, message: error.message };
+                    fetched.failures.push(failure);
+                    report({ phase: "enrich", failure });
+                    if (!error.blocked) continue;
+                    summary.remaining = pending.length - position;
+                    break;
+                }
+            }
+            fetched.entries[type][index] = { ...entry, ...subject.fields };
+            summary.enriched += 1;
+            report({ phase: "enrich", type, enriched: summary.enriched, total: pending.length });
+        }
+    } finally {
+        // Pages fetched before a cancel or failure are kept for the next run
+        await subjectCache?.save(fresh);
     }
+    return summary;
+}
+
+// What mergeSyncedEntries needs to apply the merge policies
+async function policyOptions({ policies, importedValues, journal }) {
+    return {
+        policies,
+        imported: importedValues ? await importedValues.read() : {},
+        editedAt: journal ? lastEditTimes(await journal.list({ limit: Infinity })) : {},
+    };
+}
 
+function syncReport(fetched, mergeResult) {
+    for (const type of fetched.dataTypes) {
+        mergeResult.byType[type].failed += fetched.failures.filter((failure) => failure.type === type).length;
+    }
     return {
         success: true,
+        mode: fetched.mode,
         ...summarize(mergeResult.byType),
         byType: mergeResult.byType,
-        failed: summarize(mergeResult.byType).failed,
         deduped: mergeResult.deduped,
-        failures: [...sourceFailures, ...mergeResult.failures],
+        failures: [...fetched.failures, ...mergeResult.failures],
+        changes: mergeResult.changes,
+        overwritten: mergeResult.overwritten,
+        missing: mergeResult.missing,
+        ...(fetched.enrichment && { enrichment: fetched.enrichment }),
+        ...(fetched.http && { http: fetched.http }),
     };
 }
+
+/**
+ * Fetch the user's public collection pages and merge them into the data files.
+ * `onProgress` receives one event per fetched page ({ phase: "fetch", type, status, page,
+ * fetched }), failed status lists ({ phase: "fetch", failure }) and { phase: "merge" } before
+ * the write. Aborting `signal` stops the run with its reason; the data files are written in
+ * one final update, so a cancelled run changes nothing.
+ * With a `checkpoints` store (createSyncCheckpoints) each list is only paged up to the items
+ * the previous sync saw, and lists cut short by a block are resumed; `full` pages every list
+ * from the start again.
+ * `dryRun` writes nothing (no data, covers or checkpoints) and returns the planned
+ * `changes`, plus the `fetched` entries to pass to applyDoubanSync.
+ * `policies` decide which local values Douban's replace (DEFAULT_MERGE_POLICIES: status
+ * changes are applied); `importedValues` (createImportedValues) and the change `journal`
+ * tell local edits apart. Every replaced field is listed in `overwritten`.
+ * After a full fetch, synced items no longer on Douban are listed in `missing` and
+ * handled by `removedPolicy` (see mergeSyncedEntries).
+ * `enrich` fetches the subject page of each fetched entry for the details the lists
+ * leave out ({ phase: "enrich", enriched, total } events), through `subjectCache`
+ * (createSubjectCache) and at most `enrichLimit` requests; `result.enrichment` counts them.
+ * Pages are requested `delayMs` apart through createDoubanClient: transient failures are
+ * retried up to `retries` times and blocks slow the rest of the run down. With a
+ * `pageCache` (createPageCache) pages fetched by an earlier run are not requested again.
+ * `result.http` counts the requests. `fetchImpl` replaces the transport (fetch), e.g. to
+ * record or replay Douban's responses (douban-fixtures.mjs).
+ * With `duplicateDecisions` (createDuplicateDecisions) pairs marked "not a duplicate" are
+ * not merged and duplicates merged by hand stay merged.
+ */
+export async function syncDoubanCollection({
+    userId,
+    dataTypes,
+    dataStore,
+    dataFiles,
+    coversDir,
+    delayMs = DEFAULT_DELAY_MS,
+    cookie,
+    retries,
+    pageCache,
+    fetchImpl,
+    checkpoints,
+    full = false,
+    dryRun = false,
+    policies = DEFAULT_MERGE_POLICIES,
+    importedValues,
+    journal,
+    removedPolicy = "ignore",
+    duplicateDecisions,
+    enrich = false,
+    subjectCache,
+    enrichLimit,
+    signal,
+    onProgress,
+} = {}) {
+    if (!userId) {
+        const error = new Error("Douban user ID is required");
+        error.statusCode = 400;
+        throw error;
+    }
+    const store = dataStore || createDataStore({ dataFiles });
+    const report = (event) => onProgress?.(event);
+
+    const client = createDoubanClient({ cookie, delayMs, retries, cache: pageCache, fetchImpl });
+    const fetched = await fetchDoubanCollection({ userId, dataTypes, client, checkpoints, full, signal, report });
+    if (enrich) {
+        fetched.enrichment = await enrichFetchedEntries(fetched, { subjectCache, limit: enrichLimit, client, signal, report });
+    }
+    fetched.http = { ...client.stats, paceMs: client.paceMs };
+
+    if (dryRun) {
+        report({ phase: "plan" });
+        const mergeResult = await mergeSyncedEntries(await store.readAll(DATA_TYPES), fetched.entries, {
+            dedupeDataTypes: fetched.dataTypes,
+            dryRun: true,
+            ...(await policyOptions({ policies, importedValues, journal })),
+            completeTypes: fetched.complete,
+            removedPolicy,
+            ...(await duplicateDecisions?.hooks()),
+            signal,
+        });
+        return { ...syncReport(fetched, mergeResult), dryRun: true, fetched };
+    }
+
+    return applyDoubanSync({
+        fetched,
+        dataStore: store,
+        coversDir,
+        cookie,
+        fetchImpl,
+        checkpoints,
+        policies,
+        importedValues,
+        journal,
+        removedPolicy,
+        duplicateDecisions,
+        signal,
+        onProgress,
+    });
+}
+
+// The checkpoints of the lists whose planned changes were all approved. A list with a
+// change left out keeps its previous checkpoint, so the next sync pages through that
+// entry again and plans the change once more.
+function appliedCheckpoints(fetched, changes, approve) {
+    if (!approve) return fetched.checkpoints;
+    const leftOut = new Set(changes.filter((change) => change.key && !approve.has(change.id)).map((change) => change.key));
+    const partial = new Set();
+    for (const [type, list] of Object.entries(fetched.entries)) {
+        for (const entry of list) {
+            if (leftOut.has(entryKey(type, entry))) partial.add(`${type}/${entry.status}`);
+        }
+    }
+    return Object.fromEntries(
+        Object.entries(fetched.checkpoints).map(([type, statuses]) => [
+            type,
+            Object.fromEntries(Object.entries(statuses).filter(([status]) => !partial.has(`${type}/${status}`))),
+        ]),
+    );
+}
+
+/**
+ * Merge entries fetched by a dry run (its `fetched`) into the data files without
+ * fetching Douban again. With `approve` (change ids from the dry run's `changes`) only
+ * those changes are made; see mergeSyncedEntries. Covers are downloaded through
+ * `fetchImpl` before the data files are locked, and `duplicateDecisions` are respected,
+ * as in syncDoubanCollection. Checkpoints only move on for lists whose changes were
+ * all applied.
+ */
+export async function applyDoubanSync({
+    fetched,
+    approve,
+    dataStore,
+    dataFiles,
+    coversDir,
+    cookie,
+    fetchImpl,
+    checkpoints,
+    policies = DEFAULT_MERGE_POLICIES,
+    importedValues,
+    journal,
+    removedPolicy = "ignore",
+    duplicateDecisions,
+    signal,
+    onProgress,
+} = {}) {
+    const store = dataStore || createDataStore({ dataFiles });
+    const { userId } = fetched;
+    const mergeOptions = {
+        ...(await policyOptions({ policies, importedValues, journal })),
+        ...(await duplicateDecisions?.hooks()),
+    };
+
+    const approved = approve && new Set(approve);
+    const baseOptions = {
+        dedupeDataTypes: fetched.dataTypes,
+        approve: approved,
+        ...mergeOptions,
+        completeTypes: fetched.complete,
+        removedPolicy,
+        signal,
+    };
+
+    // Covers are downloaded first, outside the data files' locks: downloads are paced
+    // and retried, and admin edits would wait on them. The merge under the locks then
+    // only sets the cover fields.
+    onProgress?.({ phase: "merge" });
+    const plan = await mergeSyncedEntries(await store.readAll(DATA_TYPES), fetched.entries, {
+        ...baseOptions,
+        approve: undefined,
+        dryRun: true,
+    });
+    const covers = await downloadPlannedCovers(fetched.entries, plan.changes, {
+        coversDir,
+        client: createDoubanClient({ cookie, fetchImpl }),
+        approve: approved,
+        signal,
+    });
+
+    // Merge against the files as they are now, not as they were before the fetch,
+    // so admin edits saved during a long sync are kept.
+    const batchId = createBatchId();
+    const mergeResult = await store.updateMany(
+        DATA_TYPES,
+        async (data, ids) => {
+            const result = await mergeSyncedEntries(data, fetched.entries, { ...baseOptions, ids, covers });
+            for (const type of DATA_TYPES) data[type] = result.data[type];
+            return result;
+        },
+        { actor: `douban:${userId}`, source: "douban-sync", batchId },
+    );
+
+    // Only once the entries are written, or the next sync would skip them
+    await checkpoints?.save(userId, appliedCheckpoints(fetched, plan.changes, approved));
+    await importedValues?.save(mergeResult.imported);
+
+    return { ...syncReport(fetched, mergeResult), batchId };
+}
@@ -0,0 +1,228 @@
+/**
+ * Review queue for possible duplicates. The dedupe after every sync merges the pairs it
+ * is sure of by itself; this lists every pair a duplicate rule fires for (duplicateRules
+ * in douban-sync.mjs), with a confidence and the rules, to be merged field by field or
+ * marked "not a duplicate". The decisions are kept, and syncs, imports and dedupe runs
+ * are given them: a distinct pair is never merged, and a Douban subject whose duplicate
+ * was merged away updates the item it was merged into instead of coming back.
+ */
+
+import { createJsonFileStore } from "./data-store.mjs";
+import { DUPLICATE_RULES, duplicateKeys, duplicateRules, findMatchingIndex, translationKey } from "./douban-sync.mjs";
+import { FIELD_SCHEMAS } from "./item-schema.mjs";
+import { DATA_TYPES } from "./media-types.mjs";
+
+const FIELD_CHOICES = ["keep", "remove"];
+
+function reviewError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === "";
+}
+
+/** Id of a pair of items, the same in either order */
+export function pairKey(left, right) {
+    return [left, right].sort().join("|");
+}
+
+// Rules are independent hints: each one leaves less doubt
+function confidence(rules) {
+    const doubt = rules.reduce((product, rule) => product * (1 - DUPLICATE_RULES[rule]), 1);
+    return Math.round((1 - doubt) * 100) / 100;
+}
+
+function addToBucket(buckets, key, value) {
+    const bucket = buckets.get(key);
+    if (bucket) bucket.push(value);
+    else buckets.set(key, [value]);
+}
+
+// Pairs of the entries ({ type, item }) sharing a duplicateKeys key, or a translationKey
+// from either side of it, each pair once; no rule can fire for any other pair
+function candidatePairs(entries) {
+    const seen = new Set();
+    const pairs = [];
+    const add = (left, right) => {
+        const [first, second] = left < right ? [left, right] : [right, left];
+        const pair = `${first}|${second}`;
+        if (seen.has(pair)) return;
+        seen.add(pair);
+        pairs.push([entries[first], entries[second]]);
+    };
+
+    const buckets = new Map();
+    const translations = new Map();
+    entries.forEach((entry, index) => {
+        for (const key of duplicateKeys(entry.item)) addToBucket(buckets, key, index);
+        const translation = translationKey(entry.item);
+        if (translation) addToBucket(translations, translation.key, { index, chinese: translation.chinese });
+    });
+    for (const bucket of buckets.values()) {
+        for (let i = 0; i < bucket.length; i += 1) {
+            for (let j = i + 1; j < bucket.length; j += 1) add(bucket[i], bucket[j]);
+        }
+    }
+    for (const bucket of translations.values()) {
+        const chinese = bucket.filter((side) => side.chinese);
+        for (const other of bucket.filter((side) => !side.chinese)) {
+            for (const side of chinese) add(other.index, side.index);
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Pairs of items that may be the same work, most likely first: within each type, and
+ * between movies and series. Pairs marked distinct in `decisions` are left out.
+ * `automatic` tells whether the dedupe after a sync would merge the pair by itself.
+ * @param {Object<string, Object[]>} collectionData
+ * @param {{ dataTypes?: string[], decisions?: ReturnType<typeof emptyDecisions> }} [options]
+ * @returns {{ id: string, confidence: number, rules: string[], automatic: boolean, items: { type: string, item: Object }[] }[]}
+ */
+export function findDuplicateCandidates(collectionData, { dataTypes = DATA_TYPES, decisions } = {}) {
+    const distinct = new Set((decisions?.distinct || []).map((decision) => pairKey(...decision.items)));
+    const candidates = [];
+
+    function consider(leftType, left, rightType, right, crossType) {
+        if (!left.id || !right.id || left.id === right.id) return;
+        const id = pairKey(left.id, right.id);
+        if (distinct.has(id)) return;
+        const rules = duplicateRules(left, right, { crossType });
+        if (!rules.length) return;
+        candidates.push({
+            id,
+            confidence: confidence(rules),
+            rules,
+            automatic: crossType || findMatchingIndex([left], right) !== -1,
+            items: [
+                { type: leftType, item: left },
+                { type: rightType, item: right },
+            ],
+        });
+    }
+
+    const entriesOf = (type) => (collectionData[type] || []).map((item) => ({ type, item }));
+    for (const type of dataTypes) {
+        for (const [left, right] of candidatePairs(entriesOf(type))) consider(type, left.item, type, right.item, false);
+    }
+    if (dataTypes.includes("movies") && dataTypes.includes("series")) {
+        // Movies come first in the entries, so a mixed pair is always movie, series
+        for (const [left, right] of candidatePairs([...entriesOf("movies"), ...entriesOf("series")])) {
+            if (left.type !== right.type) consider("movies", left.item, "series", right.item, true);
+        }
+    }
+
+    return candidates.sort((a, b) => b.confidence - a.confidence || a.id.localeCompare(b.id));
+}
+
+/**
+ * Merge the `remove` item into the `keep` one ({ type, id } each) in `data`, in place.
+ * `fields` picks whose value each listed field ends up with ("keep" or "remove"); the
+ * other fields keep theirs, or take the removed item's when empty. Only fields of the
+ * kept item's type are taken over.
+ * @param {Object<string, Object[]>} data
+ * @returns {{ kept: Object, removed: Object, doubanIds: string[] }} `doubanIds`: Douban
+ *   subjects of the removed item that the kept one now stands for
+ */
+export function mergeDuplicatePair(data, { keep, remove, fields = {} }) {
+    for (const target of [keep, remove]) {
+        if (!target?.type || !target?.id) throw reviewError("keep and remove must be { type, id }");
+        if (!FIELD_SCHEMAS[target.type] || !Array.isArray(data[target.type])) throw reviewError(`Unknown data type: ${target.type}`);
+    }
+    if (keep.type === remove.type && keep.id === remove.id) throw reviewError("An item cannot be merged into itself");
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) throw reviewError("fields must be an object");
+
+    const keptIndex = data[keep.type].findIndex((item) => item.id === keep.id);
+    const removed = data[remove.type].find((item) => item.id === remove.id);
+    if (keptIndex === -1) throw reviewError(`Item not found: ${keep.type}/${keep.id}`, 404);
+    if (!removed) throw reviewError(`Item not found: ${remove.type}/${remove.id}`, 404);
+
+    const schema = FIELD_SCHEMAS[keep.type];
+    for (const [field, choice] of Object.entries(fields)) {
+        if (!(field in schema)) throw reviewError(`${field} is not a ${keep.type} field`);
+        if (!FIELD_CHOICES.includes(choice)) throw reviewError(`fields.${field} must be one of: ${FIELD_CHOICES.join(", ")}`);
+    }
+
+    const kept = structuredClone(data[keep.type][keptIndex]);
+    for (const field of Object.keys(schema)) {
+        const choice = fields[field] || (isEmptyValue(kept[field]) ? "remove" : "keep");
+        if (choice === "keep" || field === "source") continue;
+        if (isEmptyValue(removed[field])) delete kept[field];
+        else kept[field] = structuredClone(removed[field]);
+    }
+
+    data[keep.type][keptIndex] = kept;
+    data[remove.type] = data[remove.type].filter((item) => item.id !== remove.id);
+    const doubanIds = removed.doubanId && removed.doubanId !== kept.doubanId ? [removed.doubanId] : [];
+    return { kept, removed, doubanIds };
+}
+
+function emptyDecisions() {
+    return {
+        /** @type {{ items: [string, string], decidedAt: string }[]} */
+        distinct: [],
+        /** @type {{ kept: string, removed: string, doubanIds: string[], decidedAt: string }[]} */
+        merged: [],
+    };
+}
+
+/**
+ * Duplicate review decisions, by item id.
+ * @param {Object} options
+ * @param {string} options.file
+ */
+export function createDuplicateDecisions({ file }) {
+    const store = createJsonFileStore({ file, empty: emptyDecisions });
+    const update = (mutate) => store.update(mutate);
+
+    return {
+        read: () => store.read(),
+
+        /** The two items are different works; a later decision on the pair replaces it */
+        markDistinct(leftId, rightId) {
+            const key = pairKey(leftId, rightId);
+            return update((data) => {
+                data.distinct = data.distinct.filter((decision) => pairKey(...decision.items) !== key);
+                data.distinct.push({ items: key.split("|"), decidedAt: new Date().toISOString() });
+            });
+        },
+
+        /** @param {{ kept: string, removed: string, doubanIds: string[] }} merge - item ids */
+        recordMerge({ kept, removed, doubanIds = [] }) {
+            return update((data) => {
+                data.distinct = data.distinct.filter((decision) => !decision.items.includes(removed));
+                data.merged.push({ kept, removed, doubanIds, decidedAt: new Date().toISOString() });
+            });
+        },
+
+        /**
+         * The decisions as mergeSyncedEntries options: `keepApart` for distinct pairs and
+         * `mergedInto`, following items merged again later to the one that is left.
+         */
+        async hooks() {
+            const { distinct, merged } = await store.read();
+            const distinctKeys = new Set(distinct.map((decision) => pairKey(...decision.items)));
+            const keptOf = new Map(merged.map((decision) => [decision.removed, decision.kept]));
+            const resolve = (id) => {
+                const seen = new Set();
+                while (keptOf.has(id) && !seen.has(id)) {
+                    seen.add(id);
+                    id = keptOf.get(id);
+                }
+                return id;
+            };
+            const mergedInto = {};
+            for (const decision of merged) {
+                for (const doubanId of decision.doubanIds) mergedInto[doubanId] = resolve(decision.kept);
+            }
+            return {
+                keepApart: (left, right) => distinctKeys.has(pairKey(left.id, right.id)),
+                mergedInto,
+            };
+        },
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Imports from other services' export files. Each source parses its file into
+ * entries per collection type; the entries then go through the same merge and
+ * dedupe as the Douban sync, so a book already synced from Douban is filled in
+ * rather than added a second time.
+ */
+
+import { createBatchId } from "./change-journal.mjs";
+import { mergeSyncedEntries } from "./douban-sync.mjs";
+import { parseGoodreadsExport } from "./goodreads-import.mjs";
+import { validateItem } from "./item-schema.mjs";
+import { parseLetterboxdExport } from "./letterboxd-import.mjs";
+import { parseLastfmScrobbles, parseSpotifyHistory, refreshListening } from "./listening-import.mjs";
+import { parseTraktExport } from "./trakt-import.mjs";
+
+/**
+ * @typedef {Object} ImportSource
+ * @property {string} label
+ * @property {string[]} dataTypes - Collections the source writes to (and dedupes)
+ * @property {string} accept - File input `accept` in the admin
+ * @property {boolean} [binary] - parse gets the file as a Buffer (zip archives) instead of text
+ * @property {boolean} [inferredStatus] - The status is a guess, so it is not used to match existing items
+ * @property {(item: Object, entry: Object) => Object[]} [refresh] - Replaces the fields the source owns on a
+ *   matched item (mergeSyncedEntries `refresh`); other fields are only filled when empty
+ * @property {(content: string | Buffer, options: Object) => { entries: Object<string, Object[]>, skipped: Object[] }} parse
+ */
+
+/** @type {Object<string, ImportSource>} */
+export const IMPORT_SOURCES = {
+    goodreads: {
+        label: "Goodreads",
+        dataTypes: ["books"],
+        accept: ".csv",
+        parse: parseGoodreadsExport,
+    },
+    // Movies and series are deduped together so a title filed as the other type is merged
+    letterboxd: {
+        label: "Letterboxd",
+        dataTypes: ["movies", "series"],
+        accept: ".zip",
+        binary: true,
+        parse: parseLetterboxdExport,
+    },
+    trakt: {
+        label: "Trakt",
+        dataTypes: ["movies", "series"],
+        accept: ".json,.zip",
+        binary: true,
+        parse: parseTraktExport,
+    },
+    // Listening history: plays are counted per album (options: minPlays, recentDays)
+    lastfm: {
+        label: "Last.fm",
+        dataTypes: ["music"],
+        accept: ".csv",
+        inferredStatus: true,
+        refresh: refreshListening,
+        parse: parseLastfmScrobbles,
+    },
+    spotify: {
+        label: "Spotify",
+        dataTypes: ["music"],
+        accept: ".json,.zip",
+        binary: true,
+        inferredStatus: true,
+        refresh: refreshListening,
+        parse: parseSpotifyHistory,
+    },
+};
+
+function sourceError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Entries the schema rejects are reported instead of written
+function validEntries(entries, skipped) {
+    return Object.fromEntries(
+        Object.entries(entries).map(([type, list]) => [
+            type,
+            list.filter((entry) => {
+                const validation = validateItem(type, entry);
+                if (!validation.isValid) skipped.push({ type, title: entry.title, reason: validation.errors.join("; ") });
+                return validation.isValid;
+            }),
+        ]),
+    );
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.source - Key of IMPORT_SOURCES
+ * @param {string | Buffer} options.content - The export file
+ * @param {Object} options.dataStore
+ * @param {string} [options.coversDir]
+ * @param {Object} [options.options] - Source options, passed to its parse function
+ * @param {boolean} [options.dryRun] - Merge against the current data without writing it
+ * @param {Object} [options.meta] - Change journal meta; batchId is generated when missing
+ * @param {Object} [options.duplicateDecisions] - createDuplicateDecisions; pairs marked distinct are not merged
+ */
+export async function importExternal({
+    source,
+    content,
+    options = {},
+    dataStore,
+    coversDir,
+    dryRun = false,
+    meta = {},
+    duplicateDecisions,
+}) {
+    const config = IMPORT_SOURCES[source];
+    if (!config) throw sourceError(`Unknown import source: ${source}`, 404);
+    if (typeof content !== "string" && !Buffer.isBuffer(content)) throw sourceError("content must be the import file");
+    const input = config.binary ? Buffer.from(content) : String(content).replace(/^\uFEFF/, "");
+    if (!input.length || (!config.binary && !input.trim())) throw sourceError("The import file is empty");
+
+    const parsed = config.parse(input, options);
+    const skipped = [...parsed.skipped];
+    const entries = validEntries(parsed.entries, skipped);
+    const types = config.dataTypes;
+    const decisionHooks = await duplicateDecisions?.hooks();
+    const merge = (data, ids) =>
+        mergeSyncedEntries(data, entries, {
+            ids,
+            coversDir,
+            // A preview plans cover downloads instead of making them
+            dryRun,
+            dedupeDataTypes: types,
+            matchStatus: !config.inferredStatus,
+            refresh: config.refresh,
+            ...decisionHooks,
+        });
+
+    let result;
+    let batchId;
+    if (dryRun) {
+        result = await merge(await dataStore.readAll(types));
+    } else {
+        batchId = meta.batchId || createBatchId();
+        result = await dataStore.updateMany(
+            types,
+            async (data, ids) => {
+                const merged = await merge(data, ids);
+                for (const type of types) data[type] = merged.data[type];
+                return merged;
+            },
+            { ...meta, source: meta.source || `import:${source}`, batchId },
+        );
+    }
+
+    return {
+        source,
+        dryRun,
+        batchId,
+        entries: Object.fromEntries(types.map((type) => [type, entries[type]?.length || 0])),
+        byType: Object.fromEntries(types.map((type) => [type, result.byType[type]])),
+        deduped: Object.fromEntries(types.map((type) => [type, result.deduped[type]])),
+        failures: result.failures,
+        skipped,
+    };
+}
@@ -1,9 +1,15 @@
 /**
  * Filter and Sort Utilities
- * Shared logic for filtering and sorting media items
+ * Shared logic for filtering and sorting media items.
+ * Matching and sorting live in collection-query.mjs so the admin API uses the same rules.
  */
 
 import type { SortValue, FilterState } from "../types";
+import {
+    splitBySlash as splitValues,
+    matchesFilter as matchValue,
+    sortItems as sortBy,
+} from "./collection-query.mjs";
 
 /**
  * Extract year from addedDate string (YYYY-MM-DD format)
@@ -16,11 +22,7 @@ export function getAddedYear(addedDate: string | undefined): string {
  * Split slash-separated values (e.g., "美国 / 英国" -> ["美国", "英国"])
  */
 export function splitBySlash(value: string | undefined): string[] {
-    if (!value) return [];
-    return value
-        .split(/\s*\/\s*/)
-        .map((v) => v.trim())
-        .filter(Boolean);
+    return splitValues(value);
 }
 
 /**
@@ -60,18 +62,7 @@ export interface FilterMatchOptions {
  * Check if an item matches a filter value
  */
 export function matchesFilter(options: FilterMatchOptions): boolean {
-    const { itemValue, filterValue, matchMode = "contains" } = options;
-    
-    if (filterValue === "all") return true;
-    if (!itemValue) return false;
-    
-    if (matchMode === "exact") {
-        return itemValue === filterValue;
-    }
-    
-    // Contains mode - check if any of the slash-separated values match
-    const itemValues = splitBySlash(itemValue);
-    return itemValues.includes(filterValue);
+    return matchValue(options);
 }
 
 /**
@@ -115,45 +106,5 @@ export function sortItems<T>(
     sortValue: SortValue,
     getters: SortOptions<T>["getters"],
 ): T[] {
-    const [field, direction] = sortValue.split("-") as [string, "asc" | "desc"];
-    
-    const sorted = [...items];
-    
-    sorted.sort((a, b) => {
-        let aVal: string | number | undefined;
-        let bVal: string | number | undefined;
-        
-        switch (field) {
-            case "added":
-                aVal = getters.added(a) || "1970-01-01";
-                bVal = getters.added(b) || "1970-01-01";
-                break;
-            case "rating":
-                aVal = getters.rating(a) || 0;
-                bVal = getters.rating(b) || 0;
-                break;
-            case "year":
-                aVal = getters.year(a) || 0;
-                bVal = getters.year(b) || 0;
-                break;
-            case "title":
-                aVal = (getters.title(a) || "").toLowerCase();
-                bVal = (getters.title(b) || "").toLowerCase();
-                break;
-            default:
-                return 0;
-        }
-        
-        let result = 0;
-        if (typeof aVal === "string" && typeof bVal === "string") {
-            result = aVal.localeCompare(bVal);
-        } else {
-            result = (aVal as number) - (bVal as number);
-        }
-        
-        return direction === "desc" ? -result : result;
-    });
-    
-    return sorted;
+    return sortBy(items, sortValue, getters);
 }
-
@@ -0,0 +1,100 @@
+/**
+ * Goodreads library export (My Books → Import and export → goodreads_library_export.csv)
+ * turned into book entries for mergeSyncedEntries.
+ */
+
+import { parseImport } from "./collection-io.mjs";
+import { normalizeIsbn } from "./douban-sync.mjs";
+
+// Exclusive shelf -> BookStatus; custom exclusive shelves have no equivalent and are skipped
+export const GOODREADS_SHELF_STATUS = {
+    read: "completed",
+    "currently-reading": "reading",
+    "to-read": "want-to-read",
+};
+
+const REQUIRED_COLUMNS = ["Title", "Author", "Exclusive Shelf"];
+
+function importError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Goodreads writes ISBNs as ="0439023483" so spreadsheets keep the leading zero
+function cell(record, column) {
+    return String(record[column] ?? "")
+        .trim()
+        .replace(/^="(.*)"$/, "$1")
+        .trim();
+}
+
+// "2023/05/06" -> "2023-05-06"
+function parseDate(value) {
+    const match = value.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+    if (!match) return undefined;
+    const [, year, month, day] = match;
+    return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+function parseYear(value) {
+    return /^\d{4}$/.test(value) ? Number(value) : undefined;
+}
+
+// "The Fellowship of the Ring (The Lord of the Rings, #1)" -> "The Fellowship of the Ring"
+function stripSeries(title) {
+    return title.replace(/\s*\([^()]*#\d+(\.\d+)?\)\s*$/, "").trim() || title;
+}
+
+function reviewText(value) {
+    return value
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .trim();
+}
+
+/**
+ * @param {string} content - goodreads_library_export.csv
+ * @returns {{ entries: { books: Object[] }, skipped: { row: number, title: string, reason: string }[] }}
+ */
+export function parseGoodreadsExport(content) {
+    const { columns, records } = parseImport(content, "csv");
+    const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length) {
+        throw importError(`Not a Goodreads library export: missing column ${missing.join(", ")}`);
+    }
+
+    const books = [];
+    const skipped = [];
+    records.forEach((record, row) => {
+        const title = cell(record, "Title");
+        const shelf = cell(record, "Exclusive Shelf");
+        const status = GOODREADS_SHELF_STATUS[shelf];
+        if (!title || !cell(record, "Author")) {
+            skipped.push({ row, title, reason: "missing title or author" });
+            return;
+        }
+        if (!status) {
+            skipped.push({ row, title, reason: `unknown shelf "${shelf}"` });
+            return;
+        }
+
+        const stars = Number(cell(record, "My Rating"));
+        const entry = {
+            title: stripSeries(title),
+            author: cell(record, "Author"),
+            publisher: cell(record, "Publisher") || undefined,
+            isbn: normalizeIsbn(cell(record, "ISBN13")) || normalizeIsbn(cell(record, "ISBN")) || undefined,
+            year: parseYear(cell(record, "Original Publication Year")) ?? parseYear(cell(record, "Year Published")),
+            // 1-5 stars; 0 means not rated
+            rating: stars >= 1 && stars <= 5 ? stars * 2 : undefined,
+            status,
+            addedDate: parseDate(cell(record, "Date Read")) ?? parseDate(cell(record, "Date Added")),
+            notes: reviewText(cell(record, "My Review")) || undefined,
+            source: "goodreads",
+        };
+        books.push(Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined)));
+    });
+
+    return { entries: { books }, skipped };
+}
@@ -0,0 +1,212 @@
+/**
+ * Item ids are never handed out twice. Each type has a counter that only goes up, kept
+ * in src/data/ids.json next to the data, so deleting the newest book does not free its
+ * id for the next one and a link to `book-12` keeps meaning that book.
+ *
+ * Ids that no longer name an item are kept there as aliases: moved to another type or
+ * merged into another item, they point to where the item is now; deleted, they are
+ * gone. The admin API and the public site follow them, or answer 410 Gone.
+ *
+ * Writes get an id session from the data store (`createDataStore({ ids })`): it hands
+ * out ids and records aliases, and ids removed without an alias are recorded as deleted.
+ */
+
+import { createJsonFileStore } from "./data-store.mjs";
+import { getMediaType } from "./media-types.mjs";
+
+export const ALIAS_REASONS = ["moved", "merged", "deleted"];
+
+/**
+ * @typedef {Object} IdAlias
+ * @property {string} [type] - Data type of the item the id points to (not for deleted ids)
+ * @property {string} [id] - Its id
+ * @property {"moved" | "merged" | "deleted"} reason
+ * @property {string} at
+ */
+
+/** Key of an old id in `aliases`: `${type}/${id}` */
+export function aliasKey(type, id) {
+    return `${type}/${id}`;
+}
+
+function emptyIds() {
+    return {
+        /** @type {Object<string, number>} highest number handed out per type */
+        counters: {},
+        /** @type {Object<string, IdAlias>} */
+        aliases: {},
+    };
+}
+
+/** Number of an id of the type's `${idPrefix}-N` form, otherwise 0 */
+export function idNumber(type, id) {
+    const prefix = getMediaType(type)?.idPrefix;
+    const match = prefix && typeof id === "string" ? id.match(new RegExp(`^${prefix}-(\\d+)$`)) : null;
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Where an old id leads: the `{ type, id }` of the item it names now (following moves
+ * and merges), `{ gone: true, at }` when that item was deleted, or undefined when the
+ * id is not an alias.
+ * @param {Object<string, IdAlias>} aliases
+ */
+export function resolveAlias(aliases, type, id) {
+    let alias = aliases[aliasKey(type, id)];
+    if (!alias) return undefined;
+    const seen = new Set();
+    let target = { type, id };
+    while (alias && !seen.has(aliasKey(target.type, target.id))) {
+        seen.add(aliasKey(target.type, target.id));
+        if (alias.reason === "deleted") return { gone: true, at: alias.at };
+        target = { type: alias.type, id: alias.id, reason: alias.reason };
+        alias = aliases[aliasKey(target.type, target.id)];
+    }
+    return target;
+}
+
+/**
+ * Ids for one write. `nextId(type, items)` gives the next number of the type, past its
+ * counter, every id in `items` and every old id; `alias(from, to, reason)` records where
+ * an id went (`to` is left out for deleted ids). Without `state` the counters start from
+ * the items, as for previews and data without an ids file.
+ * @param {ReturnType<typeof emptyIds>} [state]
+ */
+export function createIdSession(state = emptyIds()) {
+    const issued = {};
+    const aliases = {};
+
+    return {
+        nextId(type, items = []) {
+            const highest = Math.max(
+                state.counters[type] || 0,
+                issued[type] || 0,
+                ...items.map((item) => idNumber(type, item.id)),
+                ...Object.keys(state.aliases)
+                    .filter((key) => key.startsWith(`${type}/`))
+                    .map((key) => idNumber(type, key.slice(type.length + 1))),
+            );
+            issued[type] = highest + 1;
+            return `${getMediaType(type).idPrefix}-${issued[type]}`;
+        },
+
+        alias(from, to, reason) {
+            aliases[aliasKey(from.type, from.id)] = {
+                ...(to && { type: to.type, id: to.id }),
+                reason,
+                at: new Date().toISOString(),
+            };
+        },
+
+        /**
+         * What to save after the write: ids taken out of `before` without an alias are
+         * deleted, and ids in use in `after` are not aliases (any more).
+         * @param {Object<string, Object[]>} before
+         * @param {Object<string, Object[]>} after
+         */
+        changes(before, after) {
+            const added = { ...aliases };
+            const cleared = [];
+            for (const type of Object.keys(after)) {
+                const remaining = new Set(after[type].map((item) => item.id));
+                for (const id of (before[type] || []).map((item) => item.id)) {
+                    const key = aliasKey(type, id);
+                    if (id && !remaining.has(id) && !added[key]) added[key] = { reason: "deleted", at: new Date().toISOString() };
+                }
+                for (const id of remaining) {
+                    const key = aliasKey(type, id);
+                    delete added[key];
+                    if (state.aliases[key]) cleared.push(key);
+                }
+            }
+            return { counters: { ...issued }, added, cleared };
+        },
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - JSON file with `counters` and `aliases`
+ */
+export function createIdRegistry({ file }) {
+    const store = createJsonFileStore({ file, empty: emptyIds });
+
+    return {
+        read: () => store.read(),
+
+        /** A session on the saved counters and aliases */
+        async begin() {
+            return createIdSession(await store.read());
+        },
+
+        /**
+         * Save what a session did to the written types. Writes to other types may
+         * commit in between, so the file is read again and only this write applied.
+         */
+        commit(session, before, after) {
+            const { counters, added, cleared } = session.changes(before, after);
+            if (!Object.keys(counters).length && !Object.keys(added).length && !cleared.length) return Promise.resolve();
+            return store.update((data) => {
+                for (const [type, counter] of Object.entries(counters)) {
+                    data.counters[type] = Math.max(data.counters[type] || 0, counter);
+                }
+                for (const key of cleared) delete data.aliases[key];
+                Object.assign(data.aliases, added);
+            });
+        },
+
+        /**
+         * Raise counters to at least the given numbers and add aliases for ids that have
+         * none, as the migration does for ids used before there was a registry.
+         */
+        seed({ counters = {}, aliases = {} }) {
+            return store.update((data) => {
+                for (const [type, counter] of Object.entries(counters)) {
+                    data.counters[type] = Math.max(data.counters[type] || 0, counter);
+                }
+                data.aliases = { ...aliases, ...data.aliases };
+            });
+        },
+    };
+}
+
+/**
+ * Counters and aliases for data from before the registry: every type's counter starts
+ * past the highest id in the data, in old aliases and in the change journal, and ids
+ * the journal saw deleted (and not back since) become deleted aliases, so they answer
+ * 410 rather than 404. Existing ids are kept as they are.
+ * @param {Object} options
+ * @param {Object<string, Object[]>} options.data - current collections
+ * @param {Object[]} [options.journal] - change journal entries, oldest first
+ * @param {Object<string, IdAlias>} [options.aliases] - aliases recorded so far
+ * @returns {{ counters: Object<string, number>, aliases: Object<string, IdAlias> }}
+ */
+export function planIdMigration({ data, journal = [], aliases = {} }) {
+    const counters = {};
+    const raise = (type, id) => {
+        if (getMediaType(type)) counters[type] = Math.max(counters[type] || 0, idNumber(type, id));
+    };
+    for (const [type, items] of Object.entries(data)) items.forEach((item) => raise(type, item.id));
+    for (const key of Object.keys(aliases)) raise(key.slice(0, key.indexOf("/")), key.slice(key.indexOf("/") + 1));
+
+    const deleted = new Map();
+    for (const entry of journal) {
+        if (!entry.type || !entry.itemId) continue;
+        raise(entry.type, entry.itemId);
+        const key = aliasKey(entry.type, entry.itemId);
+        if (entry.action === "delete") deleted.set(key, entry.at);
+        else deleted.delete(key);
+    }
+
+    const planned = {};
+    for (const [key, at] of deleted) {
+        const [type] = key.split("/", 1);
+        const id = key.slice(type.length + 1);
+        if (aliases[key] || (data[type] || []).some((item) => item.id === id)) continue;
+        planned[key] = { reason: "deleted", at: at || new Date().toISOString() };
+    }
+    return {
+        counters: Object.fromEntries(Object.entries(counters).filter(([, counter]) => counter > 0)),
+        aliases: planned,
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * Converting an item to another data type, e.g. a Douban miniseries synced as a movie.
+ * Fields both types have carry over, a few are renamed on the way (a book's author is an
+ * album's artist), and the rest are dropped with a warning. Statuses keep their meaning:
+ * finished, in progress or wishlist. The caller assigns the new id and validates.
+ */
+
+import { FIELD_SCHEMAS } from "./item-schema.mjs";
+import { getMediaType } from "./media-types.mjs";
+
+// Source type -> target type -> { field: field it becomes }
+const FIELD_RENAMES = {
+    books: { music: { author: "artist", publisher: "label" } },
+    music: { books: { artist: "author", label: "publisher" } },
+};
+
+function moveError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function statusKind(status) {
+    if (status.startsWith("want-to-")) return "wishlist";
+    return status === "completed" ? "completed" : "in-progress";
+}
+
+/**
+ * @param {Object} item
+ * @param {string} fromType
+ * @param {string} toType
+ * @returns {{ item: Object, warnings: string[] }} the item without an id, and one warning
+ *   per value that could not be carried over
+ */
+export function convertItem(item, fromType, toType) {
+    const from = getMediaType(fromType);
+    const to = getMediaType(toType);
+    if (!from) throw moveError(`Unknown data type: ${fromType}`);
+    if (!to) throw moveError(`Unknown data type: ${toType}`);
+    if (fromType === toType) throw moveError(`The item is already in ${toType}`);
+
+    const schema = FIELD_SCHEMAS[toType];
+    const renames = FIELD_RENAMES[fromType]?.[toType] || {};
+    const converted = {};
+    const warnings = [];
+
+    for (const [field, value] of Object.entries(item)) {
+        if (field === "id" || field in (from.fixed || {})) continue;
+        if (value === undefined || value === null || value === "") continue;
+        const target = renames[field] || field;
+        if (field === "status") {
+            const status = to.statuses.find((option) => statusKind(option.value) === statusKind(value));
+            if (status) converted.status = status.value;
+            else warnings.push(`status ${value} has no ${toType} equivalent and was dropped`);
+        } else if (target in schema) {
+            converted[target] = value;
+        } else {
+            warnings.push(`${field} is not a ${toType} field and was dropped`);
+        }
+    }
+
+    return { item: { ...converted, ...to.fixed }, warnings };
+}
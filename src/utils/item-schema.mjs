@@ -0,0 +1,405 @@
+/**
+ * Item schemas for every type in the media type registry (media-types.mjs): the
+ * single definition behind the admin server validation, the generated TypeScript
+ * types (src/types/schema.ts), the admin form fields and the JSON Schema served
+ * at GET /api/schema.
+ *
+ * Field options:
+ *   type      - "string" | "number" | "url" | "date" | "enum"
+ *   required  - must be present and non-empty
+ *   min, max  - number range
+ *   values    - allowed enum values
+ *   tsName    - name of the exported TypeScript alias for an enum
+ *   label     - admin form label
+ *   form      - false to leave the field out of the admin form
+ *   input, placeholder, hint, step - admin form control hints
+ */
+
+import { DATA_TYPES, MEDIA_TYPES } from "./media-types.mjs";
+
+export { DATA_TYPES };
+
+const title = { type: "string", required: true, label: "标题" };
+const originalTitle = { type: "string", label: "原名" };
+const country = { type: "string", label: "国家/地区" };
+const year = { type: "number", min: 1000, max: 2100, label: "年份" };
+const rating = { type: "number", min: 1, max: 10, step: 0.5, label: "评分 (1-10)" };
+const cover = {
+    type: "url",
+    input: "cover",
+    label: "封面路径",
+    placeholder: "/covers/xxx.jpg",
+    hint: "拖入、粘贴或选择图片即可上传；也可填写 src/assets/covers/ 下已有文件的路径",
+};
+const addedDate = { type: "date", label: "添加日期" };
+const notes = { type: "string", input: "textarea", label: "笔记" };
+const doubanId = { type: "string", label: "豆瓣 ID", form: false };
+const doubanUrl = { type: "url", label: "豆瓣链接", form: false };
+const source = { type: "enum", values: ["manual", "douban", "goodreads", "letterboxd", "trakt", "lastfm", "spotify"], label: "来源", form: false };
+// Set by the Douban sync when a synced item has left the user's Douban lists
+const orphanedAt = { type: "date", label: "已从豆瓣移除", form: false };
+
+/** Fields every collection item has; emitted as the BaseMedia interface */
+export const BASE_FIELDS = { title, originalTitle, cover, rating, year, country, addedDate, doubanId, doubanUrl, source, orphanedAt, notes };
+
+/**
+ * Full field list of a registered media type. Field order is the admin form order:
+ * title, the type's own fields, shared fields and status, then the ones the form hides.
+ */
+function buildFields(mediaType) {
+    const fixed = Object.fromEntries(
+        Object.entries(mediaType.fixed || {}).map(([name, value]) => [
+            name,
+            { type: "enum", values: [value], required: true, form: false },
+        ]),
+    );
+    return {
+        title,
+        originalTitle,
+        ...mediaType.fields,
+        country,
+        year,
+        rating,
+        status: {
+            type: "enum",
+            values: mediaType.statuses.map((status) => status.value),
+            ...(mediaType.statusTsName && { tsName: mediaType.statusTsName }),
+            label: "状态",
+        },
+        cover,
+        addedDate,
+        notes,
+        ...fixed,
+        doubanId,
+        doubanUrl,
+        source,
+        orphanedAt,
+    };
+}
+
+export const ITEM_SCHEMAS = Object.fromEntries(
+    DATA_TYPES.map((type) => [type, { tsName: MEDIA_TYPES[type].tsName, fields: buildFields(MEDIA_TYPES[type]) }]),
+);
+
+/** Validation rules per type, keyed by field name */
+export const FIELD_SCHEMAS = Object.fromEntries(DATA_TYPES.map((type) => [type, ITEM_SCHEMAS[type].fields]));
+
+// ==================== Validation ====================
+
+// Each rule returns null or an issue without its path: { code, message }
+export const ValidationRules = {
+    required: (value, fieldName) => {
+        if (value === undefined || value === null || value === "") {
+            return { code: "required", message: `${fieldName} is required` };
+        }
+        return null;
+    },
+    string: (value, fieldName) => {
+        if (value !== undefined && value !== null && typeof value !== "string") {
+            return { code: "type", message: `${fieldName} must be a string` };
+        }
+        return null;
+    },
+    number: (value, fieldName, min, max, strict = false) => {
+        if (value === undefined || value === null) return null;
+        const num = Number(value);
+        if (isNaN(num) || (strict && (typeof value !== "number" || !Number.isFinite(value)))) {
+            return { code: "type", message: `${fieldName} must be a number` };
+        }
+        if (min !== undefined && num < min) return { code: "min", message: `${fieldName} must be at least ${min}` };
+        if (max !== undefined && num > max) return { code: "max", message: `${fieldName} must be at most ${max}` };
+        return null;
+    },
+    url: (value, fieldName) => {
+        if (!value) return null;
+        const invalid = { code: "format", message: `${fieldName} must be a valid URL or path` };
+        if (typeof value !== "string") return invalid;
+        // Allow relative paths like "/covers/image.jpg"
+        if (value.startsWith("/")) return null;
+        try {
+            new URL(value);
+            return null;
+        } catch {
+            return invalid;
+        }
+    },
+    date: (value, fieldName, strict = false) => {
+        if (!value) return null;
+        const invalid = { code: "format", message: `${fieldName} must be a valid date (YYYY-MM-DD)` };
+        if (!strict) {
+            return isNaN(new Date(value).getTime()) ? invalid : null;
+        }
+        // Strict: a calendar date that exists, written exactly as YYYY-MM-DD
+        const match = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return invalid;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.toISOString().slice(0, 10) === value ? null : invalid;
+    },
+    enum: (value, fieldName, allowedValues) => {
+        if (!value) return null;
+        if (!allowedValues.includes(value)) {
+            return { code: "enum", message: `${fieldName} must be one of: ${allowedValues.join(", ")}` };
+        }
+        return null;
+    },
+};
+
+/**
+ * Strict-mode input cleanup: trim strings, turn numeric strings into numbers
+ * for number fields, and treat blank strings as absent (null in a partial
+ * update, where null means "remove the field").
+ */
+function normalizeItem(schema, data, partial) {
+    const normalized = {};
+    for (const [key, raw] of Object.entries(data)) {
+        let value = typeof raw === "string" ? raw.trim() : raw;
+        if (value === "") {
+            if (partial) normalized[key] = null;
+            continue;
+        }
+        if (schema[key]?.type === "number" && typeof value === "string" && Number.isFinite(Number(value))) {
+            value = Number(value);
+        }
+        normalized[key] = value;
+    }
+    return normalized;
+}
+
+/**
+ * Validate item data against schema
+ * @param {string} type - Data type (books, movies, series, music)
+ * @param {Object} data - Item data to validate
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate fields present in data (PATCH)
+ * @param {boolean} [options.strict] - Reject unknown fields, require YYYY-MM-DD dates and real numbers,
+ *   after trimming strings and coercing numeric strings
+ * @returns {Object} - { isValid, errors: string[], issues: { path, code, message }[], data }
+ *   where `data` is the (normalized in strict mode) item to store
+ */
+export function validateItem(type, data, { partial = false, strict = false } = {}) {
+    const schema = FIELD_SCHEMAS[type];
+    if (!schema) {
+        const message = `Unknown data type: ${type}`;
+        return { isValid: false, errors: [message], issues: [{ path: "", code: "type", message }], data };
+    }
+
+    const item = strict ? normalizeItem(schema, data, partial) : data;
+    const issues = [];
+
+    // Check for unknown fields
+    const unknownFields = Object.keys(item).filter((key) => !(key in schema) && key !== "id");
+    if (unknownFields.length > 0) {
+        if (strict) {
+            for (const field of unknownFields) {
+                issues.push({ path: field, code: "unknown", message: `${field} is not a known ${type} field` });
+            }
+        } else {
+            console.warn(`Unknown fields in ${type}:`, unknownFields);
+        }
+    }
+
+    // Validate each field
+    for (const [fieldName, rules] of Object.entries(schema)) {
+        if (partial && !(fieldName in item)) continue;
+        const value = item[fieldName];
+
+        // Check required
+        if (rules.required) {
+            const issue = ValidationRules.required(value, fieldName);
+            if (issue) {
+                issues.push({ path: fieldName, ...issue });
+                continue;
+            }
+        }
+
+        // Skip further validation if value is empty and not required (strict mode still range-checks 0)
+        if (!value && !(strict && value === 0) && !rules.required) continue;
+
+        let issue = null;
+        switch (rules.type) {
+            case "string":
+                issue = ValidationRules.string(value, fieldName);
+                break;
+            case "number":
+                issue = ValidationRules.number(value, fieldName, rules.min, rules.max, strict);
+                break;
+            case "url":
+                issue = ValidationRules.url(value, fieldName);
+                break;
+            case "date":
+                issue = ValidationRules.date(value, fieldName, strict);
+                break;
+            case "enum":
+                issue = ValidationRules.enum(value, fieldName, rules.values);
+                break;
+        }
+        if (issue) issues.push({ path: fieldName, ...issue });
+    }
+
+    return {
+        isValid: issues.length === 0,
+        errors: issues.map((issue) => issue.message),
+        issues,
+        data: item,
+    };
+}
+
+// ==================== Admin form ====================
+
+/**
+ * Form field descriptors per type, in display order, for the admin edit modal.
+ * @returns {Object<string, Array<Object>>}
+ */
+export function getFormFields() {
+    return Object.fromEntries(
+        DATA_TYPES.map((type) => [
+            type,
+            Object.entries(FIELD_SCHEMAS[type])
+                .filter(([, field]) => field.form !== false)
+                .map(([name, field]) => ({
+                    name,
+                    type: field.type,
+                    label: field.label || name,
+                    required: !!field.required,
+                    ...(field.values && { values: field.values }),
+                    ...(field.min !== undefined && { min: field.min }),
+                    ...(field.max !== undefined && { max: field.max }),
+                    ...(field.step !== undefined && { step: field.step }),
+                    ...(field.input && { input: field.input }),
+                    ...(field.placeholder && { placeholder: field.placeholder }),
+                    ...(field.hint && { hint: field.hint }),
+                })),
+        ]),
+    );
+}
+
+// ==================== JSON Schema ====================
+
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+function fieldToJsonSchema(field) {
+    const schema = field.label ? { description: field.label } : {};
+    switch (field.type) {
+        case "number":
+            return {
+                ...schema,
+                type: "number",
+                ...(field.min !== undefined && { minimum: field.min }),
+                ...(field.max !== undefined && { maximum: field.max }),
+            };
+        case "url":
+            return { ...schema, type: "string", format: "uri-reference" };
+        case "date":
+            return { ...schema, type: "string", format: "date" };
+        case "enum":
+            return { ...schema, type: "string", enum: [...field.values] };
+        default:
+            return { ...schema, type: "string", ...(field.required && { minLength: 1 }) };
+    }
+}
+
+/**
+ * JSON Schema (draft 2020-12) for one item of a collection type.
+ * @param {string} type
+ * @param {{ strict?: boolean }} [options] - Strict mode forbids unknown fields
+ */
+export function toJsonSchema(type, { strict = false } = {}) {
+    const fields = FIELD_SCHEMAS[type];
+    if (!fields) throw new Error(`Unknown data type: ${type}`);
+
+    return {
+        $schema: JSON_SCHEMA_DIALECT,
+        $id: `c0llecti0n/${type}.item.json`,
+        title: ITEM_SCHEMAS[type].tsName,
+        type: "object",
+        properties: {
+            id: { type: "string", description: "Assigned by the server on create", readOnly: true },
+            ...Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, fieldToJsonSchema(field)])),
+        },
+        required: Object.entries(fields)
+            .filter(([, field]) => field.required)
+            .map(([name]) => name),
+        ...(strict && { additionalProperties: false }),
+    };
+}
+
+/**
+ * All item schemas, one entry per type under $defs.
+ * @param {{ strict?: boolean }} [options]
+ */
+export function getJsonSchemas(options) {
+    return {
+        $schema: JSON_SCHEMA_DIALECT,
+        $id: "c0llecti0n/items.json",
+        title: "C0llecti0n items",
+        $defs: Object.fromEntries(
+            DATA_TYPES.map((type) => {
+                const { $schema, ...schema } = toJsonSchema(type, options);
+                return [type, schema];
+            }),
+        ),
+    };
+}
+
+// ==================== TypeScript ====================
+
+function fieldToTypeScript(field) {
+    switch (field.type) {
+        case "number":
+            return "number";
+        case "enum":
+            return field.tsName || field.values.map((value) => JSON.stringify(value)).join(" | ");
+        default:
+            return "string";
+    }
+}
+
+function interfaceBody(fields) {
+    return Object.entries(fields)
+        .map(([name, field]) => `    ${name}${field.required ? "" : "?"}: ${fieldToTypeScript(field)};`)
+        .join("\n");
+}
+
+/**
+ * Source of src/types/schema.ts; regenerate with `npm run generate:types`.
+ * @returns {string}
+ */
+export function renderTypeScript() {
+    const aliases = new Map();
+    for (const type of DATA_TYPES) {
+        for (const field of Object.values(FIELD_SCHEMAS[type])) {
+            if (field.type === "enum" && field.tsName) aliases.set(field.tsName, field.values);
+        }
+    }
+
+    const lines = [
+        "/**",
+        " * Generated from src/utils/media-types.mjs and src/utils/item-schema.mjs by scripts/generate-types.mjs.",
+        " * Do not edit by hand; change the schema and run `npm run generate:types`.",
+        " */",
+        "",
+        "export interface BaseMedia {",
+        "    id: string;",
+        interfaceBody(BASE_FIELDS),
+        "}",
+        "",
+    ];
+
+    const union = (values) => values.map((value) => JSON.stringify(value)).join(" | ");
+    lines.push(`export type DataType = ${union(DATA_TYPES)};`);
+    lines.push(`export type SearchItemType = ${union(DATA_TYPES.map((type) => MEDIA_TYPES[type].searchType))};`);
+    lines.push("");
+    for (const [name, values] of aliases) {
+        lines.push(`export type ${name} = ${union(values)};`);
+    }
+    lines.push("");
+
+    for (const type of DATA_TYPES) {
+        const ownFields = Object.fromEntries(
+            Object.entries(FIELD_SCHEMAS[type]).filter(([name]) => BASE_FIELDS[name] !== FIELD_SCHEMAS[type][name]),
+        );
+        lines.push(`export interface ${ITEM_SCHEMAS[type].tsName} extends BaseMedia {`, interfaceBody(ownFields), "}", "");
+    }
+
+    return lines.join("\n");
+}
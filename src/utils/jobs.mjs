@@ -0,0 +1,128 @@
+/**
+ * In-memory background jobs for long admin operations (Douban sync). A job runs
+ * after the request that started it has been answered; clients poll its status
+ * or subscribe to its events, and can cancel it through its AbortSignal.
+ */
+
+import { randomUUID } from "crypto";
+
+const FINISHED_STATES = ["succeeded", "failed", "cancelled"];
+
+function jobError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.keepFinished] - Finished jobs kept for status requests
+ */
+export function createJobManager({ keepFinished = 20 } = {}) {
+    const jobs = new Map();
+    const controllers = new Map();
+    const listeners = new Map();
+
+    function snapshot(job) {
+        return structuredClone(job);
+    }
+
+    function emit(job, event) {
+        for (const listener of listeners.get(job.id) || []) listener(event, snapshot(job));
+    }
+
+    function prune() {
+        const finished = [...jobs.values()].filter((job) => FINISHED_STATES.includes(job.state));
+        for (const job of finished.slice(0, Math.max(0, finished.length - keepFinished))) {
+            jobs.delete(job.id);
+            listeners.delete(job.id);
+        }
+    }
+
+    function finish(job, state, fields) {
+        Object.assign(job, { state, finishedAt: new Date().toISOString(), ...fields });
+        controllers.delete(job.id);
+        emit(job, "done");
+        listeners.delete(job.id);
+        prune();
+    }
+
+    return {
+        /**
+         * Start `run({ id, signal, report })` in the background. `report(progress)` merges the
+         * progress fields into `job.progress`; a `failure` field is appended to `job.failures`.
+         * Only one job of a kind runs at a time (409 otherwise).
+         * @returns {Object} the job
+         */
+        start(kind, run, { params } = {}) {
+            const running = [...jobs.values()].find((job) => job.kind === kind && job.state === "running");
+            if (running) throw jobError(`A ${kind} job is already running`, 409, { jobId: running.id });
+
+            const controller = new AbortController();
+            const job = {
+                id: randomUUID(),
+                kind,
+                state: "running",
+                params,
+                startedAt: new Date().toISOString(),
+                progress: {},
+                failures: [],
+            };
+            jobs.set(job.id, job);
+            controllers.set(job.id, controller);
+
+            const report = ({ failure, ...progress }) => {
+                if (job.state !== "running") return;
+                job.progress = { ...job.progress, ...progress };
+                if (failure) job.failures.push(failure);
+                emit(job, "progress");
+            };
+
+            Promise.resolve()
+                .then(() => run({ id: job.id, signal: controller.signal, report }))
+                .then(
+                    (result) => finish(job, "succeeded", { result }),
+                    (error) =>
+                        controller.signal.aborted
+                            ? finish(job, "cancelled", {})
+                            : finish(job, "failed", { error: { message: error.message, details: error.details } }),
+                );
+            return snapshot(job);
+        },
+
+        get(id) {
+            const job = jobs.get(id);
+            return job ? snapshot(job) : undefined;
+        },
+
+        /** Newest first */
+        list({ kind } = {}) {
+            return [...jobs.values()]
+                .filter((job) => !kind || job.kind === kind)
+                .reverse()
+                .map(snapshot);
+        },
+
+        /** Ask a running job to stop; it ends as "cancelled" once its run gives up */
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job) throw jobError("Job not found", 404);
+            if (job.state !== "running") throw jobError(`Job already ${job.state}`, 409);
+            job.cancelRequested = true;
+            controllers.get(id)?.abort(jobError("Cancelled", 499));
+            emit(job, "progress");
+            return snapshot(job);
+        },
+
+        /**
+         * Call `listener(event, job)` on "progress" and once on "done".
+         * @returns {() => void} unsubscribe
+         */
+        subscribe(id, listener) {
+            if (!listeners.has(id)) listeners.set(id, new Set());
+            listeners.get(id).add(listener);
+            return () => listeners.get(id)?.delete(listener);
+        },
+    };
+}
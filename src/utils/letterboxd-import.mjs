@@ -0,0 +1,91 @@
+/**
+ * Letterboxd data export (Settings → Data → Export your data, a zip of CSV files)
+ * turned into movie entries for mergeSyncedEntries. Letterboxd only logs films,
+ * so everything goes to movies.
+ */
+
+import { parseImport } from "./collection-io.mjs";
+import { readZip } from "./zip.mjs";
+
+// Read in this order: later files refine what earlier ones said about a film
+// (a watched film leaves the watchlist, ratings.csv holds the current rating)
+const EXPORT_FILES = ["watchlist.csv", "watched.csv", "diary.csv", "reviews.csv", "ratings.csv"];
+
+function importError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Top-level files only; deleted/diary.csv, likes/films.csv etc. are not part of the library
+function findFile(files, name) {
+    const matches = [...files.keys()].filter((path) => path === name || path.endsWith(`/${name}`));
+    matches.sort((a, b) => a.split("/").length - b.split("/").length);
+    return matches.length ? files.get(matches[0]).toString("utf-8") : undefined;
+}
+
+function parseDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : undefined;
+}
+
+function earlier(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return a < b ? a : b;
+}
+
+// 0.5-5 stars -> 1-10
+function parseRating(value) {
+    const stars = Number(value);
+    return stars >= 0.5 && stars <= 5 ? stars * 2 : undefined;
+}
+
+/**
+ * @param {Buffer} content - The export zip
+ * @returns {{ entries: { movies: Object[] }, skipped: Object[] }}
+ */
+export function parseLetterboxdExport(content) {
+    const files = readZip(content);
+    const csvFiles = EXPORT_FILES.map((name) => [name, findFile(files, name)]).filter(([, text]) => text?.trim());
+    if (!csvFiles.length) throw importError(`Not a Letterboxd export: none of ${EXPORT_FILES.join(", ")} found`);
+
+    const films = new Map();
+    const skipped = [];
+
+    for (const [file, text] of csvFiles) {
+        const { columns, records } = parseImport(text, "csv");
+        if (!columns.includes("Name")) throw importError(`${file} has no Name column`);
+
+        records.forEach((record, row) => {
+            const title = record.Name?.trim();
+            if (!title) {
+                skipped.push({ file, row, title: "", reason: "missing title" });
+                return;
+            }
+            const year = /^\d{4}$/.test(record.Year || "") ? Number(record.Year) : undefined;
+            const key = `${title.toLowerCase()}|${year || ""}`;
+            const film = films.get(key) || { title, year, type: "movie", source: "letterboxd" };
+            films.set(key, film);
+
+            const date = parseDate(record["Watched Date"]) || parseDate(record.Date);
+            if (file === "watchlist.csv") {
+                if (!film.status) Object.assign(film, { status: "want-to-watch", addedDate: date });
+                return;
+            }
+
+            // Watching a film replaces its watchlist date; the first watch is the added date
+            if (film.status !== "completed") {
+                film.status = "completed";
+                film.addedDate = date;
+            } else {
+                film.addedDate = earlier(film.addedDate, date);
+            }
+            const rating = parseRating(record.Rating);
+            if (rating && (file === "ratings.csv" || !film.rating)) film.rating = rating;
+            if (file === "reviews.csv" && record.Review?.trim() && !film.notes) film.notes = record.Review.trim();
+        });
+    }
+
+    const movies = [...films.values()].map((film) => Object.fromEntries(Object.entries(film).filter(([, value]) => value !== undefined)));
+    return { entries: { movies }, skipped };
+}
@@ -0,0 +1,179 @@
+/**
+ * Listening history (Last.fm scrobbles, Spotify extended streaming history)
+ * aggregated into album entries for mergeSyncedEntries: plays are counted per
+ * album, and albums with enough plays become music items.
+ */
+
+import { parseCsv } from "./collection-io.mjs";
+import { normalizeTitle } from "./douban-sync.mjs";
+import { isZip, readZip } from "./zip.mjs";
+
+export const DEFAULT_MIN_PLAYS = 10;
+export const DEFAULT_RECENT_DAYS = 30;
+// Spotify counts a play as a stream from 30 seconds on
+const SPOTIFY_MIN_MS_PLAYED = 30_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function importError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// "OK Computer (Collector's Edition)", "Abbey Road (Remastered 2009)", "Blonde - Deluxe" -> the album
+function stripEdition(title) {
+    return (
+        title
+            .replace(/\s*[([][^()[\]]*\b(remaster(ed)?|deluxe|edition|expanded|anniversary|bonus)\b[^()[\]]*[)\]]\s*$/i, "")
+            .replace(/\s+-\s+[^-]*\b(remaster(ed)?|deluxe|edition|expanded|anniversary)\b[^-]*$/i, "")
+            .trim() || title
+    );
+}
+
+/**
+ * Count plays per album (artist + title, normalized like the Douban matching).
+ * @param {{ artist: string, album: string, playedAt: number }[]} plays
+ * @param {{ minPlays?: number, recentDays?: number, now?: number, source: string }} options
+ * @returns {{ entries: { music: Object[] }, skipped: Object[] }}
+ */
+export function aggregatePlays(plays, { minPlays = DEFAULT_MIN_PLAYS, recentDays = DEFAULT_RECENT_DAYS, now = Date.now(), source }) {
+    if (!Number.isInteger(minPlays) || minPlays < 1) throw importError("minPlays must be a positive integer");
+    if (!(recentDays >= 0)) throw importError("recentDays must be a number of days");
+
+    const albums = new Map();
+    for (const play of plays) {
+        const title = stripEdition(play.album);
+        const key = `${normalizeTitle(play.artist)}|${normalizeTitle(title)}`;
+        const album = albums.get(key) || { title, artist: play.artist, plays: 0, first: play.playedAt, last: play.playedAt };
+        album.plays += 1;
+        album.first = Math.min(album.first, play.playedAt);
+        album.last = Math.max(album.last, play.playedAt);
+        albums.set(key, album);
+    }
+
+    const music = [];
+    let belowThreshold = 0;
+    for (const album of albums.values()) {
+        if (album.plays < minPlays) {
+            belowThreshold += 1;
+            continue;
+        }
+        music.push({
+            title: album.title,
+            artist: album.artist,
+            addedDate: new Date(album.first).toISOString().split("T")[0],
+            playCount: album.plays,
+            status: now - album.last <= recentDays * DAY_MS ? "listening" : "completed",
+            source,
+        });
+    }
+    music.sort((a, b) => b.playCount - a.playCount);
+
+    const skipped = belowThreshold ? [{ title: `${belowThreshold} album(s)`, reason: `fewer than ${minPlays} plays` }] : [];
+    return { entries: { music }, skipped };
+}
+
+/**
+ * Fields a listening import owns on an album it matched: the play count, and the
+ * status once an album listened to lately has not been played for a while. Any
+ * other status (set on Douban or by hand) is left alone.
+ * @returns {{ field: string, before: unknown, after: unknown, policy: string }[]} The replaced fields
+ */
+export function refreshListening(target, incoming) {
+    const replaced = [];
+    const replace = (field) => {
+        replaced.push({ field, before: target[field], after: incoming[field], policy: "import" });
+        target[field] = incoming[field];
+    };
+    if (Number.isInteger(incoming.playCount) && target.playCount !== undefined && target.playCount !== incoming.playCount) {
+        replace("playCount");
+    }
+    if (target.status === "listening" && incoming.status === "completed") replace("status");
+    return replaced;
+}
+
+// Unix seconds ("1704489180") or a date like "05 Jan 2024 21:13" / "05 Jan 2024, 21:13" (UTC)
+function parseScrobbleTime(value) {
+    const text = String(value || "").trim();
+    if (/^\d{9,}$/.test(text)) return Number(text) * 1000;
+    const time = Date.parse(`${text.replace(",", "")} UTC`);
+    return Number.isNaN(time) ? Date.parse(text) : time;
+}
+
+/**
+ * Last.fm scrobble export: headerless `artist,album,track,date` rows (lastfm-to-csv),
+ * or a CSV with artist / album and uts / utc_time / date columns.
+ */
+export function parseLastfmScrobbles(content, options = {}) {
+    const rows = parseCsv(String(content).replace(/^\uFEFF/, ""));
+    const header = rows[0]?.map((cell) => cell.trim().toLowerCase()) || [];
+    const hasHeader = header.includes("artist") && header.includes("album");
+    const column = (names, fallback) => {
+        if (!hasHeader) return fallback;
+        return names.map((name) => header.indexOf(name)).find((index) => index !== -1) ?? -1;
+    };
+    const artistColumn = column(["artist"], 0);
+    const albumColumn = column(["album"], 1);
+    const timeColumn = column(["uts", "utc_time", "date", "timestamp"], 3);
+    if (timeColumn === -1) throw importError("Last.fm export has no date column");
+
+    const plays = [];
+    let unusable = 0;
+    for (const cells of hasHeader ? rows.slice(1) : rows) {
+        const artist = cells[artistColumn]?.trim();
+        const album = cells[albumColumn]?.trim();
+        const playedAt = parseScrobbleTime(cells[timeColumn]);
+        if (!artist || !album || Number.isNaN(playedAt)) {
+            unusable += 1;
+            continue;
+        }
+        plays.push({ artist, album, playedAt });
+    }
+    if (!plays.length) throw importError("No scrobbles with artist, album and date found");
+
+    const result = aggregatePlays(plays, { ...options, source: "lastfm" });
+    if (unusable) result.skipped.unshift({ title: `${unusable} scrobble(s)`, reason: "missing artist, album or date" });
+    return result;
+}
+
+function spotifyRecords(content) {
+    const parse = (text, name) => {
+        try {
+            return JSON.parse(text.replace(/^\uFEFF/, ""));
+        } catch (error) {
+            throw importError(`Invalid JSON${name ? ` in ${name}` : ""}: ${error.message}`);
+        }
+    };
+    if (isZip(content)) {
+        // my_spotify_data.zip: Spotify Extended Streaming History/Streaming_History_Audio_*.json
+        return [...readZip(content)]
+            .filter(([name]) => /\.json$/i.test(name))
+            .flatMap(([name, data]) => [parse(data.toString("utf-8"), name)].flat());
+    }
+    return [parse(String(content))].flat();
+}
+
+/**
+ * Spotify extended streaming history (Streaming_History_Audio_*.json, or the whole zip).
+ * Streams shorter than 30 s and podcast episodes are not counted.
+ */
+export function parseSpotifyHistory(content, options = {}) {
+    const records = spotifyRecords(content).filter((record) => record && typeof record === "object" && "ms_played" in record);
+    if (!records.length) {
+        throw importError("Not a Spotify extended streaming history: no records with ms_played found");
+    }
+
+    const plays = records
+        .filter((record) => record.ms_played >= SPOTIFY_MIN_MS_PLAYED)
+        .map((record) => ({
+            artist: record.master_metadata_album_artist_name?.trim(),
+            album: record.master_metadata_album_album_name?.trim(),
+            playedAt: Date.parse(record.ts),
+        }))
+        .filter((play) => play.artist && play.album && !Number.isNaN(play.playedAt));
+
+    const result = aggregatePlays(plays, { ...options, source: "spotify" });
+    const notCounted = records.length - plays.length;
+    if (notCounted) result.skipped.unshift({ title: `${notCounted} stream(s)`, reason: "shorter than 30 s, podcasts or missing album" });
+    return result;
+}
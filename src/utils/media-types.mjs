@@ -0,0 +1,183 @@
+/**
+ * Media type registry. Every collection type is declared here once; the admin
+ * API routes, item validation, generated TypeScript types, admin tabs, global
+ * search entries, navigation and public pages are all derived from it.
+ *
+ * Plain JavaScript so the Node admin server, scripts, Astro pages and client
+ * scripts can all import it.
+ */
+
+/**
+ * @typedef {Object} MediaStatusOption
+ * @property {string} value - `want-to-*` statuses are wishlist items, hidden from the public pages
+ * @property {string} label
+ */
+
+/**
+ * @typedef {Object} MediaType
+ * @property {string} label - Chinese name shown in the admin tab and detail/search badges
+ * @property {string} icon - Emoji shown next to the label
+ * @property {string} idPrefix - Item ids look like `${idPrefix}-12`
+ * @property {string} tsName - Generated TypeScript interface name
+ * @property {string} searchType - `type` of the item in global search and the detail modal
+ * @property {string} creatorField - Field holding the author/director/artist (search, ?creator=, admin list)
+ * @property {Object<string, Object>} fields - Type-specific fields in admin form order (options in
+ *   item-schema.mjs); title, cover, rating, year, country, status, notes etc. are added for every type
+ * @property {MediaStatusOption[]} statuses
+ * @property {string} [statusTsName] - Generated TypeScript alias for the status union
+ * @property {Object<string, string>} [fixed] - Constant fields stored on every item (movies' `type: "movie"`)
+ * @property {"bookshelf" | "record-cabinet" | "disc-drawer"} shelf - Shelf component on the public page
+ * @property {string} route - Public page path; types with the same route share a page
+ * @property {{ label: string, order: number }} [nav] - Navigation menu entry of the page
+ * @property {boolean} [customPage] - The route has its own page in src/pages instead of the generic shelf page
+ */
+
+const videoStatuses = [
+    { value: "watching", label: "观看中" },
+    { value: "completed", label: "已完成" },
+    { value: "want-to-watch", label: "想看" },
+];
+
+/** @type {Object<string, MediaType>} */
+export const MEDIA_TYPES = {
+    books: {
+        label: "书籍",
+        icon: "📚",
+        idPrefix: "book",
+        tsName: "Book",
+        searchType: "book",
+        creatorField: "author",
+        fields: {
+            author: { type: "string", required: true, label: "作者" },
+            publisher: { type: "string", label: "出版社" },
+            platform: { type: "string", label: "平台", placeholder: "微信读书 / 纸质书" },
+            isbn: { type: "string", label: "ISBN", placeholder: "9787506365437" },
+            pages: { type: "number", min: 1, label: "页数" },
+        },
+        statuses: [
+            { value: "reading", label: "阅读中" },
+            { value: "completed", label: "已完成" },
+            { value: "want-to-read", label: "想读" },
+        ],
+        statusTsName: "BookStatus",
+        shelf: "bookshelf",
+        route: "/library",
+        nav: { label: "Library", order: 1 },
+        customPage: true,
+    },
+    movies: {
+        label: "电影",
+        icon: "🎬",
+        idPrefix: "movie",
+        tsName: "Movie",
+        searchType: "movie",
+        creatorField: "director",
+        fields: {
+            director: { type: "string", label: "导演" },
+            cast: { type: "string", label: "主演" },
+            genre: { type: "string", label: "类型" },
+            runtime: { type: "number", min: 1, label: "片长（分钟）" },
+        },
+        statuses: videoStatuses,
+        statusTsName: "MediaStatus",
+        fixed: { type: "movie" },
+        shelf: "disc-drawer",
+        route: "/cinema",
+        nav: { label: "Cinema", order: 3 },
+        customPage: true,
+    },
+    series: {
+        label: "剧集",
+        icon: "📺",
+        idPrefix: "series",
+        tsName: "Series",
+        searchType: "series",
+        creatorField: "director",
+        fields: {
+            director: { type: "string", label: "导演" },
+            cast: { type: "string", label: "主演" },
+            genre: { type: "string", label: "类型" },
+            episodes: { type: "number", min: 1, label: "集数" },
+            runtime: { type: "number", min: 1, label: "单集片长（分钟）" },
+        },
+        statuses: videoStatuses,
+        statusTsName: "MediaStatus",
+        fixed: { type: "series" },
+        shelf: "disc-drawer",
+        route: "/cinema",
+        nav: { label: "Cinema", order: 3 },
+        customPage: true,
+    },
+    music: {
+        label: "音乐",
+        icon: "🎵",
+        idPrefix: "music",
+        tsName: "Album",
+        searchType: "album",
+        creatorField: "artist",
+        fields: {
+            artist: { type: "string", required: true, label: "艺术家" },
+            genre: { type: "string", label: "类型" },
+            label: { type: "string", label: "厂牌" },
+            tracks: { type: "string", input: "textarea", label: "曲目", hint: "每行一首" },
+            playCount: { type: "number", min: 0, label: "播放次数" },
+        },
+        statuses: [
+            { value: "completed", label: "已完成" },
+            { value: "listening", label: "在听" },
+            { value: "want-to-listen", label: "想听" },
+        ],
+        statusTsName: "MusicStatus",
+        shelf: "record-cabinet",
+        route: "/concert-hall",
+        nav: { label: "Concert Hall", order: 2 },
+        customPage: true,
+    },
+};
+
+export const DATA_TYPES = Object.keys(MEDIA_TYPES);
+
+/**
+ * @param {string} type
+ * @returns {MediaType | undefined}
+ */
+export function getMediaType(type) {
+    return Object.hasOwn(MEDIA_TYPES, type) ? MEDIA_TYPES[type] : undefined;
+}
+
+/** Creator field per data type, e.g. { books: "author", ... } */
+export const CREATOR_FIELDS = Object.fromEntries(DATA_TYPES.map((type) => [type, MEDIA_TYPES[type].creatorField]));
+
+/** Label for every status value of every type */
+export const STATUS_LABELS = Object.fromEntries(
+    DATA_TYPES.flatMap((type) => MEDIA_TYPES[type].statuses.map((status) => [status.value, status.label])),
+);
+
+/** Badge text per search/detail type, e.g. { book: "📚 书籍", ... } */
+export const SEARCH_TYPE_LABELS = Object.fromEntries(
+    DATA_TYPES.map((type) => [MEDIA_TYPES[type].searchType, `${MEDIA_TYPES[type].icon} ${MEDIA_TYPES[type].label}`]),
+);
+
+/**
+ * Public pages, one per distinct route, in navigation order.
+ * @returns {Array<{ route: string, slug: string, label: string, order: number, shelf: string, types: string[], customPage: boolean }>}
+ */
+export function getShelfPages() {
+    const pages = new Map();
+    for (const type of DATA_TYPES) {
+        const { route, nav, shelf, customPage = false } = MEDIA_TYPES[type];
+        if (!pages.has(route)) {
+            pages.set(route, {
+                route,
+                slug: route.replace(/^\//, ""),
+                label: nav?.label || MEDIA_TYPES[type].label,
+                order: nav?.order ?? Number.MAX_SAFE_INTEGER,
+                shelf,
+                types: [],
+                customPage,
+            });
+        }
+        pages.get(route).types.push(type);
+    }
+    return [...pages.values()].sort((a, b) => a.order - b.order);
+}
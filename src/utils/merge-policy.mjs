@@ -0,0 +1,140 @@
+/**
+ * Per-field merge policies for the Douban sync. By default a synced entry only
+ * fills empty fields; a policy lets Douban's value replace a local one:
+ *
+ * - `local`: the local value is kept (only empty fields are filled)
+ * - `remote`: Douban's value always wins
+ * - `remote-unless-edited`: Douban's value wins unless the field was changed
+ *   locally since the last import
+ * - `newest`: like `remote-unless-edited`, but a local edit older than the
+ *   Douban mark date is replaced too
+ *
+ * Local edits are found by comparing the field with the value the last sync
+ * imported (kept by createImportedValues), and dated with the change journal.
+ */
+
+import { createJsonFileStore } from "./data-store.mjs";
+
+export const MERGE_POLICIES = ["local", "remote", "remote-unless-edited", "newest"];
+
+// Status transitions (想读 -> 读过) always follow Douban; ratings, comments and mark
+// dates follow it until they are edited here
+export const DEFAULT_MERGE_POLICIES = {
+    status: "remote",
+    rating: "remote-unless-edited",
+    notes: "remote-unless-edited",
+    addedDate: "remote-unless-edited",
+};
+
+// Never taken from Douban over a local value
+const PROTECTED_FIELDS = ["id", "source"];
+
+function policyError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === "";
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Policies from `"rating=remote,notes=local"` (DOUBAN_MERGE_POLICIES) or an object,
+ * on top of DEFAULT_MERGE_POLICIES.
+ * @param {...(string | Object<string, string> | undefined)} sources - Later sources win
+ * @returns {Object<string, string>}
+ */
+export function parseMergePolicies(...sources) {
+    const policies = { ...DEFAULT_MERGE_POLICIES };
+    for (const source of sources) {
+        if (isEmptyValue(source)) continue;
+        const pairs =
+            typeof source === "string"
+                ? source
+                      .split(",")
+                      .filter((pair) => pair.trim())
+                      .map((pair) => pair.split("=").map((part) => part.trim()))
+                : Object.entries(source);
+        for (const [field, policy] of pairs) {
+            if (!field || PROTECTED_FIELDS.includes(field)) throw policyError(`No merge policy can be set for "${field}"`);
+            if (!MERGE_POLICIES.includes(policy)) {
+                throw policyError(`Unknown merge policy "${policy}" for ${field}; use ${MERGE_POLICIES.join(", ")}`);
+            }
+            policies[field] = policy;
+        }
+    }
+    return policies;
+}
+
+/** Fields whose imported values have to be remembered to tell local edits apart */
+export function trackedFields(policies) {
+    return Object.keys(policies).filter((field) => policies[field] !== "local");
+}
+
+// Without a recorded import a differing value counts as edited, so hand edits made
+// before imports were tracked survive the first sync; that sync records Douban's
+// values (see mergeSyncedEntries' `imported`) and later ones compare against them
+function editedLocally(local, imported) {
+    return imported === undefined || !sameValue(local, imported);
+}
+
+function remoteWins(policy, { local, imported, editedAt, remoteAt }) {
+    if (policy === "remote") return true;
+    if (!editedLocally(local, imported)) return true;
+    // Douban only dates marks by day; a local edit on the same day wins
+    return policy === "newest" && Boolean(editedAt && remoteAt && remoteAt > editedAt.slice(0, 10));
+}
+
+/**
+ * Replace local values with the incoming ones where the policies say so. Empty
+ * incoming values never clear a local one.
+ * @param {Object} target - Local item, changed in place
+ * @param {Object} incoming - Synced entry
+ * @param {Object} options
+ * @param {Object<string, string>} options.policies
+ * @param {Object} [options.imported] - Values of the last import of this entry
+ * @param {Object<string, string>} [options.editedAt] - Last local edit time per field
+ * @returns {{ field: string, before: any, after: any, policy: string }[]} the overwritten fields
+ */
+export function applyMergePolicies(target, incoming, { policies, imported = {}, editedAt = {} }) {
+    const overwritten = [];
+    for (const [field, policy] of Object.entries(policies)) {
+        if (policy === "local" || PROTECTED_FIELDS.includes(field)) continue;
+        const local = target[field];
+        const remote = incoming[field];
+        if (isEmptyValue(remote) || isEmptyValue(local) || sameValue(local, remote)) continue;
+        if (!remoteWins(policy, { local, imported: imported[field], editedAt: editedAt[field], remoteAt: incoming.addedDate })) {
+            continue;
+        }
+        target[field] = remote;
+        overwritten.push({ field, before: local, after: remote, policy });
+    }
+    return overwritten;
+}
+
+/**
+ * The values each Douban subject had when it was last imported, keyed by doubanId.
+ * @param {Object} options
+ * @param {string} options.file
+ */
+export function createImportedValues({ file }) {
+    const store = createJsonFileStore({ file });
+
+    return {
+        /** @returns {Promise<Object<string, Object>>} doubanId -> field -> value */
+        read: () => store.read(),
+
+        /** @param {Object<string, Object>} values - doubanId -> field -> value, replacing earlier imports */
+        save(values) {
+            if (!Object.keys(values).length) return Promise.resolve();
+            return store.update((data) => {
+                Object.assign(data, values);
+            });
+        },
+    };
+}
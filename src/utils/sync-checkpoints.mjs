@@ -0,0 +1,46 @@
+/**
+ * Where the last Douban sync stopped, per user, type and status list. Douban
+ * sorts collection lists newest first, so the next incremental sync only has
+ * to page until it reaches the item recorded here.
+ */
+
+import { createJsonFileStore } from "./data-store.mjs";
+
+/**
+ * @typedef {Object} SyncCheckpoint
+ * @property {string} doubanId - Newest item of the list when it was last synced
+ * @property {string} [addedDate] - Its date, for when that item has left the list
+ * @property {string} syncedAt
+ * @property {{ url: string, stopAt: { doubanId: string, addedDate?: string } | null }} [resume] -
+ *   Pages an interrupted sync did not reach: from `url` down to `stopAt` (the end when null)
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - JSON file holding the checkpoints of every user
+ */
+export function createSyncCheckpoints({ file }) {
+    const store = createJsonFileStore({ file });
+
+    return {
+        /** @returns {Promise<Object<string, Object<string, SyncCheckpoint>>>} checkpoints[type][status] */
+        async read(userId) {
+            return (await store.read())[userId] || {};
+        },
+
+        /**
+         * Replace the checkpoints of the given type/status lists; others are kept.
+         * @param {string} userId
+         * @param {Object<string, Object<string, SyncCheckpoint>>} checkpoints
+         */
+        save(userId, checkpoints) {
+            return store.update((data) => {
+                const user = data[userId] || {};
+                for (const [type, statuses] of Object.entries(checkpoints)) {
+                    user[type] = { ...user[type], ...statuses };
+                }
+                data[userId] = user;
+            });
+        },
+    };
+}
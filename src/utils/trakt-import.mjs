@@ -0,0 +1,121 @@
+/**
+ * Trakt history exports (the JSON files of a Trakt data export: history,
+ * watched, ratings and watchlist lists, on their own or zipped) turned into
+ * movie and series entries for mergeSyncedEntries. Each record says whether it
+ * is about a movie or a show, which decides the collection.
+ */
+
+import { isZip, readZip } from "./zip.mjs";
+
+function importError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function parseJson(text, name) {
+    try {
+        return JSON.parse(text.replace(/^\uFEFF/, ""));
+    } catch (error) {
+        throw importError(`Invalid JSON${name ? ` in ${name}` : ""}: ${error.message}`);
+    }
+}
+
+// A file is an array of records, or an object of such arrays ({ history: [...], ratings: [...] })
+function recordsOf(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === "object") return Object.values(value).filter(Array.isArray).flat();
+    return [];
+}
+
+function readRecords(content) {
+    if (isZip(content)) {
+        const files = [...readZip(content)].filter(([name]) => name.toLowerCase().endsWith(".json"));
+        if (!files.length) throw importError("The zip contains no JSON files");
+        return files.flatMap(([name, data]) => recordsOf(parseJson(data.toString("utf-8"), name)));
+    }
+    return recordsOf(parseJson(String(content)));
+}
+
+// "2024-01-05T21:13:00.000Z" -> "2024-01-05"
+function parseDate(value) {
+    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : undefined;
+}
+
+function earlier(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return a < b ? a : b;
+}
+
+// watched_at: one play (history); last_watched_at / plays: totals (watched);
+// listed_at: watchlist; rating: ratings
+function recordKind(record) {
+    if (typeof record.rating === "number") return "rating";
+    if (record.listed_at) return "watchlist";
+    if (record.watched_at || record.last_watched_at || record.plays) return "watched";
+    return undefined;
+}
+
+/**
+ * @param {string | Buffer} content - A Trakt JSON file, or a zip of them
+ * @returns {{ entries: { movies: Object[], series: Object[] }, skipped: Object[] }}
+ */
+export function parseTraktExport(content) {
+    const records = readRecords(content);
+    if (!records.length) throw importError("Not a Trakt export: no history, ratings or watchlist records found");
+
+    const titles = new Map();
+    const skipped = [];
+
+    records.forEach((record, row) => {
+        const kind = record && typeof record === "object" ? recordKind(record) : undefined;
+        const media = record?.movie || record?.show;
+        const dataType = record?.movie ? "movies" : "series";
+        if (!kind || !media?.title) {
+            skipped.push({ row, title: media?.title || "", reason: "not a movie or show record" });
+            return;
+        }
+        // Ratings of single episodes or seasons say nothing about the show
+        if (kind === "rating" && (record.episode || record.season)) return;
+
+        const key = `${dataType}|${media.ids?.trakt ?? `${media.title.toLowerCase()}|${media.year ?? ""}`}`;
+        const entry = titles.get(key) || {
+            dataType,
+            item: {
+                title: media.title,
+                year: Number.isInteger(media.year) ? media.year : undefined,
+                type: dataType === "movies" ? "movie" : "series",
+                source: "trakt",
+            },
+            dates: {},
+        };
+        titles.set(key, entry);
+        const { item, dates } = entry;
+
+        if (kind === "rating") {
+            if (record.rating >= 1 && record.rating <= 10) item.rating = record.rating;
+            dates.rated = earlier(dates.rated, parseDate(record.rated_at));
+        } else if (kind === "watchlist") {
+            dates.listed = earlier(dates.listed, parseDate(record.listed_at));
+        } else {
+            dates.watched = earlier(dates.watched, parseDate(record.watched_at || record.last_watched_at));
+        }
+        entry[kind] = true;
+    });
+
+    const entries = { movies: [], series: [] };
+    for (const { dataType, item, dates, watched, rating } of titles.values()) {
+        if (!watched && !rating) {
+            Object.assign(item, { status: "want-to-watch", addedDate: dates.listed });
+        } else {
+            // Trakt has no "finished the show" flag: a rated show counts as completed,
+            // one with plays only as still watching
+            item.status = dataType === "movies" || rating ? "completed" : "watching";
+            // The first play is the added date; a rating without plays still dates it
+            item.addedDate = dates.watched || dates.rated;
+        }
+        entries[dataType].push(Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined)));
+    }
+    return { entries, skipped };
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal zip reader for export archives (Letterboxd, Trakt): stored and
+ * deflated entries, no encryption or ZIP64.
+ */
+
+import { inflateRawSync } from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// Max size of the end-of-central-directory record (22 bytes + 64 KB comment)
+const EOCD_SEARCH_BYTES = 22 + 0xffff;
+
+function zipError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+export function isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - EOCD_SEARCH_BYTES);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+    }
+    throw zipError("Not a zip file");
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} file path -> contents (directories are left out)
+ */
+export function readZip(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw zipError("Not a zip file");
+    const eocd = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw zipError("ZIP64 archives are not supported");
+
+    const files = new Map();
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw zipError("Corrupt zip central directory");
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue;
+        if (flags & 1) throw zipError(`${name} is encrypted`);
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw zipError(`Corrupt zip entry ${name}`);
+
+        // The local header has its own name/extra lengths; sizes come from the central directory
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(start, start + compressedSize);
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            try {
+                files.set(name, inflateRawSync(data));
+            } catch (error) {
+                throw zipError(`Cannot decompress ${name}: ${error.message}`);
+            }
+        } else {
+            throw zipError(`${name} uses unsupported compression method ${method}`);
+        }
+    }
+    return files;
+}